@@ -0,0 +1,176 @@
+// Módulo de captura automática de anuncios (service worker)
+// Ejecuta la extracción del overlay + consulta a la API sin necesidad de abrir el popup
+
+import { queryYouTubeAPI, extractVideoInfo } from '../popup/api/apiManager.js';
+import { findHistoryItem, saveToHistory } from '../popup/storage/storageManager.js';
+import { getApiKey } from '../popup/api/apiKeyStorage.js';
+import { canPerformQuery } from '../popup/utils/storageMonitor.js';
+
+// === [CONFIGURACIÓN DE AUTO-CAPTURA] ===
+const AUTO_CAPTURE_CONFIG = {
+  minInterval: 15 * 1000,          // 15 segundos mínimo entre capturas
+  maxPerHour: 20,                  // Máximo 20 consultas a la API por hora
+  recentWindow: 60 * 60 * 1000,    // Ventana de 1 hora para el límite
+  extractionTimeout: 11000,        // Algo más que los 10 s que espera EXTRAER_DATOS_ANUNCIO en el content-script
+  extractionDelay: 1500            // Esperar a que el overlay del anuncio se pinte
+};
+
+// Estado en memoria (el service worker puede reiniciarse; el límite horario se persiste)
+let autoCaptureEnabled = false;
+const autoCaptureInFlight = new Set(); // adIds en proceso
+const autoCaptureDone = new Map();     // adId -> timestamp de la última captura
+
+// Cargar el estado inicial y mantenerlo sincronizado con el toggle del popup
+chrome.storage.local.get({ autoCaptureEnabled: false }, (result) => {
+  autoCaptureEnabled = !!result.autoCaptureEnabled;
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.autoCaptureEnabled) {
+    autoCaptureEnabled = !!changes.autoCaptureEnabled.newValue;
+  }
+});
+
+// Leer el registro persistido de capturas recientes (para el límite por hora)
+function getAutoCaptureLog() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ autoCaptureLog: [] }, (data) => {
+      const now = Date.now();
+      const recent = (data.autoCaptureLog || []).filter(
+        ts => (now - ts) <= AUTO_CAPTURE_CONFIG.recentWindow
+      );
+      resolve(recent);
+    });
+  });
+}
+
+function saveAutoCaptureLog(log) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ autoCaptureLog: log }, resolve);
+  });
+}
+
+// Comprueba si el límite de consultas permite una nueva captura
+async function isRateLimited() {
+  const log = await getAutoCaptureLog();
+  const now = Date.now();
+  const last = log.length > 0 ? log[log.length - 1] : 0;
+
+  if (now - last < AUTO_CAPTURE_CONFIG.minInterval) return true;
+  if (log.length >= AUTO_CAPTURE_CONFIG.maxPerHour) return true;
+  return false;
+}
+
+// Solicitar al content-script la extracción de datos del overlay del anuncio
+function requestOverlayData(tabId) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => resolve(null), AUTO_CAPTURE_CONFIG.extractionTimeout);
+
+    try {
+      chrome.tabs.sendMessage(tabId, { type: 'EXTRAER_DATOS_ANUNCIO' }, (response) => {
+        clearTimeout(timeout);
+        if (chrome.runtime.lastError) {
+          resolve(null);
+        } else {
+          resolve(response || null);
+        }
+      });
+    } catch (e) {
+      clearTimeout(timeout);
+      resolve(null);
+    }
+  });
+}
+
+// Verificar si el anuncio ya está en el historial
+async function isAdInHistory(adId) {
+  const existing = await findHistoryItem('ad', adId);
+  return !!existing;
+}
+
+/**
+ * Captura automáticamente un anuncio nuevo: overlay + API de YouTube + historial.
+ * Se ignora si el modo está desactivado, el anuncio ya fue capturado o se
+ * alcanzó el límite de consultas.
+ * @param {number} tabId - Pestaña donde se reproduce el anuncio
+ * @param {string} adId - addebug_videoId del anuncio
+ * @param {string|null} debug_videoId - Video donde aparece el anuncio
+ * @param {Object|null} adTypeInfo - Tipo de anuncio recibido en VIDEO_DEBUG_ALL
+ * @param {Object} source - { sourceSite, embedOrigin }: sitio de YouTube y web que inserta el reproductor
+ */
+export async function autoCaptureAd(tabId, adId, debug_videoId = null, adTypeInfo = null, source = {}) {
+  if (!autoCaptureEnabled || !tabId || !adId) return;
+
+  // Deduplicar por adId (en curso o ya capturado en esta sesión)
+  if (autoCaptureInFlight.has(adId) || autoCaptureDone.has(adId)) return;
+
+  autoCaptureInFlight.add(adId);
+
+  try {
+    // Deduplicar contra el historial persistido
+    if (await isAdInHistory(adId)) {
+      autoCaptureDone.set(adId, Date.now());
+      return;
+    }
+
+    if (await isRateLimited()) {
+      return;
+    }
+
+    const apiKey = await getApiKey();
+    if (!apiKey) {
+      return;
+    }
+
+    if (!(await canPerformQuery())) {
+      console.warn('[AdHunt3r] Auto-captura omitida: almacenamiento crítico');
+      return;
+    }
+
+    // Dar tiempo a que el overlay del anuncio esté disponible
+    await new Promise(resolve => setTimeout(resolve, AUTO_CAPTURE_CONFIG.extractionDelay));
+
+    const adData = await requestOverlayData(tabId);
+    const additionalData = {
+      _adhunt3r_data: {
+        adtypeinfo: adData?.adTypeInfo || adTypeInfo || {},
+        sponsorinfo: null
+      }
+    };
+
+    const { data } = await queryYouTubeAPI(adId, 'ad', additionalData, { debug_videoId });
+
+    // Registrar la consulta en el límite horario solo cuando la API ha respondido
+    const log = await getAutoCaptureLog();
+    log.push(Date.now());
+    await saveAutoCaptureLog(log);
+
+    const historyItem = {
+      adId,
+      data,
+      timestamp: Date.now(),
+      info: extractVideoInfo(data),
+      adTypeInfo: additionalData,
+      autoCaptured: true
+    };
+    if (source.sourceSite && source.sourceSite !== 'youtube') historyItem.sourceSite = source.sourceSite;
+    if (source.embedOrigin) historyItem.embedOrigin = source.embedOrigin;
+
+    await saveToHistory('ad', historyItem);
+    autoCaptureDone.set(adId, Date.now());
+  } catch (error) {
+    console.warn('[AdHunt3r] Error en auto-captura de anuncio:', error.message);
+  } finally {
+    autoCaptureInFlight.delete(adId);
+  }
+}
+
+// Limpieza del registro de anuncios capturados en memoria
+export function cleanupAutoCapture(maxAge) {
+  const now = Date.now();
+  autoCaptureDone.forEach((timestamp, adId) => {
+    if (now - timestamp > maxAge) {
+      autoCaptureDone.delete(adId);
+    }
+  });
+}
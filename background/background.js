@@ -1,5 +1,22 @@
 // background.js
 
+import { autoCaptureAd, cleanupAutoCapture } from './autoCapture.js';
+import { recordDisplayAd, cleanupDisplayAds } from './displayAdRecorder.js';
+import { syncEmbedMode } from './embedMode.js';
+import { isBusMessage, acceptBusMessage } from './messageBus.js';
+import {
+  tabStatesReady, areTabStatesReady, createTabState, getTabState, updateTabState, removeTabState,
+  updateAllTabStates, cleanupTabStates, claimVideoProcessing, releaseVideoProcessing, clearVideoProcessing
+} from './tabStateStore.js';
+import { startAdImpression, refreshAdImpression, finishAdImpression, attachAdEvents, forgetTabImpressions } from './impressionTracker.js';
+import { trackAdStat, trackVideoStat, stopVideoWatch, pruneStatsIfNeeded } from './statsTracker.js';
+import { recordTimelineEvent, trackTimelineVideo, pruneTimelineIfNeeded } from './sessionRecorder.js';
+import { getStatsRange } from '../popup/storage/statsStore.js';
+import { migrateHistorySchema } from '../popup/storage/historyDB.js';
+import { normalizeEmbedOrigin, getSourceSiteFromOrigin } from '../popup/storage/historySchema.js';
+import { recordSelectorResults } from '../popup/storage/selectorHealth.js';
+import { recordAdBreakMap } from '../popup/storage/adBreakMap.js';
+
 // === [SISTEMA DE GESTIÓN DE MEMORIA OPTIMIZADO] ===
 const MEMORY_MONITOR = {
   lastCleanup: Date.now(),
@@ -22,17 +39,10 @@ const MEMORY_MONITOR = {
   },
   
   forceCleanup() {
-    // Limpieza agresiva de memoria
-    debugDataByTab = {};
-    lastCountedVideoIdByTab = {};
-    lastAdStateByTab = {};
-    lastCountedAdIdByTab = {};
-    globalVideoProcessing.clear();
-    
-    // Forzar garbage collection si está disponible
-    if (window.gc) {
-      window.gc();
-    }
+    // Limpieza agresiva de memoria: se descarta lo que más ocupa (el content-script lo vuelve a enviar)
+    // y se conserva lo que evita contar dos veces los videos y anuncios
+    updateAllTabStates({ debugText: '', debugInfo: {} });
+    clearVideoProcessing();
     
     this.lastCleanup = Date.now();
   }
@@ -40,7 +50,6 @@ const MEMORY_MONITOR = {
 
 // Almacena la última info de depuración recibida del content-script
 let lastDebugInfo = {};
-let lastAdDetected = false;
 let lastAdDebugId = null;
 let lastDebugText = '';
 
@@ -51,21 +60,17 @@ let lastDebugAll = {
   addebug_videoId: null
 };
 
-let debugDataByTab = {};
-let lastCountedVideoIdByTab = {};
-let lastAdStateByTab = {}; // Nuevo: para rastrear el último estado de anuncio por pestaña
-let lastCountedAdIdByTab = {}; // Nuevo: para rastrear el último anuncio contado por pestaña
-let globalVideoProcessing = new Set(); // Nuevo: evitar procesamiento concurrente del mismo video
+// El estado por pestaña (depuración, badge, último video y anuncio contados) y los videos en proceso
+// de conteo viven en tabStateStore.js (chrome.storage.session): sobreviven a la suspensión del service worker
 
 // Configuración de limpieza de memoria (optimizado)
 const MEMORY_CLEANUP_CONFIG = {
-  debugDataByTab: {
+  tabState: {
     maxEntries: 50, // Reducido de 100
     maxAge: 15 * 60 * 1000, // 15 minutos (reducido de 30)
-    cleanupInterval: 5 * 60 * 1000 // 5 minutos (reducido de 10)
+    cleanupPeriodMinutes: 5 // 5 minutos (reducido de 10)
   },
-  globalVideoProcessing: {
-    maxEntries: 25, // Reducido de 50
+  videoProcessing: {
     maxAge: 3 * 60 * 1000 // 3 minutos (reducido de 5)
   }
 };
@@ -75,8 +80,12 @@ function updateBadge(tabId, hasAd) {
   if (!tabId) return;
   
   // Solo actualizamos si el estado realmente cambió
-  if (lastAdStateByTab[tabId] !== hasAd) {
-    lastAdStateByTab[tabId] = hasAd;
+  const tabState = getTabState(tabId);
+  if (tabState?.badgeAdState !== hasAd) {
+    // Las navegaciones de pestañas sin estado (fuera de YouTube) no crean uno
+    if (tabState || hasAd) {
+      updateTabState(tabId, { badgeAdState: hasAd }, { touch: false });
+    }
     
     if (hasAd) {
       chrome.action.setBadgeText({ text: 'AD', tabId });
@@ -88,64 +97,132 @@ function updateBadge(tabId, hasAd) {
 }
 
 // Función para limpiar datos cuando se cierra una pestaña
+// (la impresión abierta y el video en reproducción están en el estado: se cierran antes de eliminarlo)
 function cleanupTabData(tabId) {
-  if (debugDataByTab[tabId]) {
-    delete debugDataByTab[tabId];
-  }
-  if (lastCountedVideoIdByTab[tabId]) {
-    delete lastCountedVideoIdByTab[tabId];
-  }
-  if (lastAdStateByTab[tabId]) {
-    delete lastAdStateByTab[tabId];
-  }
-  // Limpiar también el contador de anuncios por pestaña
-  if (lastCountedAdIdByTab[tabId]) {
-    delete lastCountedAdIdByTab[tabId];
+  // Cerrar la impresión de anuncio abierta en la pestaña
+  finishAdImpression(tabId);
+  // Cerrar la medición de tiempo de reproducción
+  stopVideoWatch(tabId);
+  // Línea temporal de la sesión (solo pestañas con estado: las de YouTube)
+  if (getTabState(tabId)) {
+    recordTimelineEvent(tabId, 'tab_closed');
   }
-  updateBadge(tabId, false);
+  // Dar margen a los eventos enviados por la página al cerrarse (pagehide)
+  forgetTabImpressions(tabId);
+  // Estado de depuración, badge, contadores y bus de mensajes de la pestaña
+  removeTabState(tabId);
 }
 
-// Listener para cuando se cierra o actualiza una pestaña
+// Listener para cuando se cierra o actualiza una pestaña (el service worker puede estar arrancando)
 chrome.tabs.onRemoved.addListener((tabId) => {
-  cleanupTabData(tabId);
+  tabStatesReady.then(() => cleanupTabData(tabId));
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'loading') {
     // Limpiar el badge al navegar a una nueva página
     updateBadge(tabId, false);
+    // La recarga/navegación interrumpe la reproducción del video
+    tabStatesReady.then(() => stopVideoWatch(tabId));
   }
 });
 
+// Al instalar o actualizar la extensión, migrar los items del historial al esquema actual
+chrome.runtime.onInstalled.addListener((details) => {
+  // Los content scripts dinámicos (reproductores embebidos) se vuelven a registrar con la versión nueva
+  syncEmbedMode();
+  if (details.reason !== 'install' && details.reason !== 'update') return;
+  migrateHistorySchema().then(result => {
+    if (!result.skipped) {
+      console.log(`[AdHunt3r] Esquema del historial actualizado: ${result.migrated} migrados, ${result.invalid} inválidos`);
+    }
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error migrando el esquema del historial:', error.message);
+  });
+});
+
+// Mensajes del bus (content-script): se confirman siempre, también los reenvíos, pero cada secuencia
+// se procesa una sola vez. El ack se envía después de procesar el mensaje
+function dispatchMessage(message, sender, sendResponse) {
+  if (isBusMessage(message) && sender.tab?.id) {
+    if (acceptBusMessage(sender, message)) {
+      handleMessage(message, sender, () => {});
+    }
+    sendResponse({ ack: message.bus.seq });
+    return false;
+  }
+  return handleMessage(message, sender, sendResponse);
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (areTabStatesReady()) {
+    return dispatchMessage(message, sender, sendResponse);
+  }
+  // Service worker recién arrancado: esperar al estado restaurado antes de procesar nada
+  tabStatesReady.then(() => {
+    if (!dispatchMessage(message, sender, sendResponse)) {
+      sendResponse();
+    }
+  });
+  return true;
+});
+
+function handleMessage(message, sender, sendResponse) {
   const tabId = sender.tab?.id;
   
   if (message.type === 'VIDEO_DEBUG_ALL' && tabId) {
     // Determinar si hay un anuncio activo
     const hasAd = message.adActive || !!message.addebug_videoId;
-    const currentTabData = debugDataByTab[tabId] || {};
+    const currentTabData = getTabState(tabId) || {};
+    const sourceSite = getSenderSourceSite(sender);
     
     // Detectar cambios significativos
     const adStateChanged = (hasAd !== currentTabData.adActive) || 
                            (hasAd && message.addebug_videoId && message.addebug_videoId !== currentTabData.addebug_videoId) ||
                            (!hasAd && currentTabData.adActive);
 
-    // Inicializar datos de pestaña si no existen
-    if (!debugDataByTab[tabId]) {
-      debugDataByTab[tabId] = createEmptyTabData();
-    }
-
     // Verificar si necesita actualización
     const shouldUpdateData = adStateChanged || 
-                             message.debugText !== debugDataByTab[tabId].debugText ||
-                             message.debug_videoId !== debugDataByTab[tabId].debug_videoId;
+                             getSurface(message) !== currentTabData.surface ||
+                             sourceSite !== currentTabData.sourceSite ||
+                             message.debugText !== currentTabData.debugText ||
+                             message.debug_videoId !== currentTabData.debug_videoId;
+
+    // Mantener actualizada la info de tipo de la impresión abierta
+    if (hasAd && message.addebug_videoId) {
+      refreshAdImpression(tabId, message.addebug_videoId, message.adTypeInfo);
+    }
 
     if (shouldUpdateData) {
-      updateTabData(tabId, message, hasAd);
+      updateTabData(tabId, message, hasAd, sourceSite);
+      
+      // Línea temporal de la sesión: video abierto o cambiado, antes que los anuncios que llegan con él (pre-roll)
+      const { debug_videoId, addebug_videoId } = getTabState(tabId);
+      if (debug_videoId && debug_videoId.length >= 10 && debug_videoId !== addebug_videoId) {
+        trackTimelineVideo(tabId, debug_videoId);
+      }
       
       if (adStateChanged) {
         updateBadge(tabId, hasAd);
+        
+        // Línea temporal: el corte empieza antes que su primer anuncio
+        if (hasAd && !currentTabData.adActive) {
+          recordTimelineEvent(tabId, 'ad_break_started', {
+            position: message.adTypeInfo?.position,
+            podId: message.adTypeInfo?.podId,
+            podSize: message.adTypeInfo?.podSize
+          });
+        }
+        
         handleAdCounting(message, tabId, hasAd);
+        
+        // Fin del anuncio: guardar duración medida de la impresión
+        if (!hasAd) {
+          finishAdImpression(tabId);
+          if (currentTabData.adActive) {
+            recordTimelineEvent(tabId, 'ad_break_ended');
+          }
+        }
       }
     }
 
@@ -154,9 +231,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'AD_DETECTED') {
-    lastAdDetected = true;
-    const addebug_videoId = message.addebug_videoId;
-    
     if (sender.tab && sender.tab.id) {
       updateBadge(sender.tab.id, true);
     }
@@ -166,17 +240,41 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'AD_ENDED') {
-    lastAdDetected = false;
     if (sender.tab && sender.tab.id) {
       updateBadge(sender.tab.id, false);
-      debugDataByTab[sender.tab.id] = {
-        ...debugDataByTab[sender.tab.id],
+      finishAdImpression(sender.tab.id);
+      if (getTabState(sender.tab.id)?.adActive) {
+        recordTimelineEvent(sender.tab.id, 'ad_break_ended');
+      }
+      updateTabState(sender.tab.id, {
         adActive: false,
         addebug_videoId: null
-      };
+      });
     }
   }
 
+  // Resultado de los selectores del pack en una extracción (aciertos/fallos por campo)
+  if (message.type === 'SELECTOR_HEALTH_REPORT') {
+    recordSelectorResults(message.results);
+  }
+
+  // Eventos del anuncio terminado (cuartiles, omitir, silencio...) para su impresión
+  if (message.type === 'AD_EVENTS_REPORT' && tabId) {
+    attachAdEvents(tabId, message.report);
+  }
+
+  // Mapa de cortes publicitarios del video (puntos programados y cortes reproducidos)
+  if (message.type === 'AD_BREAK_MAP_UPDATE' && tabId) {
+    recordAdBreakMap(message.map).catch(error => {
+      console.warn('[AdHunt3r] Error guardando el mapa de cortes:', error.message);
+    });
+  }
+
+  // Anuncio que no es video (banner, complementario, promocionado, masthead o Shorts)
+  if (message.type === 'DISPLAY_AD_DETECTED' && tabId) {
+    recordDisplayAd(message.ad);
+  }
+
   // Consulta del número de anuncios en las últimas 24h
   if (message.type === 'GET_ADS_LAST_24H') {
     const now = Date.now();
@@ -230,14 +328,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     
     // Si la solicitud viene de un content-script, usar su tabId
     if (sender.tab?.id) {
-      const tabData = debugDataByTab[sender.tab.id] || {
-        debugText: '',
-        debugInfo: {},
-        adActive: false,
-        addebug_videoId: null,
-        debug_videoId: null,
-        adTypeInfo: null
-      };
+      const tabData = getTabDebugData(sender.tab.id);
 
       try {
       sendResponse(tabData);
@@ -249,28 +340,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         if (!tabs?.[0]?.id) {
           try {
-          sendResponse({
-            debugText: '',
-            debugInfo: {},
-            adActive: false,
-            addebug_videoId: null,
-            debug_videoId: null,
-            adTypeInfo: null
-          });
+          sendResponse(getTabDebugData(null));
           } catch (e) {
             console.warn('[AdHunt3r] Error enviando respuesta GET_DEBUG_INFO (sin tabs):', e.message);
           }
           return;
         }
         
-        const tabData = debugDataByTab[tabs[0].id] || {
-          debugText: '',
-          debugInfo: {},
-          adActive: false,
-          addebug_videoId: null,
-          debug_videoId: null,
-          adTypeInfo: null
-        };
+        const tabData = getTabDebugData(tabs[0].id);
         
         // Asegurarse de que el badge refleja el estado actual
         updateBadge(tabs[0].id, tabData.adActive);
@@ -294,7 +371,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             adActive: tabData.adActive,
             addebug_videoId: tabData.addebug_videoId,
             debug_videoId: tabData.debug_videoId,
-            adTypeInfo: tabData.adTypeInfo
+            adTypeInfo: tabData.adTypeInfo,
+            surface: tabData.surface,
+            embedOrigin: tabData.embedOrigin,
+            sourceSite: tabData.sourceSite
           }).catch(() => {
             // Ignorar errores
           });
@@ -304,6 +384,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
   }
 
+  // Consulta de estadísticas agregadas (por hora o día) para un rango de fechas
+  if (message.type === 'GET_STATS_RANGE') {
+    const to = message.to || Date.now();
+    const from = message.from || (to - 30 * 24 * 60 * 60 * 1000);
+    const granularity = message.granularity === 'hour' ? 'hour' : 'day';
+    
+    getStatsRange(from, to, granularity).then(stats => {
+      try {
+        sendResponse({ success: true, ...stats });
+      } catch (e) {
+        console.warn('[AdHunt3r] Error enviando respuesta GET_STATS_RANGE:', e.message);
+      }
+    }).catch(error => {
+      try {
+        sendResponse({ success: false, error: error.message });
+      } catch (e) {
+        console.warn('[AdHunt3r] Error enviando respuesta GET_STATS_RANGE:', e.message);
+      }
+    });
+    return true;
+  }
+
   // Resetear contadores de anuncios y videos de 24h
   if (message.type === 'RESET_COUNTERS') {
     chrome.storage.local.set({ 
@@ -311,9 +413,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       videoTimestamps: [] 
     }, () => {
       // Limpiar también el tracking por pestaña
-      lastCountedVideoIdByTab = {};
-      lastCountedAdIdByTab = {};
-      globalVideoProcessing.clear();
+      updateAllTabStates({ lastCountedVideoId: null, lastCountedAd: null });
+      clearVideoProcessing();
       
       // Notificar al popup sobre el reset
       chrome.runtime.sendMessage({ 
@@ -338,7 +439,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true;
   }
-});
+
+  return false;
+}
 
 // Sistema de limpieza periódica de memoria (optimizado)
 function cleanupMemory() {
@@ -349,82 +452,96 @@ function cleanupMemory() {
     return; // Ya se hizo limpieza forzada
   }
   
-  // Limpiar debugDataByTab si excede límites
-  const debugEntries = Object.entries(debugDataByTab);
-  if (debugEntries.length > MEMORY_CLEANUP_CONFIG.debugDataByTab.maxEntries) {
-    // Mantener solo las entradas más recientes
-    const sortedEntries = debugEntries
-      .map(([tabId, data]) => ({ tabId, data, lastUpdate: data.lastUpdate || now }))
-      .sort((a, b) => b.lastUpdate - a.lastUpdate)
-      .slice(0, MEMORY_CLEANUP_CONFIG.debugDataByTab.maxEntries);
-    
-    debugDataByTab = {};
-    sortedEntries.forEach(({ tabId, data }) => {
-      debugDataByTab[tabId] = data;
-    });
-  }
+  // Eliminar el estado de las pestañas cerradas, sin actividad reciente o por encima del límite
+  const { maxEntries, maxAge } = MEMORY_CLEANUP_CONFIG.tabState;
+  chrome.tabs.query({}, (tabs) => {
+    const openTabIds = chrome.runtime.lastError ? null : tabs.map(tab => tab.id);
+    cleanupTabStates(maxAge, maxEntries, openTabIds);
+  });
   
-  // Limpiar globalVideoProcessing si excede límites
-  if (globalVideoProcessing.size > MEMORY_CLEANUP_CONFIG.globalVideoProcessing.maxEntries) {
-    globalVideoProcessing.clear();
-  }
+  // Liberar los videos cuyo conteo quedó a medias (service worker suspendido durante la lectura)
+  clearVideoProcessing(MEMORY_CLEANUP_CONFIG.videoProcessing.maxAge);
   
-  // Limpiar entradas antiguas de tracking
-  const maxAge = MEMORY_CLEANUP_CONFIG.debugDataByTab.maxAge;
-  Object.keys(lastCountedVideoIdByTab).forEach(tabId => {
-    if (now - (debugDataByTab[tabId]?.lastUpdate || 0) > maxAge) {
-      delete lastCountedVideoIdByTab[tabId];
-      delete lastCountedAdIdByTab[tabId];
-    }
-  });
+  // Limpiar registro de anuncios auto-capturados
+  cleanupAutoCapture(maxAge);
+  cleanupDisplayAds(maxAge);
   
-  // Limpiar datos de pestañas cerradas
-  Object.keys(debugDataByTab).forEach(tabId => {
-    if (now - (debugDataByTab[tabId]?.lastUpdate || 0) > maxAge) {
-      delete debugDataByTab[tabId];
-    }
-  });
+  // Eliminar estadísticas fuera del periodo de retención (1 vez al día)
+  pruneStatsIfNeeded(now);
+  pruneTimelineIfNeeded(now);
   
   MEMORY_MONITOR.lastCleanup = now;
 }
 
-// Inicializar limpieza periódica cada 5 minutos (optimizado)
-setInterval(cleanupMemory, MEMORY_CLEANUP_CONFIG.debugDataByTab.cleanupInterval);
-
-// Funciones auxiliares optimizadas para manejo de mensajes
-function createEmptyTabData() {
-  return {
-    debugText: '',
-    debugInfo: {},
-    adActive: false,
-    addebug_videoId: null,
-    debug_videoId: null,
-    adTypeInfo: null,
-    lastUpdate: Date.now()
-  };
+// Limpieza periódica cada 5 minutos con chrome.alarms: un setInterval no sobrevive a la suspensión
+// del service worker y la alarma lo vuelve a despertar
+const CLEANUP_ALARM = 'adhunt3r-memory-cleanup';
+
+chrome.alarms.get(CLEANUP_ALARM, (alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(CLEANUP_ALARM, { periodInMinutes: MEMORY_CLEANUP_CONFIG.tabState.cleanupPeriodMinutes });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CLEANUP_ALARM) {
+    tabStatesReady.then(cleanupMemory);
+  }
+});
+
+// Datos de depuración de la pestaña para el popup y el content-script (sin el estado interno de conteo)
+function getTabDebugData(tabId) {
+  const { badgeAdState, lastCountedVideoId, lastCountedAd, timelineVideoId, openImpression, recentImpressions, watching,
+    busFrames, ...debugData } =
+    (tabId && getTabState(tabId)) || createTabState();
+  return debugData;
+}
+
+// Superficie de YouTube que envía el estado: reproductor normal, Shorts o reproductor embebido
+const SURFACES = ['watch', 'shorts', 'embed'];
+
+function getSurface(message) {
+  return SURFACES.includes(message.surface) ? message.surface : 'watch';
 }
 
-function updateTabData(tabId, message, hasAd) {
+// Sitio que envía el estado (YouTube, YouTube Music o YouTube Kids): se toma del origen del frame
+// remitente, que fija el navegador, y no de un campo del mensaje
+function getSenderSourceSite(sender) {
+  let origin = sender.origin;
+  if (!origin && sender.url) {
+    try {
+      origin = new URL(sender.url).origin;
+    } catch (e) {
+      origin = null;
+    }
+  }
+  return getSourceSiteFromOrigin(origin) || 'youtube';
+}
+
+function updateTabData(tabId, message, hasAd, sourceSite = 'youtube') {
   const debug_videoId = message.debug_videoId || 
                        (message.debugInfo?.debug_videoId) ||
                        (message.debugInfo?.ytInitialPlayerResponse?.videoDetails?.videoId) ||
                        null;
                        
-  debugDataByTab[tabId] = {
+  updateTabState(tabId, {
     debugText: message.debugText,
     debugInfo: message.debugInfo,
     adActive: hasAd,
     addebug_videoId: message.addebug_videoId,
     debug_videoId: debug_videoId,
     adTypeInfo: message.adTypeInfo || null,
-    lastUpdate: Date.now()
-  };
+    surface: getSurface(message),
+    embedOrigin: getSurface(message) === 'embed' ? normalizeEmbedOrigin(message.embedOrigin) : null,
+    sourceSite
+  });
 }
 
 function handleAdCounting(message, tabId, hasAd) {
   if (hasAd && message.addebug_videoId && message.addebug_videoId !== 'empty_video') {
     const now = Date.now();
-    const lastAdData = lastCountedAdIdByTab[tabId];
+    const tabData = getTabState(tabId);
+    const lastAdData = tabData?.lastCountedAd;
     
     // Evitar conteo duplicado en período muy corto
     const shouldCount = !lastAdData || 
@@ -432,12 +549,44 @@ function handleAdCounting(message, tabId, hasAd) {
                        (now - lastAdData.timestamp) > 5000;
     
     if (shouldCount) {
-      lastCountedAdIdByTab[tabId] = {
-        adId: message.addebug_videoId,
-        timestamp: now
-      };
+      updateTabState(tabId, {
+        lastCountedAd: {
+          adId: message.addebug_videoId,
+          timestamp: now
+        }
+      });
       
       saveAdTimestamp(message.addebug_videoId, message.adTypeInfo, now);
+      
+      // NUEVO: Estadísticas a largo plazo (buckets por hora/día)
+      trackAdStat(message.addebug_videoId, message.adTypeInfo, now);
+      
+      // NUEVO: Registrar la impresión (cada vez que se muestra, no solo el último creativo)
+      const debug_videoId = tabData?.debug_videoId;
+      const hostVideoId = debug_videoId && debug_videoId !== message.addebug_videoId ?
+        debug_videoId : tabData?.lastCountedVideoId;
+      // La impresión y la captura guardan el sitio y, en reproductores embebidos, la web que lo inserta
+      const source = {
+        sourceSite: tabData?.sourceSite || 'youtube',
+        embedOrigin: tabData?.embedOrigin || null
+      };
+      startAdImpression(tabId, message.addebug_videoId, hostVideoId, message.adTypeInfo, now, source);
+      
+      // Línea temporal de la sesión: cada anuncio con su tipo y duración declarada
+      recordTimelineEvent(tabId, 'ad_started', {
+        videoId: hostVideoId || null,
+        adId: message.addebug_videoId,
+        adType: message.adTypeInfo?.type,
+        position: message.adTypeInfo?.position,
+        podId: message.adTypeInfo?.podId,
+        podIndex: message.adTypeInfo?.podIndex,
+        podSize: message.adTypeInfo?.podSize,
+        isSkippable: message.adTypeInfo?.isSkippable,
+        declaredDuration: message.adTypeInfo?.duration
+      });
+      
+      // NUEVO: Captura automática del anuncio (si está habilitada en el popup)
+      autoCaptureAd(tabId, message.addebug_videoId, hostVideoId, message.adTypeInfo, source);
     }
   }
 }
@@ -468,8 +617,15 @@ function saveAdTimestamp(adId, adTypeInfo, timestamp) {
   });
 }
 
+// La pestaña puede haberse cerrado mientras se leía el storage: no se vuelve a crear su estado
+function markVideoCounted(tabId, videoId) {
+  if (getTabState(tabId)) {
+    updateTabState(tabId, { lastCountedVideoId: videoId });
+  }
+}
+
 function handleVideoCounting(tabId) {
-  const tabData = debugDataByTab[tabId];
+  const tabData = getTabState(tabId);
   if (!tabData) return;
   
   const debug_videoId = tabData.debug_videoId;
@@ -480,19 +636,20 @@ function handleVideoCounting(tabId) {
     return;
   }
   
+  // NUEVO: Estadísticas a largo plazo (ignora si el video ya se está midiendo en la pestaña)
+  trackVideoStat(tabId, debug_videoId);
+  
   // Evitar conteo duplicado en la misma pestaña
-  if (lastCountedVideoIdByTab[tabId] === debug_videoId) {
+  if (tabData.lastCountedVideoId === debug_videoId) {
     return;
   }
   
-  // Evitar procesamiento concurrente
-  if (globalVideoProcessing.has(debug_videoId)) {
-    lastCountedVideoIdByTab[tabId] = debug_videoId;
+  // Evitar procesamiento concurrente (el mismo video en otra pestaña)
+  if (!claimVideoProcessing(debug_videoId, MEMORY_CLEANUP_CONFIG.videoProcessing.maxAge)) {
+    markVideoCounted(tabId, debug_videoId);
     return;
   }
   
-  globalVideoProcessing.add(debug_videoId);
-  
   chrome.storage.local.get({ videoTimestamps: [] }, (data) => {
     const now = Date.now();
     let timestamps = data.videoTimestamps || [];
@@ -504,7 +661,7 @@ function handleVideoCounting(tabId) {
     );
     
     if (!existingEntry) {
-      lastCountedVideoIdByTab[tabId] = debug_videoId;
+      markVideoCounted(tabId, debug_videoId);
       
       // Filtrar entradas antiguas
       timestamps = timestamps.filter(item => 
@@ -524,11 +681,11 @@ function handleVideoCounting(tabId) {
           count: uniqueCount 
         }).catch(() => {});
         
-        globalVideoProcessing.delete(debug_videoId);
+        releaseVideoProcessing(debug_videoId);
       });
     } else {
-      lastCountedVideoIdByTab[tabId] = debug_videoId;
-      globalVideoProcessing.delete(debug_videoId);
+      markVideoCounted(tabId, debug_videoId);
+      releaseVideoProcessing(debug_videoId);
     }
   });
 }
@@ -0,0 +1,145 @@
+// Módulo de registro de anuncios que no son video (service worker)
+// Guarda en el historial los banners, anuncios complementarios, promocionados, masthead y de Shorts
+// que detecta content/adFormatDetector.js; cada uno es un anuncio con su formato en adKind
+
+import { findHistoryItem, saveToHistory } from '../popup/storage/storageManager.js';
+import { DISPLAY_AD_KINDS, DISPLAY_AD_PAGE_TYPES } from '../popup/storage/historySchema.js';
+
+// El mismo anuncio se repite en cada carga del feed: no reescribirlo más de una vez cada 10 minutos
+const RECORD_INTERVAL = 10 * 60 * 1000;
+const recentlyRecorded = new Map(); // adId -> timestamp del último guardado
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const RENDERER_PATTERN = /^[\w-]{1,60}$/;
+const MAX_TEXT_LENGTH = 200;
+
+function toText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/[\x00-\x1F\x7F]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+// Solo URLs http(s); el href normalizado ya lleva las comillas codificadas
+function toUrl(value) {
+  if (typeof value !== 'string' || value === '') return '';
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function toVideoId(value) {
+  return typeof value === 'string' && VIDEO_ID_PATTERN.test(value) ? value : null;
+}
+
+// Hash FNV-1a para identificar creatividades sin video asociado
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// El anuncio llega desde el DOM de la página: se normaliza antes de guardarlo
+function sanitizeDisplayAd(ad) {
+  if (!ad || typeof ad !== 'object' || !DISPLAY_AD_KINDS.includes(ad.kind)) return null;
+
+  const displayAd = {
+    kind: ad.kind,
+    renderer: typeof ad.renderer === 'string' && RENDERER_PATTERN.test(ad.renderer) ? ad.renderer : null,
+    title: toText(ad.title),
+    advertiser: toText(ad.advertiser),
+    description: toText(ad.description),
+    link: toUrl(ad.link),
+    landingUrl: toUrl(ad.landingUrl),
+    thumbnail: toUrl(ad.thumbnail),
+    videoId: toVideoId(ad.videoId),
+    pageType: DISPLAY_AD_PAGE_TYPES.includes(ad.pageType) ? ad.pageType : 'other',
+    pageUrl: toUrl(ad.pageUrl),
+    hostVideoId: toVideoId(ad.hostVideoId)
+  };
+
+  if (!displayAd.title && !displayAd.advertiser && !displayAd.link && !displayAd.videoId) return null;
+  return displayAd;
+}
+
+// Las tarjetas promocionadas y los Shorts apuntan a un video; el resto se identifica por su contenido
+function getDisplayAdId(displayAd) {
+  if (displayAd.videoId) return `${displayAd.kind}:${displayAd.videoId}`;
+  let landingHost = '';
+  try {
+    landingHost = displayAd.landingUrl ? new URL(displayAd.landingUrl).hostname : '';
+  } catch (e) {
+    // landingUrl ya validada en sanitizeDisplayAd
+  }
+  return `${displayAd.kind}:${hashText([displayAd.advertiser, displayAd.title, landingHost].join('|'))}`;
+}
+
+/**
+ * Guarda un anuncio que no es video en el historial.
+ * @param {Object} ad - { kind, renderer, title, advertiser, description, link, landingUrl, thumbnail,
+ *                        videoId, pageType, pageUrl, hostVideoId }
+ * @returns {Promise<Object|null>} Item guardado (null si no es válido o se guardó hace poco)
+ */
+export async function recordDisplayAd(ad, timestamp = Date.now()) {
+  const displayAd = sanitizeDisplayAd(ad);
+  if (!displayAd) return null;
+
+  const adId = getDisplayAdId(displayAd);
+  if (recentlyRecorded.has(adId) && timestamp - recentlyRecorded.get(adId) < RECORD_INTERVAL) return null;
+  recentlyRecorded.set(adId, timestamp);
+
+  try {
+    const existing = await findHistoryItem('ad', adId);
+    const previous = existing?.data?._adhunt3r_data?.displayad;
+
+    const historyItem = {
+      adId,
+      adKind: displayAd.kind,
+      timestamp,
+      isFavorite: existing?.isFavorite || false,
+      data: {
+        _adhunt3r_data: {
+          adkind: displayAd.kind,
+          displayad: {
+            ...displayAd,
+            // Conservar los campos que el renderer no mostró esta vez
+            title: displayAd.title || previous?.title || '',
+            advertiser: displayAd.advertiser || previous?.advertiser || '',
+            thumbnail: displayAd.thumbnail || previous?.thumbnail || '',
+            firstSeen: previous?.firstSeen || timestamp,
+            lastSeen: timestamp,
+            seenCount: (previous?.seenCount || 0) + 1
+          },
+          adtypeinfo: null,
+          sponsorinfo: null
+        }
+      },
+      info: {
+        title: displayAd.title || previous?.title || '',
+        channelTitle: displayAd.advertiser || previous?.advertiser || '',
+        thumbnail: displayAd.thumbnail || previous?.thumbnail || '',
+        visibility: ''
+      }
+    };
+
+    return await saveToHistory('ad', historyItem);
+  } catch (error) {
+    recentlyRecorded.delete(adId);
+    console.warn('[AdHunt3r] Error guardando anuncio no de video:', error.message);
+    return null;
+  }
+}
+
+// Limpieza del registro de anuncios guardados en memoria
+export function cleanupDisplayAds(maxAge) {
+  const now = Date.now();
+  recentlyRecorded.forEach((timestamp, adId) => {
+    if (now - timestamp > maxAge) {
+      recentlyRecorded.delete(adId);
+    }
+  });
+}
@@ -0,0 +1,62 @@
+// Modo de reproductores embebidos (service worker, opcional)
+// Registra el content-script en los iframes /embed/ de youtube.com y, si el usuario concede el permiso,
+// de youtube-nocookie.com, para detectar los anuncios y videos de los reproductores insertados en otras webs
+
+const EMBED_SCRIPT_ID = 'adhunt3r-embed';
+const EMBED_MATCHES = ['https://www.youtube.com/embed/*'];
+const NOCOOKIE_ORIGINS = ['https://www.youtube-nocookie.com/*'];
+const NOCOOKIE_MATCHES = ['https://www.youtube-nocookie.com/embed/*'];
+
+let embedModeEnabled = false;
+let syncQueue = Promise.resolve();
+
+function getEmbedModeSetting() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ embedModeEnabled: false }, (result) => resolve(!!result.embedModeEnabled));
+  });
+}
+
+function hasNocookiePermission() {
+  return new Promise((resolve) => {
+    chrome.permissions.contains({ origins: NOCOOKIE_ORIGINS }, (granted) => resolve(!!granted));
+  });
+}
+
+async function registerEmbedScripts() {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [EMBED_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [EMBED_SCRIPT_ID] });
+  }
+  if (!embedModeEnabled) return;
+
+  const matches = (await hasNocookiePermission()) ? [...EMBED_MATCHES, ...NOCOOKIE_MATCHES] : EMBED_MATCHES;
+  await chrome.scripting.registerContentScripts([{
+    id: EMBED_SCRIPT_ID,
+    matches,
+    js: ['content/content-script.js'],
+    runAt: 'document_end',
+    allFrames: true,
+    persistAcrossSessions: true
+  }]);
+}
+
+// Sincronizar el registro con el toggle y los permisos (en serie: los cambios pueden llegar seguidos)
+export function syncEmbedMode() {
+  syncQueue = syncQueue.then(async () => {
+    embedModeEnabled = await getEmbedModeSetting();
+    await registerEmbedScripts();
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error registrando el modo de reproductores embebidos:', error.message);
+  });
+  return syncQueue;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.embedModeEnabled) {
+    syncEmbedMode();
+  }
+});
+
+// El usuario puede conceder o retirar el permiso de youtube-nocookie.com desde la configuración de Chrome
+chrome.permissions.onAdded.addListener(() => syncEmbedMode());
+chrome.permissions.onRemoved.addListener(() => syncEmbedMode());
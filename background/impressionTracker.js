@@ -0,0 +1,181 @@
+// Módulo de seguimiento de impresiones de anuncios (service worker)
+// Registra cada vez que se muestra un anuncio y mide su duración real al terminar
+
+import { addImpression, updateImpression, sanitizeAdEvents } from '../popup/storage/impressionLog.js';
+import { recordTimelineEvent } from './sessionRecorder.js';
+import { getTabState, updateTabState } from './tabStateStore.js';
+
+// La impresión abierta ({ id, adId, startedAt, adTypeInfo, events }) y las últimas cerradas ({ id, adId, startedAt })
+// se guardan en el estado de la pestaña (tabStateStore.js) para sobrevivir a la suspensión del service worker.
+// Los eventos del anuncio pueden llegar después del cierre de la impresión
+const MAX_RECENT_IMPRESSIONS = 5;
+const CLOSED_TAB_GRACE = 5000;
+
+// Mientras addImpression no termina, el id se espera aquí: las promesas no se pueden guardar en storage
+const pendingImpressionIds = new Map(); // `${tabId}:${startedAt}` -> Promise<number|null>
+// Impresiones recientes de las pestañas recién cerradas (su estado ya se eliminó): eventos enviados en pagehide
+const closedTabImpressions = {};
+
+// Rellenar campos que al inicio del anuncio aún eran desconocidos
+function refineFromAdTypeInfo(adTypeInfo) {
+  if (!adTypeInfo) return {};
+  const changes = {};
+  if (adTypeInfo.position && adTypeInfo.position !== 'unknown') changes.position = adTypeInfo.position;
+  if (adTypeInfo.type && adTypeInfo.type !== 'unknown') changes.adType = adTypeInfo.type;
+  if (typeof adTypeInfo.isSkippable === 'boolean') changes.isSkippable = adTypeInfo.isSkippable;
+  if (adTypeInfo.duration > 0) changes.declaredDuration = adTypeInfo.duration;
+  if (adTypeInfo.consecutiveAdNumber > 0) changes.consecutiveAdNumber = adTypeInfo.consecutiveAdNumber;
+  if (adTypeInfo.podId) changes.podId = adTypeInfo.podId;
+  if (adTypeInfo.podIndex > 0) changes.podIndex = adTypeInfo.podIndex;
+  if (adTypeInfo.podSize > 0) changes.podSize = adTypeInfo.podSize;
+  return changes;
+}
+
+function getImpressionId(tabId, entry) {
+  if (entry.id !== null && entry.id !== undefined) return Promise.resolve(entry.id);
+  return pendingImpressionIds.get(`${tabId}:${entry.startedAt}`) || Promise.resolve(null);
+}
+
+// Guardar el id de la impresión (abierta o ya cerrada) cuando addImpression termina
+function storeImpressionId(tabId, startedAt, id) {
+  const withId = impression => (impression.startedAt === startedAt ? { ...impression, id } : impression);
+  if (closedTabImpressions[tabId]) {
+    closedTabImpressions[tabId] = closedTabImpressions[tabId].map(withId);
+  }
+
+  const state = getTabState(tabId);
+  if (!state) return;
+  if (state.openImpression?.startedAt === startedAt) {
+    updateTabState(tabId, { openImpression: withId(state.openImpression) }, { touch: false });
+  } else if (state.recentImpressions.some(impression => impression.startedAt === startedAt)) {
+    updateTabState(tabId, { recentImpressions: state.recentImpressions.map(withId) }, { touch: false });
+  }
+}
+
+/**
+ * Abre una impresión nueva para la pestaña (cierra la anterior si era otro anuncio).
+ * @param {number} tabId
+ * @param {string} adId - addebug_videoId del anuncio
+ * @param {string|null} hostVideoId - Video donde aparece el anuncio
+ * @param {Object|null} adTypeInfo - Tipo de anuncio recibido en VIDEO_DEBUG_ALL
+ * @param {number} timestamp
+ * @param {Object} source - { sourceSite, embedOrigin }: sitio de YouTube y web que inserta el reproductor
+ *                          (embedOrigin solo en reproductores embebidos)
+ */
+export function startAdImpression(tabId, adId, hostVideoId, adTypeInfo, timestamp = Date.now(), source = {}) {
+  if (!tabId || !adId) return;
+
+  finishAdImpression(tabId, timestamp);
+
+  const pendingKey = `${tabId}:${timestamp}`;
+  const pending = addImpression({
+    adId,
+    hostVideoId: hostVideoId && hostVideoId !== adId ? hostVideoId : null,
+    position: adTypeInfo?.position,
+    consecutiveAdNumber: adTypeInfo?.consecutiveAdNumber,
+    podId: adTypeInfo?.podId,
+    podIndex: adTypeInfo?.podIndex,
+    podSize: adTypeInfo?.podSize,
+    isSkippable: adTypeInfo?.isSkippable,
+    adType: adTypeInfo?.type,
+    declaredDuration: adTypeInfo?.duration,
+    sourceSite: source.sourceSite,
+    embedOrigin: source.embedOrigin,
+    timestamp
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error registrando impresión de anuncio:', error.message);
+    return null;
+  });
+
+  pendingImpressionIds.set(pendingKey, pending);
+  pending.then(id => {
+    pendingImpressionIds.delete(pendingKey);
+    if (id !== null && id !== undefined) storeImpressionId(tabId, timestamp, id);
+  });
+
+  updateTabState(tabId, {
+    openImpression: { id: null, adId, startedAt: timestamp, adTypeInfo: adTypeInfo || null, events: null }
+  }, { touch: false });
+}
+
+// Guardar la última información de tipo recibida mientras el anuncio sigue activo
+export function refreshAdImpression(tabId, adId, adTypeInfo) {
+  const entry = getTabState(tabId)?.openImpression;
+  if (entry && entry.adId === adId && adTypeInfo) {
+    updateTabState(tabId, { openImpression: { ...entry, adTypeInfo } }, { touch: false });
+  }
+}
+
+// Cerrar la impresión abierta de la pestaña guardando la duración medida
+export function finishAdImpression(tabId, endedAt = Date.now()) {
+  const state = getTabState(tabId);
+  const entry = state?.openImpression;
+  if (!entry) return;
+
+  const recentImpressions = [...state.recentImpressions, { id: entry.id, adId: entry.adId, startedAt: entry.startedAt }]
+    .slice(-MAX_RECENT_IMPRESSIONS);
+  updateTabState(tabId, { openImpression: null, recentImpressions }, { touch: false });
+
+  const measuredDuration = Math.max(0, Math.round((endedAt - entry.startedAt) / 1000));
+  const refined = refineFromAdTypeInfo(entry.adTypeInfo);
+
+  recordTimelineEvent(tabId, 'ad_ended', {
+    adId: entry.adId,
+    adType: refined.adType,
+    position: refined.position,
+    podId: refined.podId,
+    podIndex: refined.podIndex,
+    podSize: refined.podSize,
+    declaredDuration: refined.declaredDuration,
+    measuredDuration
+  });
+
+  getImpressionId(tabId, entry).then(id => {
+    if (id === null || id === undefined) return;
+    return updateImpression(id, {
+      ...refined,
+      ...(entry.events || {}),
+      measuredDuration
+    });
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error actualizando impresión de anuncio:', error.message);
+  });
+}
+
+/**
+ * Guarda los eventos del anuncio (inicio, cuartiles, omitir, silencio, pausa, fin) en su impresión.
+ * @param {number} tabId
+ * @param {Object} report - { adId, events: [{type, t, mediaTime}], watchedDuration, skipShownAt,
+ *                            skipped, endReason, maxQuartile }
+ */
+export function attachAdEvents(tabId, report) {
+  if (!tabId || !report || typeof report.adId !== 'string') return;
+  const adEvents = sanitizeAdEvents(report);
+
+  // Anuncio aún abierto: se guarda al cerrar la impresión
+  const state = getTabState(tabId);
+  const entry = state?.openImpression;
+  if (entry && entry.adId === report.adId) {
+    updateTabState(tabId, { openImpression: { ...entry, events: adEvents } }, { touch: false });
+    return;
+  }
+
+  const recent = (state?.recentImpressions || closedTabImpressions[tabId] || [])
+    .filter(item => item.adId === report.adId).pop();
+  if (!recent) return;
+  getImpressionId(tabId, recent).then(id => {
+    if (id === null || id === undefined) return;
+    return updateImpression(id, adEvents);
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error guardando eventos del anuncio:', error.message);
+  });
+}
+
+// Pestaña cerrada (antes de eliminar su estado): conservar unos segundos sus impresiones recientes
+// para los eventos que la página envía al cerrarse (pagehide)
+export function forgetTabImpressions(tabId) {
+  const recentImpressions = getTabState(tabId)?.recentImpressions;
+  if (!recentImpressions?.length) return;
+  closedTabImpressions[tabId] = recentImpressions;
+  setTimeout(() => delete closedTabImpressions[tabId], CLOSED_TAB_GRACE);
+}
@@ -0,0 +1,39 @@
+// Bus de mensajes con el content-script (service worker)
+// Cada mensaje del bus lleva bus: { session, seq }. session identifica la instancia del content-script
+// (un frame de una pestaña; cambia al recargar la página) y seq crece con cada mensaje.
+// El content-script reenvía lo que no se confirma, así que aquí se confirma todo y cada
+// secuencia se procesa una sola vez. Las colas son por tipo y en orden: basta con el último seq de cada tipo
+
+import { getTabState, updateTabState } from './tabStateStore.js';
+
+const SESSION_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+export function isBusMessage(message) {
+  const bus = message?.bus;
+  return !!bus && typeof bus.session === 'string' && SESSION_PATTERN.test(bus.session) &&
+    Number.isInteger(bus.seq) && bus.seq > 0;
+}
+
+/**
+ * Registra la entrega de un mensaje del bus.
+ * El último seq de cada frame se guarda en el estado de la pestaña (tabStateStore.js): un reenvío
+ * tras reiniciar el service worker no se procesa dos veces
+ * @param {Object} sender - Remitente (chrome.runtime.MessageSender)
+ * @param {Object} message - Mensaje con { type, bus: { session, seq } }
+ * @returns {boolean} true si es la primera entrega (hay que procesarlo), false si es un reenvío
+ */
+export function acceptBusMessage(sender, message) {
+  const tabId = sender.tab?.id;
+  const frameId = String(sender.frameId || 0);
+  const { session, seq } = message.bus;
+  const busFrames = getTabState(tabId)?.busFrames || {};
+
+  // Instancia nueva del content-script en el frame (página recargada): la anterior ya no existe
+  const frame = busFrames[frameId]?.session === session ? busFrames[frameId] : { session, seqs: {} };
+  if (frame.seqs[message.type] >= seq) return false;
+
+  updateTabState(tabId, {
+    busFrames: { ...busFrames, [frameId]: { session, seqs: { ...frame.seqs, [message.type]: seq } } }
+  }, { touch: false });
+  return true;
+}
@@ -0,0 +1,94 @@
+// Grabador de sesiones (service worker)
+// Convierte lo que el service worker ya sabe de cada pestaña en una línea temporal cronológica:
+// video abierto o cambiado, inicio y fin de cada corte, cada anuncio (tipo y duración) y pestañas cerradas.
+// Una sesión dura mientras el navegador siga abierto y no pasen más de 30 minutos sin eventos
+
+import { addTimelineEvent, pruneTimeline } from '../popup/storage/sessionTimeline.js';
+import { getTabState, updateTabState } from './tabStateStore.js';
+
+const SESSION_KEY = 'adhunt3r_timeline_session'; // chrome.storage.session: se borra al cerrar el navegador
+const SESSION_IDLE_GAP = 30 * 60 * 1000;
+const PRUNE_INTERVAL = 24 * 60 * 60 * 1000;
+
+let currentSession = null; // { id, startedAt, lastEventAt }
+let recordQueue = Promise.resolve();
+let lastPrune = 0;
+
+function loadSession() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get([SESSION_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        resolve(null);
+        return;
+      }
+      resolve(result[SESSION_KEY] || null);
+    });
+  });
+}
+
+// Sesión del evento: la guardada en storage.session (el service worker puede haberse reiniciado)
+// o una nueva tras el periodo de inactividad
+async function getSessionFor(timestamp) {
+  if (!currentSession) {
+    currentSession = await loadSession();
+  }
+  if (!currentSession || timestamp - currentSession.lastEventAt > SESSION_IDLE_GAP) {
+    currentSession = {
+      id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      startedAt: timestamp,
+      lastEventAt: timestamp
+    };
+  }
+  currentSession.lastEventAt = Math.max(currentSession.lastEventAt, timestamp);
+  chrome.storage.session.set({ [SESSION_KEY]: currentSession });
+  return currentSession;
+}
+
+/**
+ * Añade un evento de la pestaña a la línea temporal de la sesión.
+ * El sitio, la web que inserta el reproductor y el video actual se toman del estado de la pestaña,
+ * así que hay que llamarlo antes de eliminar ese estado (pestaña cerrada)
+ * @param {number} tabId
+ * @param {string} type - Tipo de evento (TIMELINE_EVENT_TYPES de sessionTimeline.js)
+ * @param {Object} details - Campos del evento: videoId, previousVideoId, adId, adType, position, podId...
+ */
+export function recordTimelineEvent(tabId, type, details = {}) {
+  if (!tabId) return;
+  const tabState = getTabState(tabId);
+  const event = {
+    type,
+    tabId,
+    timestamp: Date.now(),
+    videoId: tabState?.timelineVideoId || null,
+    sourceSite: tabState?.sourceSite,
+    embedOrigin: tabState?.embedOrigin,
+    ...details
+  };
+
+  // En serie: los eventos se guardan en el orden en que ocurren
+  recordQueue = recordQueue.then(async () => {
+    const session = await getSessionFor(event.timestamp);
+    await addTimelineEvent({ ...event, sessionId: session.id });
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error registrando evento de la sesión:', error.message);
+  });
+}
+
+// Video de la pestaña: registra la apertura o el cambio solo cuando es distinto al anterior
+export function trackTimelineVideo(tabId, videoId) {
+  if (!tabId || !videoId) return;
+  const previousVideoId = getTabState(tabId)?.timelineVideoId || null;
+  if (previousVideoId === videoId) return;
+
+  updateTabState(tabId, { timelineVideoId: videoId }, { touch: false });
+  recordTimelineEvent(tabId, previousVideoId ? 'video_changed' : 'video_opened', { videoId, previousVideoId });
+}
+
+// Eliminar eventos fuera del periodo de retención (como máximo una vez al día)
+export function pruneTimelineIfNeeded(now = Date.now()) {
+  if (now - lastPrune < PRUNE_INTERVAL) return;
+  lastPrune = now;
+  pruneTimeline(now).catch(error => {
+    console.warn('[AdHunt3r] Error limpiando la línea temporal:', error.message);
+  });
+}
@@ -0,0 +1,52 @@
+// Módulo de estadísticas a largo plazo (service worker)
+// Alimenta los buckets por hora/día con anuncios, videos y tiempo de reproducción
+
+import { recordAdStat, recordVideoStat, recordVideoWatchTime, pruneStats } from '../popup/storage/statsStore.js';
+import { getTabState, updateTabState } from './tabStateStore.js';
+
+const MAX_WATCH_SESSION = 4 * 60 * 60 * 1000; // Limitar sesiones olvidadas (pestaña en segundo plano)
+const PRUNE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// El video en reproducción ({ videoId, startedAt }) se guarda en el estado de la pestaña (tabStateStore.js):
+// si el service worker se suspende a mitad del video, el tiempo medido no se pierde
+let lastPrune = 0;
+
+export function trackAdStat(adId, adTypeInfo, timestamp = Date.now()) {
+  recordAdStat(adId, adTypeInfo, timestamp).catch(error => {
+    console.warn('[AdHunt3r] Error guardando estadística de anuncio:', error.message);
+  });
+}
+
+// Registrar un video nuevo en la pestaña y empezar a medir su tiempo de reproducción
+export function trackVideoStat(tabId, videoId, timestamp = Date.now()) {
+  if (!tabId || !videoId) return;
+  if (getTabState(tabId)?.watching?.videoId === videoId) return;
+
+  stopVideoWatch(tabId, timestamp);
+  updateTabState(tabId, { watching: { videoId, startedAt: timestamp } }, { touch: false });
+
+  recordVideoStat(videoId, timestamp).catch(error => {
+    console.warn('[AdHunt3r] Error guardando estadística de video:', error.message);
+  });
+}
+
+// Cerrar la medición del video de la pestaña (cambio de video, cierre o navegación)
+export function stopVideoWatch(tabId, endedAt = Date.now()) {
+  const watching = getTabState(tabId)?.watching;
+  if (!watching) return;
+  updateTabState(tabId, { watching: null }, { touch: false });
+
+  const end = Math.min(endedAt, watching.startedAt + MAX_WATCH_SESSION);
+  recordVideoWatchTime(watching.startedAt, end).catch(error => {
+    console.warn('[AdHunt3r] Error guardando tiempo de reproducción:', error.message);
+  });
+}
+
+// Eliminar buckets fuera del periodo de retención (como máximo una vez al día)
+export function pruneStatsIfNeeded(now = Date.now()) {
+  if (now - lastPrune < PRUNE_INTERVAL) return;
+  lastPrune = now;
+  pruneStats(now).catch(error => {
+    console.warn('[AdHunt3r] Error limpiando estadísticas antiguas:', error.message);
+  });
+}
@@ -0,0 +1,238 @@
+// Estado por pestaña del service worker (chrome.storage.session)
+// MV3 suspende el service worker tras un rato sin eventos y las variables del módulo se pierden.
+// Cada pestaña tiene un TabState en su propia clave (tabstate_<tabId>) y aquí se mantiene una copia
+// en memoria para leerla de forma síncrona; los cambios seguidos se agrupan antes de escribirlos.
+// Las pestañas sin actividad se eliminan por TTL desde la alarma de limpieza de background.js.
+// storage.session se borra al cerrar el navegador
+
+const TAB_STATE_PREFIX = 'tabstate_';
+const VIDEO_PROCESSING_KEY = 'adhunt3r_video_processing';
+const SAVE_DELAY_MS = 250;
+const MAX_DEBUG_TEXT_LENGTH = 20000;
+const MAX_DEBUG_VALUE_LENGTH = 2000;
+
+/**
+ * @typedef {Object} TabState
+ * @property {string} debugText - Texto de depuración del reproductor
+ * @property {Object} debugInfo - Args del reproductor (ytInitialPlayerResponse reducido a videoDetails)
+ * @property {boolean} adActive
+ * @property {string|null} addebug_videoId - Anuncio en reproducción
+ * @property {string|null} debug_videoId - Video en reproducción
+ * @property {Object|null} adTypeInfo
+ * @property {string} surface - 'watch', 'shorts' o 'embed'
+ * @property {string|null} embedOrigin - Web que inserta el reproductor embebido
+ * @property {string} sourceSite - 'youtube', 'music' o 'kids'
+ * @property {boolean|null} badgeAdState - Último estado mostrado en el badge
+ * @property {string|null} lastCountedVideoId - Último video contado en la pestaña
+ * @property {{adId: string, timestamp: number}|null} lastCountedAd - Último anuncio contado en la pestaña
+ * @property {string|null} timelineVideoId - Último video registrado en la línea temporal (ver sessionRecorder.js)
+ * @property {Object|null} openImpression - Impresión del anuncio en curso (ver impressionTracker.js)
+ * @property {Array<Object>} recentImpressions - Últimas impresiones cerradas (ver impressionTracker.js)
+ * @property {{videoId: string, startedAt: number}|null} watching - Video cuyo tiempo se mide (ver statsTracker.js)
+ * @property {Object} busFrames - Último seq procesado por frame (ver messageBus.js)
+ * @property {number} lastUpdate
+ */
+
+let tabStates = {};        // tabId -> TabState
+let videoProcessing = {};  // videoId -> timestamp (conteo en curso, compartido entre pestañas)
+let tabStatesRestored = false;
+let saveTimeout = null;
+const dirtyTabs = new Set();
+let videoProcessingDirty = false;
+
+export function createTabState() {
+  return {
+    debugText: '',
+    debugInfo: {},
+    adActive: false,
+    addebug_videoId: null,
+    debug_videoId: null,
+    adTypeInfo: null,
+    surface: 'watch',
+    embedOrigin: null,
+    sourceSite: 'youtube',
+    badgeAdState: null,
+    lastCountedVideoId: null,
+    lastCountedAd: null,
+    timelineVideoId: null,
+    openImpression: null,
+    recentImpressions: [],
+    watching: null,
+    busFrames: {},
+    lastUpdate: Date.now()
+  };
+}
+
+// ytInitialPlayerResponse puede ocupar cientos de KB: se guardan los valores simples y videoDetails
+function compactDebugInfo(debugInfo) {
+  const compact = {};
+  Object.entries(debugInfo || {}).forEach(([key, value]) => {
+    if (typeof value === 'number' || typeof value === 'boolean' ||
+        (typeof value === 'string' && value.length <= MAX_DEBUG_VALUE_LENGTH)) {
+      compact[key] = value;
+    }
+  });
+  if (debugInfo?.ytInitialPlayerResponse?.videoDetails) {
+    compact.ytInitialPlayerResponse = { videoDetails: debugInfo.ytInitialPlayerResponse.videoDetails };
+  }
+  return compact;
+}
+
+function toStoredState(state) {
+  return {
+    ...state,
+    debugText: typeof state.debugText === 'string' ? state.debugText.slice(0, MAX_DEBUG_TEXT_LENGTH) : '',
+    debugInfo: compactDebugInfo(state.debugInfo)
+  };
+}
+
+function flushTabStates() {
+  saveTimeout = null;
+  const updates = {};
+  const removals = [];
+
+  dirtyTabs.forEach(tabId => {
+    if (tabStates[tabId]) {
+      updates[TAB_STATE_PREFIX + tabId] = toStoredState(tabStates[tabId]);
+    } else {
+      removals.push(TAB_STATE_PREFIX + tabId);
+    }
+  });
+  dirtyTabs.clear();
+  if (videoProcessingDirty) {
+    updates[VIDEO_PROCESSING_KEY] = videoProcessing;
+    videoProcessingDirty = false;
+  }
+
+  const onError = () => {
+    if (chrome.runtime.lastError) {
+      console.warn('[AdHunt3r] Error guardando el estado de las pestañas:', chrome.runtime.lastError.message);
+    }
+  };
+  if (Object.keys(updates).length > 0) chrome.storage.session.set(updates, onError);
+  if (removals.length > 0) chrome.storage.session.remove(removals, onError);
+}
+
+function scheduleSave(tabId = null) {
+  if (tabId !== null) dirtyTabs.add(String(tabId));
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(flushTabStates, SAVE_DELAY_MS);
+}
+
+function restoreTabStates() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get(null, (stored) => {
+      if (chrome.runtime.lastError) {
+        console.warn('[AdHunt3r] Error restaurando el estado de las pestañas:', chrome.runtime.lastError.message);
+      } else {
+        Object.entries(stored || {}).forEach(([key, value]) => {
+          const tabId = key.startsWith(TAB_STATE_PREFIX) ? key.slice(TAB_STATE_PREFIX.length) : null;
+          // Lo recibido mientras se restauraba el estado es más reciente que lo guardado
+          if (tabId && !tabStates[tabId] && value && typeof value === 'object') {
+            tabStates[tabId] = { ...createTabState(), ...value };
+          }
+        });
+        videoProcessing = { ...stored?.[VIDEO_PROCESSING_KEY], ...videoProcessing };
+      }
+      tabStatesRestored = true;
+      resolve();
+    });
+  });
+}
+
+// Promesa del arranque: background.js no procesa mensajes hasta que se resuelve
+export const tabStatesReady = restoreTabStates();
+
+export function areTabStatesReady() {
+  return tabStatesRestored;
+}
+
+// === [ACCESO POR PESTAÑA] ===
+/**
+ * Estado de la pestaña (solo lectura: los cambios se hacen con updateTabState).
+ * @returns {TabState|null}
+ */
+export function getTabState(tabId) {
+  return tabStates[tabId] || null;
+}
+
+/**
+ * Aplica cambios al estado de la pestaña (lo crea si no existe) y programa su guardado.
+ * @param {number} tabId
+ * @param {Partial<TabState>} changes
+ * @param {Object} options - { touch: false } para no renovar lastUpdate (cambios que no son actividad)
+ * @returns {TabState}
+ */
+export function updateTabState(tabId, changes, { touch = true } = {}) {
+  const current = tabStates[tabId] || createTabState();
+  tabStates[tabId] = { ...current, ...changes, lastUpdate: touch ? Date.now() : current.lastUpdate };
+  scheduleSave(tabId);
+  return tabStates[tabId];
+}
+
+export function removeTabState(tabId) {
+  if (!tabStates[tabId]) return;
+  delete tabStates[tabId];
+  scheduleSave(tabId);
+}
+
+/**
+ * Aplica cambios a todas las pestañas con estado (p.ej. al resetear los contadores).
+ * @param {Partial<TabState>} changes
+ */
+export function updateAllTabStates(changes) {
+  Object.keys(tabStates).forEach(tabId => updateTabState(tabId, changes, { touch: false }));
+}
+
+/**
+ * Elimina los estados caducados: sin actividad en maxAge, de pestañas ya cerradas o por encima de maxEntries.
+ * @param {number} maxAge - TTL en ms desde el último cambio
+ * @param {number} maxEntries - Máximo de pestañas con estado (se conservan las más recientes)
+ * @param {Array<number>|null} openTabIds - Pestañas abiertas (null si no se conocen)
+ * @returns {number} Estados eliminados
+ */
+export function cleanupTabStates(maxAge, maxEntries, openTabIds = null) {
+  const now = Date.now();
+  const open = openTabIds ? new Set(openTabIds.map(String)) : null;
+  let removed = 0;
+
+  Object.entries(tabStates)
+    .sort(([, a], [, b]) => b.lastUpdate - a.lastUpdate)
+    .forEach(([tabId, state], index) => {
+      if (now - state.lastUpdate > maxAge || index >= maxEntries || (open && !open.has(tabId))) {
+        removeTabState(tabId);
+        removed++;
+      }
+    });
+
+  return removed;
+}
+
+// === [CONTEO DE VIDEOS EN CURSO] ===
+// Evita contar dos veces un video abierto a la vez en varias pestañas mientras se lee el storage
+export function claimVideoProcessing(videoId, maxAge) {
+  const claimedAt = videoProcessing[videoId];
+  if (claimedAt && Date.now() - claimedAt <= maxAge) return false;
+  videoProcessing[videoId] = Date.now();
+  videoProcessingDirty = true;
+  scheduleSave();
+  return true;
+}
+
+export function releaseVideoProcessing(videoId) {
+  if (!(videoId in videoProcessing)) return;
+  delete videoProcessing[videoId];
+  videoProcessingDirty = true;
+  scheduleSave();
+}
+
+export function clearVideoProcessing(maxAge = 0) {
+  const now = Date.now();
+  Object.keys(videoProcessing).forEach(videoId => {
+    if (now - videoProcessing[videoId] >= maxAge) {
+      delete videoProcessing[videoId];
+      videoProcessingDirty = true;
+    }
+  });
+  if (videoProcessingDirty) scheduleSave();
+}
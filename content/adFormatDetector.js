@@ -0,0 +1,290 @@
+// adFormatDetector.js
+// Detector de formatos de anuncio que no son video: banners superpuestos al reproductor,
+// anuncios complementarios junto al reproductor, tarjetas promocionadas del feed y la búsqueda,
+// masthead de la portada y anuncios de Shorts. Se ejecuta en el mundo aislado (lee el DOM directamente)
+// y envía cada anuncio al service worker, que lo valida y lo guarda en el historial
+(function detectAdFormats() {
+  // === [RENDERERS POR FORMATO] ===
+  // De más específico a más genérico: cada elemento se asigna al primer formato que lo reconoce
+  const AD_FORMAT_RENDERERS = [
+    {
+      kind: 'overlay',
+      selectors: ['.ytp-ad-overlay-slot', '.ytp-ad-overlay-container', '.ytp-ad-image-overlay']
+    },
+    {
+      kind: 'masthead',
+      selectors: ['ytd-video-masthead-ad-v3-renderer', '#masthead-ad ytd-ad-slot-renderer', 'ytd-banner-promo-renderer']
+    },
+    {
+      kind: 'shorts',
+      selectors: ['ytd-reel-video-renderer ytd-ad-slot-renderer', 'ytd-reel-video-renderer ytd-in-feed-ad-layout-renderer', 'ytd-reel-video-renderer ytd-ad-inline-playback-meta-block']
+    },
+    {
+      kind: 'companion',
+      selectors: ['#player-ads ytd-ad-slot-renderer', 'ytd-companion-slot-renderer', 'ytd-action-companion-ad-renderer', 'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-ads"]']
+    },
+    {
+      kind: 'promoted',
+      selectors: ['ytd-ad-slot-renderer', 'ytd-in-feed-ad-layout-renderer', 'ytd-promoted-video-renderer', 'ytd-search-pyv-renderer', 'ytd-promoted-sparkles-web-renderer', 'ytd-promoted-sparkles-text-search-renderer', 'ytd-display-ad-renderer']
+    }
+  ];
+
+  // Cadenas de fallback para cada campo dentro del renderer
+  const FIELD_SELECTORS = {
+    title: ['.ytp-ad-overlay-title', '#video-title', '#title', '#headline', '[id*="headline"]', '.ytd-ad-slot-renderer h3', 'h3'],
+    advertiser: ['.ytp-ad-overlay-link', '#website-text', '#display-url', '[class*="advertiser"]', '#channel-name', '#byline', '.ytp-ad-visit-advertiser-button'],
+    description: ['.ytp-ad-overlay-desc', '#description', '#description-text', '#body-text'],
+    clickLink: ['a[href*="googleadservices.com"]', 'a[href*="/pagead/"]', 'a[href*="/aclk"]'],
+    videoLink: ['a[href*="/watch?v="]', 'a[href*="/shorts/"]']
+  };
+
+  const SETTING_KEY = 'displayAdDetectionEnabled'; // Toggle del popup (deshabilitado por defecto)
+  const SCAN_DELAY = 1000;       // Agrupar las mutaciones del DOM antes de escanear
+  const FALLBACK_SCAN_INTERVAL = 15000; // Escaneo de respaldo (renderers que aparecen fuera de las raíces observadas)
+  const CONFIRM_DELAY = 1500;    // Segundo escaneo para confirmar candidatos (el renderer termina de pintarse)
+  const MAX_TEXT_LENGTH = 200;
+
+  // Contenedores donde YouTube inserta los anuncios. No se observa todo el documento: el tiempo
+  // del reproductor, la barra de progreso y la hidratación del feed lo cambian sin parar.
+  // Las listas solo se observan en su primer nivel (tarjetas nuevas); los bloques de anuncios, completos
+  const OBSERVED_ROOTS = [
+    { selector: '#masthead-ad', subtree: true },
+    { selector: '#player-ads', subtree: true },
+    { selector: '.ytp-ad-module', subtree: true },
+    { selector: 'ytd-rich-grid-renderer > #contents', subtree: false },
+    { selector: 'ytd-section-list-renderer > #contents', subtree: false },
+    { selector: 'ytd-item-section-renderer > #contents', subtree: false },
+    { selector: 'ytd-watch-next-secondary-results-renderer #items', subtree: false },
+    { selector: '#shorts-inner-container', subtree: false }
+  ];
+
+  let enabled = false;
+  let scanTimeout = null;
+  let fallbackInterval = null;
+  let pageKey = location.href;
+  const pendingAds = new Map();   // firma -> anuncio visto en el escaneo anterior
+  const reportedAds = new Set();  // firmas ya enviadas en esta página
+
+  // === [EXTRACCIÓN] ===
+  function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+  }
+
+  function queryFirst(root, selectors) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  function queryText(root, selectors) {
+    for (const selector of selectors) {
+      const text = cleanText(root.querySelector(selector)?.textContent);
+      if (text) return text;
+    }
+    return '';
+  }
+
+  function toHttpUrl(value) {
+    try {
+      const url = new URL(value, location.origin);
+      return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function getVideoIdFromUrl(url) {
+    if (!url || !/(^|\.)youtube\.com$/.test(url.hostname)) return null;
+    if (url.pathname === '/watch') return url.searchParams.get('v');
+    const shorts = url.pathname.match(/^\/shorts\/([\w-]{11})/);
+    return shorts ? shorts[1] : null;
+  }
+
+  // Los enlaces de clic pasan por el redirector de Google: el destino real va en adurl
+  function getLandingUrl(url) {
+    if (!url) return null;
+    const adUrl = url.searchParams.get('adurl');
+    const landing = adUrl ? toHttpUrl(adUrl) : null;
+    if (landing) return landing.href;
+    return /(^|\.)youtube\.com$/.test(url.hostname) ? null : url.href;
+  }
+
+  function getThumbnail(root) {
+    const image = Array.from(root.querySelectorAll('img')).find(img => /^https?:/.test(img.currentSrc || img.src));
+    if (image) return image.currentSrc || image.src;
+    // Los banners del overlay y del masthead usan a veces background-image
+    const styled = root.querySelector('[style*="background-image"]');
+    const match = styled?.style.backgroundImage.match(/url\(["']?(https?:[^"')]+)["']?\)/);
+    return match ? match[1] : '';
+  }
+
+  function getPageContext() {
+    const url = new URL(location.href);
+    let pageType = 'other';
+    if (url.pathname === '/') pageType = 'home';
+    else if (url.pathname === '/results') pageType = 'search';
+    else if (url.pathname === '/watch') pageType = 'watch';
+    else if (url.pathname.startsWith('/shorts/')) pageType = 'shorts';
+    return { pageType, pageUrl: url.origin + url.pathname + url.search, hostVideoId: getVideoIdFromUrl(url) };
+  }
+
+  function extractAd(kind, element) {
+    const clickAnchor = queryFirst(element, FIELD_SELECTORS.clickLink);
+    const videoAnchor = queryFirst(element, FIELD_SELECTORS.videoLink);
+    const anyAnchor = Array.from(element.querySelectorAll('a[href]')).find(anchor => toHttpUrl(anchor.href));
+    const clickUrl = toHttpUrl((clickAnchor || anyAnchor)?.href);
+    const videoId = getVideoIdFromUrl(toHttpUrl(videoAnchor?.href));
+
+    const ad = {
+      kind,
+      renderer: element.tagName.toLowerCase().startsWith('ytd-') ? element.tagName.toLowerCase() : element.className.split(' ')[0] || kind,
+      title: queryText(element, FIELD_SELECTORS.title),
+      advertiser: queryText(element, FIELD_SELECTORS.advertiser),
+      description: queryText(element, FIELD_SELECTORS.description),
+      link: clickUrl ? clickUrl.href : '',
+      landingUrl: getLandingUrl(clickUrl) || '',
+      thumbnail: getThumbnail(element),
+      videoId: videoId || null
+    };
+
+    // Un renderer vacío (hueco reservado sin creatividad) no es un anuncio
+    if (!ad.title && !ad.advertiser && !ad.link && !ad.videoId) return null;
+    return ad;
+  }
+
+  function isRendered(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  function getSignature(ad) {
+    return [ad.kind, ad.videoId || '', ad.advertiser, ad.title, ad.landingUrl].join('|');
+  }
+
+  // === [ESCANEO] ===
+  function findAds() {
+    const claimed = [];
+    const ads = [];
+
+    AD_FORMAT_RENDERERS.forEach(({ kind, selectors }) => {
+      document.querySelectorAll(selectors.join(',')).forEach(element => {
+        // Renderers anidados (ytd-ad-slot-renderer > ytd-in-feed-ad-layout-renderer) cuentan una vez
+        if (claimed.some(parent => parent === element || parent.contains(element))) return;
+        if (!isRendered(element)) return;
+        claimed.push(element);
+        const ad = extractAd(kind, element);
+        if (ad) ads.push(ad);
+      });
+    });
+
+    return ads;
+  }
+
+  function resetPage() {
+    pageKey = location.href;
+    pendingAds.clear();
+    reportedAds.clear();
+  }
+
+  function scanPage() {
+    scanTimeout = null;
+    if (location.href !== pageKey) resetPage();
+
+    const seen = new Map();
+    findAds().forEach(ad => {
+      const signature = getSignature(ad);
+      if (!reportedAds.has(signature)) seen.set(signature, ad);
+    });
+
+    // Solo se envían los anuncios que siguen iguales en dos escaneos (texto e imagen ya cargados)
+    seen.forEach((ad, signature) => {
+      if (!pendingAds.has(signature)) return;
+      reportedAds.add(signature);
+      seen.delete(signature);
+      reportAd(ad);
+    });
+
+    pendingAds.clear();
+    seen.forEach((ad, signature) => pendingAds.set(signature, ad));
+    if (pendingAds.size > 0) scheduleScan(CONFIRM_DELAY);
+  }
+
+  function scheduleScan(delay = SCAN_DELAY) {
+    if (scanTimeout) return;
+    scanTimeout = setTimeout(scanPage, delay);
+  }
+
+  function reportAd(ad) {
+    try {
+      chrome.runtime.sendMessage({
+        type: 'DISPLAY_AD_DETECTED',
+        ad: { ...ad, ...getPageContext() }
+      }).catch(() => {
+        // Service worker no disponible; se pierde solo este anuncio
+      });
+    } catch (e) {
+      // Contexto de la extensión invalidado (extensión recargada): dejar de observar
+      stop();
+    }
+  }
+
+  // === [OBSERVACIÓN] ===
+  const observer = new MutationObserver(() => scheduleScan());
+
+  // Las raíces cambian con la navegación interna: se vuelven a enlazar al navegar y en el respaldo
+  function observeRoots() {
+    observer.disconnect();
+    OBSERVED_ROOTS.forEach(({ selector, subtree }) => {
+      document.querySelectorAll(selector).forEach(root => observer.observe(root, { childList: true, subtree }));
+    });
+  }
+
+  function start() {
+    if (enabled) return;
+    enabled = true;
+    observeRoots();
+    fallbackInterval = setInterval(() => {
+      if (document.hidden) return;
+      observeRoots();
+      scheduleScan();
+    }, FALLBACK_SCAN_INTERVAL);
+    scheduleScan();
+  }
+
+  function stop() {
+    enabled = false;
+    observer.disconnect();
+    clearInterval(fallbackInterval);
+    fallbackInterval = null;
+    clearTimeout(scanTimeout);
+    scanTimeout = null;
+    pendingAds.clear();
+  }
+
+  // Navegación interna de YouTube (SPA): empezar de cero en la nueva página.
+  // yt-page-data-updated llega cuando el contenido de la página (feed, resultados) ya está cargado
+  window.addEventListener('yt-navigate-finish', () => {
+    if (!enabled) return;
+    resetPage();
+    observeRoots();
+    scheduleScan();
+  });
+
+  window.addEventListener('yt-page-data-updated', () => {
+    if (!enabled) return;
+    observeRoots();
+    scheduleScan();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[SETTING_KEY]) return;
+    if (changes[SETTING_KEY].newValue) start();
+    else stop();
+  });
+
+  chrome.storage.local.get({ [SETTING_KEY]: false }, (result) => {
+    if (!chrome.runtime.lastError && result[SETTING_KEY]) start();
+  });
+})();
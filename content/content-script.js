@@ -1,59 +1,21 @@
 // content-script.js
 (function injectDebugScript() {
-  // === [SISTEMA DE PERFORMANCE OPTIMIZADO] ===
-  const PERFORMANCE_THRESHOLD = 16; // 16ms = 60fps
-  const DEBOUNCE_DELAY = 300; // 300ms para debouncing
-  
-  // Sistema de debouncing para evitar ejecuciones excesivas
-  const debounceCache = new Map();
-  
-  function debounce(func, delay, key) {
-    const cacheKey = key || func.name || 'anonymous';
-    
-    if (debounceCache.has(cacheKey)) {
-      clearTimeout(debounceCache.get(cacheKey));
-    }
-    
-    const timeoutId = setTimeout(() => {
-      requestAnimationFrame(() => {
-        const startTime = performance.now();
-        func();
-        const endTime = performance.now();
-        
-        // Performance monitoring disabled
-      });
-      debounceCache.delete(cacheKey);
-    }, delay);
-    
-    debounceCache.set(cacheKey, timeoutId);
-  }
-  
-  // Función optimizada para manejar mensajes sin bloquear
-  function optimizedMessageHandler(handler) {
-    return function(event) {
-      const scheduleFn = window.requestIdleCallback || requestAnimationFrame;
-      
-      scheduleFn(() => {
-        const startTime = performance.now();
-        handler.call(this, event);
-        const endTime = performance.now();
-        
-        // Performance monitoring disabled
-      });
-    };
-  }
+  // === [BUS DE MENSAJES AL SERVICE WORKER] ===
+  // inject.js avisa en cuanto cambia el estado del reproductor (ver DETECCIÓN POR EVENTOS en inject.js) y
+  // cada cambio se envía con un número de secuencia. El service worker confirma cada mensaje (ack) tras
+  // procesarlo; lo no confirmado se reenvía con espera creciente (el service worker puede estar arrancando).
+  // Cada tipo tiene su propia cola en orden: un informe de eventos lento no retrasa el fin de un anuncio
+  const BUS_RETRY_DELAYS_MS = [250, 500, 1000, 2000, 4000, 8000];
+  const BUS_MAX_QUEUE_LENGTH = 50;
+  // Identifica esta instancia del content-script: al recargar la página la secuencia vuelve a empezar
+  const busSession = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  let busSeq = 0;
+  let busClosed = false;
+  const busQueues = new Map(); // tipo -> { items: [{ message, attempts }], sending }
 
-  // Variables de estado optimizadas
   let lastAdDebugId = null;
-let lastAdState = false;
-  let stableAdCheckCount = 0;
-
-let messageBuffer = {
-  lastVideoDebugAll: null,
-  lastAdDetected: null,
-  lastAdEnded: null,
-  lastSentTime: 0
-};
+  let lastAdState = false;
+  let lastVideoDebugAll = null;
 
 // Función para comparar si dos objetos son similares
 function isMessageSimilar(msg1, msg2) {
@@ -61,137 +23,106 @@ function isMessageSimilar(msg1, msg2) {
   return JSON.stringify(msg1) === JSON.stringify(msg2);
 }
 
-  // Función centralizada para enviar mensajes sin duplicados (optimizada)
-function sendMessage(messageData) {
-  const now = Date.now();
-  const messageType = messageData.type;
-  
-  // Evitar envío de mensajes muy frecuentes (menos de 500ms)
-  if (now - messageBuffer.lastSentTime < 500) {
-    return false;
-  }
-  
-  // Verificar duplicados según el tipo de mensaje
-  let isDuplicate = false;
-  switch (messageType) {
-    case 'VIDEO_DEBUG_ALL':
-      isDuplicate = isMessageSimilar(messageData, messageBuffer.lastVideoDebugAll);
-      if (!isDuplicate) messageBuffer.lastVideoDebugAll = { ...messageData };
-      break;
-    case 'AD_DETECTED':
-      isDuplicate = isMessageSimilar(messageData, messageBuffer.lastAdDetected);
-      if (!isDuplicate) messageBuffer.lastAdDetected = { ...messageData };
-      break;
-    case 'AD_ENDED':
-      isDuplicate = isMessageSimilar(messageData, messageBuffer.lastAdEnded);
-      if (!isDuplicate) messageBuffer.lastAdEnded = { ...messageData };
-      break;
+function flushBusQueue(type) {
+  const queue = busQueues.get(type);
+  if (busClosed || !queue || queue.sending || queue.items.length === 0) return;
+
+  const entry = queue.items[0];
+  queue.sending = true;
+  let request;
+  try {
+    request = chrome.runtime.sendMessage(entry.message);
+  } catch (e) {
+    // Contexto de la extensión invalidado (extensión recargada): nadie va a confirmar ya
+    busClosed = true;
+    busQueues.clear();
+    return;
   }
-  
-  // Solo enviar si no es duplicado
-  if (!isDuplicate && typeof chrome !== 'undefined' && chrome.runtime && typeof chrome.runtime.sendMessage === 'function') {
-    try {
-      chrome.runtime.sendMessage(messageData);
-      messageBuffer.lastSentTime = now;
-      return true;
-    } catch (e) {
-      // Silenciar error si el service worker no está listo
-      return false;
+
+  request.then(response => {
+    queue.sending = false;
+    if (response?.ack === entry.message.bus.seq) {
+      queue.items.shift();
+      flushBusQueue(type);
+    } else {
+      retryBusQueue(type, entry);
     }
-  }
-  
-  return false;
+  }).catch(() => {
+    queue.sending = false;
+    retryBusQueue(type, entry);
+  });
+}
+
+function retryBusQueue(type, entry) {
+  const delay = BUS_RETRY_DELAYS_MS[Math.min(entry.attempts, BUS_RETRY_DELAYS_MS.length - 1)];
+  entry.attempts++;
+  setTimeout(() => flushBusQueue(type), delay);
 }
 
-// Función centralizada para obtener addebug_videoId (optimizado)
-function getAdDebugVideoId() {
-  let addebug_videoId = null;
-  if (window.ytplayer && window.ytplayer.config && window.ytplayer.config.args && window.ytplayer.config.args.addebug_videoId) {
-    addebug_videoId = window.ytplayer.config.args.addebug_videoId;
-  } else if (window.ytInitialPlayerResponse && window.ytInitialPlayerResponse.addebug_videoId) {
-    addebug_videoId = window.ytInitialPlayerResponse.addebug_videoId;
+// Función centralizada para enviar mensajes (solo se descarta un VIDEO_DEBUG_ALL idéntico al anterior)
+function sendMessage(messageData) {
+  if (busClosed) return false;
+  if (messageData.type === 'VIDEO_DEBUG_ALL') {
+    if (isMessageSimilar(messageData, lastVideoDebugAll)) return false;
+    lastVideoDebugAll = { ...messageData };
+  }
+
+  if (!busQueues.has(messageData.type)) {
+    busQueues.set(messageData.type, { items: [], sending: false });
+  }
+  const queue = busQueues.get(messageData.type);
+  queue.items.push({ message: { ...messageData, bus: { session: busSession, seq: ++busSeq } }, attempts: 0 });
+
+  // Service worker caído mucho tiempo: descartar lo más antiguo (el primero puede estar en vuelo)
+  if (queue.items.length > BUS_MAX_QUEUE_LENGTH) {
+    queue.items.splice(1, queue.items.length - BUS_MAX_QUEUE_LENGTH);
+    console.warn(`[AdHunt3r] Cola de ${messageData.type} llena: se descartan los mensajes más antiguos`);
   }
-  return addebug_videoId;
+
+  flushBusQueue(messageData.type);
+  return true;
 }
 
-  // Función optimizada para verificar anuncios
-  function checkAdStatus() {
+// Origen de la web que inserta el reproductor (solo en los iframes /embed/ del modo embebido)
+function getEmbedOrigin() {
+  if (window.top === window || !location.pathname.startsWith('/embed/')) return null;
+  if (location.ancestorOrigins && location.ancestorOrigins.length > 0) {
+    return location.ancestorOrigins[0];
+  }
   try {
-    // Usar función centralizada (optimizado)
-    const addebug_videoId = getAdDebugVideoId();
-    
-    // Verificar si hay un cambio REAL en el estado
-    const hasAd = !!addebug_videoId;
-    const adIdChanged = addebug_videoId !== lastAdDebugId;
-    const adStateChanged = hasAd !== lastAdState;
-    
-    // Solo notificar si hay un cambio significativo Y ha sido estable por al menos 1 verificación
-    if (adStateChanged || adIdChanged) {
-      stableAdCheckCount = 0; // Resetear contador en cambio
-    } else {
-      stableAdCheckCount++;
-    }
-    
-    // Notificar cambios cuando hay un cambio significativo Y es estable
-    // Para anuncios nuevos: notificar inmediatamente (stableAdCheckCount == 0 tras el cambio)
-    // Para fin de anuncio: esperar 1 segundo de estabilidad
-    if (adStateChanged || adIdChanged) {
-      if (hasAd && addebug_videoId !== lastAdDebugId) {
-        // Nuevo anuncio detectado - notificar inmediatamente
-        lastAdDebugId = addebug_videoId;
-        lastAdState = true;
-        
-        // NUEVO: Forzar actualización de debug info cuando se detecta un anuncio nuevo
-        window.postMessage({ type: 'FORCE_DEBUG_TEXT' }, '*');
-        
-        // Usar función centralizada para evitar duplicados (optimizado)
-        sendMessage({
-          type: 'AD_DETECTED',
-          addebug_videoId,
-          tabId: (typeof chrome !== 'undefined' && chrome.tabs && chrome.tabs.TAB_ID_NONE !== undefined && chrome.tabs.TAB_ID_NONE) ? chrome.tabs.TAB_ID_NONE : undefined
-        });
-      } else if (!hasAd && lastAdState && stableAdCheckCount >= 1) {
-        // Fin del anuncio detectado - solo después de 1 segundo de estabilidad
-        lastAdState = false;
-        lastAdDebugId = null;
-        
-        // NUEVO: Forzar actualización cuando termina un anuncio
-        window.postMessage({ type: 'FORCE_DEBUG_TEXT' }, '*');
-        
-        // Usar función centralizada para evitar duplicados (optimizado)
-        sendMessage({
-          type: 'AD_ENDED',
-          tabId: (typeof chrome !== 'undefined' && chrome.tabs && chrome.tabs.TAB_ID_NONE !== undefined && chrome.tabs.TAB_ID_NONE) ? chrome.tabs.TAB_ID_NONE : undefined
-        });
-      }
-    }
+    return document.referrer ? new URL(document.referrer).origin : null;
   } catch (e) {
-    // Silenciar errores
-  }
+    return null;
   }
+}
 
-  // Nueva función: comprueba cada 2 segundos si hay un addebug_videoId nuevo o cambiado (optimizado)
-  setInterval(() => {
-    debounce(checkAdStatus, DEBOUNCE_DELAY, 'ad_status_check');
-}, 2000); // Optimizado: reducido de 1000ms a 2000ms
+// Inicio y fin del anuncio: se notifican con el mismo estado que llega de inject.js
+function notifyAdTransition(addebug_videoId) {
+  if (addebug_videoId && addebug_videoId !== lastAdDebugId) {
+    lastAdDebugId = addebug_videoId;
+    lastAdState = true;
+    // Pedir a inject.js el estado completo del anuncio recién empezado (tipo, posición, pod)
+    window.postMessage({ type: 'FORCE_DEBUG_TEXT' }, '*');
+    sendMessage({ type: 'AD_DETECTED', addebug_videoId });
+  } else if (!addebug_videoId && lastAdState) {
+    lastAdState = false;
+    lastAdDebugId = null;
+    sendMessage({ type: 'AD_ENDED' });
+  }
+}
 
-// Listener de mensajes optimizado para procesar datos de debug (optimizado)
-  window.addEventListener('message', optimizedMessageHandler(function(event) {
+// Listener de mensajes para procesar datos de debug (síncrono: no retrasar el inicio o fin de un anuncio)
+  window.addEventListener('message', function(event) {
   if (event.source !== window) return;
   if (event.data && event.data.type === 'YTD_DEBUG_ALL') {
-    // Solo envía el estado de anuncio si addebug_videoId existe
     const addebug_videoId = event.data.addebug_videoId;
     const adActive = !!addebug_videoId;
     
-    // NUEVO: Forzar actualización cuando se detecta un anuncio
-    if (adActive && addebug_videoId) {
-      // Enviar FORCE_DEBUG_TEXT para asegurar que los datos estén actualizados
-      window.postMessage({ type: 'FORCE_DEBUG_TEXT' }, '*');
-    }
-    
-    // Solo enviar si hay cambios relevantes en los datos (optimizado)
+    // Solo enviar si hay cambios relevantes en los datos
     sendMessage({
       type: 'VIDEO_DEBUG_ALL',
+      surface: event.data.surface,
+      embedOrigin: event.data.surface === 'embed' ? getEmbedOrigin() : null,
       debugText: event.data.debugText,
       debugInfo: event.data.debugInfo,
       adActive,
@@ -200,10 +131,9 @@ function getAdDebugVideoId() {
       adTypeInfo: event.data.adTypeInfo // ← NUEVO: información del tipo de anuncio
     });
     
-    // NO notificar cambios de anuncio aquí - se hace en el setInterval arriba
-    // para evitar notificaciones duplicadas y parpadeos
+    notifyAdTransition(addebug_videoId);
   }
-  }));
+  });
 
 // Permite que el popup fuerce la obtención de la info de debug en tiempo real
   chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
@@ -361,11 +291,65 @@ function getAdDebugVideoId() {
     return handledAsync;
   });
 
+  // === [PACK DE SELECTORES] ===
+  // El inject.js no tiene acceso a chrome.storage: el pack importado se le reenvía por postMessage
+  const SELECTOR_PACK_KEY = 'selectorPack';
+  
+  function postSelectorPack(pack) {
+    window.postMessage({ type: 'ADHUNT3R_SELECTOR_PACK', pack: pack || null }, '*');
+  }
+  
+  function loadSelectorPack() {
+    chrome.storage.local.get([SELECTOR_PACK_KEY], (result) => {
+      if (chrome.runtime.lastError) return;
+      postSelectorPack(result[SELECTOR_PACK_KEY]);
+    });
+  }
+  
+  // Informe de salud de los selectores
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.type !== 'ADHUNT3R_SELECTOR_HEALTH') return;
+    if (!Array.isArray(event.data.results)) return;
+    sendMessage({
+      type: 'SELECTOR_HEALTH_REPORT',
+      packVersion: event.data.packVersion,
+      results: event.data.results
+    });
+  });
+  
+  // Mapa de cortes publicitarios del video (inject.js ya lo agrupa con debounce)
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.type !== 'ADHUNT3R_AD_BREAK_MAP') return;
+    if (!event.data.map || typeof event.data.map !== 'object') return;
+    sendMessage({
+      type: 'AD_BREAK_MAP_UPDATE',
+      map: event.data.map
+    });
+  });
+
+  // Eventos del anuncio (inicio, cuartiles, omitir...): se envían al terminar cada anuncio
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.type !== 'ADHUNT3R_AD_EVENTS') return;
+    if (!event.data.report || typeof event.data.report !== 'object') return;
+    sendMessage({
+      type: 'AD_EVENTS_REPORT',
+      report: event.data.report
+    });
+  });
+
+  // Hot-fix: aplicar un pack nuevo sin recargar la pestaña
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SELECTOR_PACK_KEY]) {
+      postSelectorPack(changes[SELECTOR_PACK_KEY].newValue);
+    }
+  });
+
   // Inyectar el script de debug en la página
   const script = document.createElement('script');
   script.src = chrome.runtime.getURL('content/inject.js');
   script.onload = function() {
     this.remove();
+    loadSelectorPack();
   };
   (document.head || document.documentElement).appendChild(script);
 })();
\ No newline at end of file
@@ -139,6 +139,436 @@ function cachedQuerySelectorAll(selector, context = document) {
   return result;
 }
 
+// === [ADAPTADORES POR SITIO] ===
+// YouTube, YouTube Music y YouTube Kids comparten el reproductor html5 (#movie_player y las clases ytp-ad-*),
+// pero no la aplicación que lo rodea (ytd-app, ytmusic-app, ytk-app). Cada adaptador resuelve lo que cambia:
+// dónde está el reproductor, el videoId de la URL, las páginas sin video y los textos del anuncio fuera del reproductor
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+function getWatchParamVideoId() {
+  if (window.location.pathname !== '/watch') return null;
+  const videoId = new URLSearchParams(window.location.search).get('v');
+  return videoId && VIDEO_ID_PATTERN.test(videoId) ? videoId : null;
+}
+
+const SITE_ADAPTERS = {
+  youtube: {
+    hosts: ['www.youtube.com', 'www.youtube-nocookie.com'],
+    playerSelectors: ['#movie_player', '.html5-video-player'],
+    getVideoIdFromUrl: getWatchParamVideoId,
+    isBrowsePage() {
+      return ['/', '/feed/subscriptions', '/feed/library', '/feed/history', '/feed/trending', '/playlist']
+        .includes(window.location.pathname) || !!document.querySelector('ytd-browse[role="main"]');
+    },
+    overlayFields: {}
+  },
+  music: {
+    hosts: ['music.youtube.com'],
+    playerSelectors: ['ytmusic-player #movie_player', '#movie_player', '.html5-video-player'],
+    getVideoIdFromUrl: getWatchParamVideoId,
+    // La reproducción sigue al navegar por la app: solo es página sin video si el reproductor no tiene nada cargado
+    isBrowsePage() {
+      return !getSiteVideoIdFromUrl() && !getPlayerVideoId(findSitePlayer());
+    },
+    // Durante los anuncios de audio la barra inferior muestra el título y el anunciante
+    overlayFields: {
+      'overlay.adHeadline': ['ytmusic-player-bar .content-info-wrapper .title'],
+      'overlay.advertiserText': ['ytmusic-player-bar .content-info-wrapper .byline'],
+      'overlay.podBadge': ['ytmusic-player-bar .ad-badge', 'ytmusic-player-bar [class*="ad-badge"]']
+    }
+  },
+  kids: {
+    hosts: ['www.youtubekids.com'],
+    playerSelectors: ['ytk-kids-video-player #movie_player', '#movie_player', '.html5-video-player'],
+    // YouTube Kids usa tanto /watch?v=<id> como /watch/<id>
+    getVideoIdFromUrl() {
+      const match = window.location.pathname.match(/^\/watch\/([\w-]{11})/);
+      return match ? match[1] : getWatchParamVideoId();
+    },
+    isBrowsePage() {
+      return !window.location.pathname.startsWith('/watch');
+    },
+    overlayFields: {
+      'overlay.podBadge': ['ytk-kids-video-player .ytp-ad-text', 'ytk-kids-video-player [class*="ad-badge"]']
+    }
+  }
+};
+
+function getSiteAdapter() {
+  return Object.values(SITE_ADAPTERS).find(adapter => adapter.hosts.includes(window.location.hostname)) || SITE_ADAPTERS.youtube;
+}
+
+function findSitePlayer() {
+  for (const selector of getSiteAdapter().playerSelectors) {
+    const player = document.querySelector(selector);
+    if (player) return player;
+  }
+  return null;
+}
+
+function getSiteVideoIdFromUrl() {
+  return getSiteAdapter().getVideoIdFromUrl();
+}
+
+// API del reproductor (disponible en el contexto de la página): video cargado aunque la URL no lo indique
+function getPlayerVideoId(player) {
+  try {
+    const videoId = player && typeof player.getVideoData === 'function' ? player.getVideoData()?.video_id : null;
+    return videoId && VIDEO_ID_PATTERN.test(videoId) ? videoId : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// === [PACK DE SELECTORES] ===
+// Los selectores del overlay, del botón del centro de anuncios y del iframe se leen de un
+// "pack" versionado que el content-script carga desde chrome.storage (ver popup/storage/selectorPack.js).
+// Cada campo es una cadena de fallback: se prueba cada selector en orden hasta encontrar el elemento.
+// Selectores que empiezan por "/" se evalúan como XPath; se admite también tag:contains("texto").
+const SELECTOR_PACK_FORMAT = 'adhunt3r-selector-pack';
+const SELECTOR_PACK_SCHEMA_VERSION = 1;
+
+const PLAYER_OVERLAY_XPATH = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]';
+
+const DEFAULT_SELECTOR_PACK = {
+  format: SELECTOR_PACK_FORMAT,
+  schemaVersion: SELECTOR_PACK_SCHEMA_VERSION,
+  version: 'builtin',
+  fields: {
+    'overlay.skipText': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[3]/div/button/div`,
+      '.ytp-skip-ad-button__text',
+      '.ytp-ad-skip-button-text'
+    ],
+    'overlay.advertiserText': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[1]/div/div/div/div[2]`,
+      '.ytp-visit-advertiser-link__text',
+      '.ytp-ad-text',
+      '.ytp-ad-simple-ad-badge',
+      '.ytp-ad-overlay-text',
+      '.ytp-ad-advertiser-name',
+      '.ytp-ad-advertiser-text'
+    ],
+    'overlay.advertiserAvatar': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[1]/div/img`,
+      '.ytp-ad-avatar--circular',
+      '.ytp-ad-avatar img',
+      '.ytp-ad-image img',
+      '.ytp-ad-overlay-image img',
+      '.ytp-ad-thumbnail img'
+    ],
+    'overlay.adHeadline': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[1]/div/div/div/div[1]`,
+      '.ytp-ad-avatar-lockup-card__headline',
+      '.ytp-ad-headline',
+      '.ytp-ad-title',
+      '.ytp-ad-text-overlay h2',
+      '.ytp-ad-text-overlay h3',
+      '.ytp-ad-overlay-title'
+    ],
+    'overlay.adDescription': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[2]/div`,
+      '.ytp-ad-avatar-lockup-card__description',
+      '.ytp-ad-description',
+      '.ytp-ad-text-overlay p',
+      '.ytp-ad-overlay-description',
+      '.ytp-ad-content-text'
+    ],
+    'overlay.adButtonText': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[1]/div/button/span`,
+      '.ytp-ad-button-vm__text',
+      '.ytp-ad-button-text',
+      '.ytp-ad-cta-button',
+      '.ytp-ad-action-button',
+      '.ytp-ad-overlay-button',
+      '.ytp-ad-call-to-action'
+    ],
+    'overlay.podBadge': [
+      '.ytp-ad-player-overlay-layout__ad-info-container .ytp-ad-badge__text',
+      '.ytp-ad-badge__text--clean-player',
+      '.ytp-ad-badge__text',
+      '.ytp-ad-simple-ad-badge',
+      '.ad-simple-attributed-string'
+    ],
+    'adCenter.button': [
+      `${PLAYER_OVERLAY_XPATH}/div/div[2]/span[2]`,
+      `${PLAYER_OVERLAY_XPATH}/div/div[2]/span[2]/button`,
+      `${PLAYER_OVERLAY_XPATH}/div/div[2]/span[2]/button/span`,
+      '.ytp-ad-player-overlay-layout__ad-info-container button',
+      '.ytp-ad-info-hover-text-button',
+      '.ytp-ad-button.ytp-ad-button-link',
+      '#button\\:d',
+      'button[id="button:d"]',
+      'button[aria-label="Mi centro de anuncios"]',
+      'button[aria-label*="centro de anuncios"]',
+      '.ytp-ad-button.ytp-ad-button-link[aria-label="Mi centro de anuncios"]',
+      '.ytp-ad-button.ytp-ad-button-link[aria-label*="centro de anuncios"]',
+      '.ytp-ad-button[aria-label*="centro"]',
+      '.ytp-ad-button[aria-label*="anuncios"]',
+      '[aria-label*="centro de anuncios"]',
+      '[aria-label*="Mi centro de anuncios"]',
+      'button[class*="ad"]',
+      'button[class*="center"]'
+    ],
+    'iframe.anunciante': [
+      '#ucj-2 > div:nth-child(2) > div.ieH75d-fmcmS',
+      '[data-testid="advertiser-name"]',
+      '.advertiser-name'
+    ],
+    'iframe.ubicacion': [
+      '#ucj-2 > div:nth-child(3) > div.ieH75d-fmcmS',
+      '[data-testid="location"]',
+      '.location-info'
+    ],
+    'iframe.link_anunciante': [
+      '/html/body/c-wiz/div/div[3]/div/div/div/div/div[3]/div/div/div[2]/div[4]/a',
+      '#ucj-2 > div.ZSvcT-uQPRwe-hSRGPd-haAclf > a',
+      'a[href*="googleadservices"]',
+      'a[href*="http"]',
+      'a[href*="www"]'
+    ],
+    'iframe.tema': [
+      '#yDmH0d > c-wiz > div > div:nth-child(3) > div > div > div > div > div:nth-child(3) > div:nth-child(1) > div > div > div > div > div > div:nth-child(1) > div.vuVBLb-J42Xof-V1ur5d-haAclf > div > div.PErocb',
+      '[data-testid="ad-topic"]'
+    ],
+    'iframe.marca': [
+      '#yDmH0d > c-wiz > div > div:nth-child(3) > div > div > div > div > div:nth-child(3) > div:nth-child(1) > div > div > div > div > div > div:nth-child(2) > div.vuVBLb-J42Xof-V1ur5d-haAclf > div.rwCxFc-fmcmS-haAclf > div.PErocb',
+      '[data-testid="brand-name"]'
+    ],
+    'iframe.sponsoredBy': [
+      '#ucj-2 > div:nth-child(7) > div.ieH75d-fmcmS',
+      '[data-testid="sponsored-by"]'
+    ]
+  }
+};
+
+let activeSelectorPack = DEFAULT_SELECTOR_PACK;
+
+// Aplicar un pack recibido del content-script; los selectores del pack van primero
+// y los integrados quedan al final de cada cadena como último recurso
+function applySelectorPack(pack) {
+  if (!pack) {
+    activeSelectorPack = DEFAULT_SELECTOR_PACK;
+    return;
+  }
+  if (pack.format !== SELECTOR_PACK_FORMAT || !pack.fields || typeof pack.fields !== 'object' ||
+      !Number.isInteger(pack.schemaVersion) || pack.schemaVersion > SELECTOR_PACK_SCHEMA_VERSION) {
+    logger.warn('Pack de selectores ignorado: formato o versión no soportados');
+    return;
+  }
+
+  const fields = {};
+  Object.entries(DEFAULT_SELECTOR_PACK.fields).forEach(([key, defaults]) => {
+    const custom = Array.isArray(pack.fields[key])
+      ? pack.fields[key].filter(selector => typeof selector === 'string' && selector.trim())
+      : [];
+    fields[key] = Array.from(new Set([...custom, ...defaults]));
+  });
+
+  activeSelectorPack = { ...pack, fields };
+}
+
+// Los selectores propios del sitio (Music, Kids) van antes que los del pack
+function getSelectorChain(key) {
+  const siteSelectors = getSiteAdapter().overlayFields[key] || [];
+  const chain = activeSelectorPack.fields[key] || DEFAULT_SELECTOR_PACK.fields[key] || [];
+  return siteSelectors.length > 0 ? [...siteSelectors, ...chain] : chain;
+}
+
+// Resolver un selector del pack (XPath, :contains o CSS)
+function querySelectorFromPack(doc, selector) {
+  if (selector.startsWith('/')) {
+    return doc.evaluate(selector, doc, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+  }
+
+  // Manejar selectores :contains (no estándar en querySelector)
+  if (selector.includes(':contains(')) {
+    const texto = selector.match(/:contains\("([^"]+)"\)/)?.[1];
+    if (!texto) return null;
+    const tagName = selector.split(':')[0];
+    for (const el of doc.querySelectorAll(tagName)) {
+      if (el.textContent && el.textContent.toLowerCase().includes(texto.toLowerCase())) {
+        return el;
+      }
+    }
+    return null;
+  }
+
+  return doc.querySelector(selector);
+}
+
+/**
+ * Recorre la cadena de fallback de un campo y devuelve el primer elemento aceptado.
+ * @param {Document} doc
+ * @param {string} key - Campo del pack (p.ej. 'overlay.adHeadline')
+ * @param {Function} accept - Filtro opcional; el elemento se descarta si devuelve false
+ * @returns {{element: Element, selector: string, index: number}|null}
+ */
+function findWithSelectorChain(doc, key, accept = null) {
+  const chain = getSelectorChain(key);
+  for (let index = 0; index < chain.length; index++) {
+    const selector = chain[index];
+    try {
+      const element = querySelectorFromPack(doc, selector);
+      if (element && (!accept || accept(element))) {
+        return { element, selector, index };
+      }
+    } catch (error) {
+      // Selector inválido en el pack: continuar con el siguiente de la cadena
+    }
+  }
+  return null;
+}
+
+// === [SALUD DE LOS SELECTORES] ===
+// Por cada extracción se anota qué selector de la cadena encontró el campo (o ninguno);
+// el content-script reenvía el informe al service worker, que acumula aciertos y fallos.
+// Si el campo no se espera en el anuncio actual (applicable = false), no encontrarlo no es un fallo.
+// Los resultados se envían agrupados, pero uno por extracción: el service worker cuenta cada intento
+const MAX_SELECTOR_HEALTH_RESULTS = 200;
+let selectorHealthReport = [];
+
+function recordSelectorHealth(key, match, applicable = true) {
+  selectorHealthReport.push({
+    key,
+    selector: match ? match.selector : null,
+    index: match ? match.index : -1,
+    ...(!match && !applicable ? { notApplicable: true } : {})
+  });
+  if (selectorHealthReport.length > MAX_SELECTOR_HEALTH_RESULTS) {
+    selectorHealthReport = selectorHealthReport.slice(-MAX_SELECTOR_HEALTH_RESULTS);
+  }
+  debounce(flushSelectorHealth, 1000, 'selector_health');
+}
+
+function flushSelectorHealth() {
+  if (selectorHealthReport.length === 0) return;
+  window.postMessage({
+    type: 'ADHUNT3R_SELECTOR_HEALTH',
+    packVersion: activeSelectorPack.version,
+    results: selectorHealthReport
+  }, '*');
+  selectorHealthReport = [];
+}
+
+function getElementText(element) {
+  return (element?.textContent || element?.innerText || '').trim();
+}
+
+// === [TEXTOS DE LA INTERFAZ POR IDIOMA] ===
+// La detección se basa en señales estructurales (clases del reproductor, botones, atributos aria);
+// estos textos solo se usan como último recurso. Claves: ad (etiqueta "Anuncio"), sponsored,
+// skip (botón/cuenta atrás para omitir), adCenter (botón "Mi centro de anuncios") y seconds (unidades)
+const UI_TEXT_CUES = {
+  en: { ad: ['ad', 'ads'], sponsored: ['sponsored'], skip: ['skip', 'skip ad', 'skip ads'], adCenter: ['my ad center', 'ad center'], seconds: ['s', 'sec', 'secs', 'second', 'seconds'] },
+  es: { ad: ['anuncio', 'anuncios'], sponsored: ['patrocinado', 'publicidad'], skip: ['omitir', 'saltar'], adCenter: ['mi centro de anuncios', 'centro de anuncios'], seconds: ['s', 'seg', 'segundo', 'segundos'] },
+  pt: { ad: ['anúncio', 'anúncios'], sponsored: ['patrocinado'], skip: ['pular', 'ignorar'], adCenter: ['minha central de anúncios', 'central de anúncios', 'o meu centro de anúncios'], seconds: ['s', 'seg', 'segundo', 'segundos'] },
+  fr: { ad: ['annonce', 'annonces', 'pub'], sponsored: ['sponsorisé'], skip: ['passer', 'ignorer'], adCenter: ['mon centre publicitaire', 'centre publicitaire'], seconds: ['s', 'seconde', 'secondes'] },
+  de: { ad: ['anzeige', 'werbung'], sponsored: ['gesponsert'], skip: ['überspringen'], adCenter: ['mein anzeigencenter', 'anzeigencenter'], seconds: ['s', 'sek', 'sekunde', 'sekunden'] },
+  it: { ad: ['annuncio', 'annunci'], sponsored: ['sponsorizzato'], skip: ['salta'], adCenter: ['il mio centro annunci', 'centro annunci'], seconds: ['s', 'sec', 'secondo', 'secondi'] },
+  nl: { ad: ['advertentie', 'advertenties'], sponsored: ['gesponsord'], skip: ['overslaan'], adCenter: ['mijn advertentiecentrum', 'advertentiecentrum'], seconds: ['s', 'sec', 'seconde', 'seconden'] },
+  pl: { ad: ['reklama', 'reklamy'], sponsored: ['sponsorowane'], skip: ['pomiń'], adCenter: ['moje centrum reklam', 'centrum reklam'], seconds: ['s', 'sek', 'sekunda', 'sekundy'] },
+  ru: { ad: ['реклама'], sponsored: ['спонсор', 'спонсорский'], skip: ['пропустить'], adCenter: ['мой центр рекламы', 'центр рекламы'], seconds: ['с', 'сек', 'секунд', 'секунды'] },
+  tr: { ad: ['reklam'], sponsored: ['sponsorlu'], skip: ['atla', 'geç'], adCenter: ['reklam merkezim', 'reklam merkezi'], seconds: ['sn', 'saniye'] },
+  ar: { ad: ['إعلان', 'الإعلانات'], sponsored: ['برعاية', 'مموّل'], skip: ['تخطي', 'تخطّي'], adCenter: ['مركز الإعلانات'], seconds: ['ث', 'ثانية', 'ثوانٍ'] },
+  hi: { ad: ['विज्ञापन'], sponsored: ['प्रायोजित'], skip: ['स्किप करें', 'छोड़ें'], adCenter: ['मेरा विज्ञापन केंद्र', 'विज्ञापन केंद्र'], seconds: ['से', 'सेकंड'] },
+  id: { ad: ['iklan'], sponsored: ['disponsori', 'bersponsor'], skip: ['lewati'], adCenter: ['pusat iklan saya', 'pusat iklan'], seconds: ['d', 'dtk', 'detik'] },
+  th: { ad: ['โฆษณา'], sponsored: ['ได้รับการสนับสนุน'], skip: ['ข้าม'], adCenter: ['ศูนย์โฆษณาของฉัน', 'ศูนย์โฆษณา'], seconds: ['วิ', 'วินาที'] },
+  vi: { ad: ['quảng cáo'], sponsored: ['được tài trợ'], skip: ['bỏ qua'], adCenter: ['trung tâm quảng cáo của tôi', 'trung tâm quảng cáo'], seconds: ['giây'] },
+  ja: { ad: ['広告'], sponsored: ['スポンサー'], skip: ['スキップ'], adCenter: ['マイ アド センター', 'マイアドセンター'], seconds: ['秒'] },
+  ko: { ad: ['광고'], sponsored: ['스폰서', '후원'], skip: ['건너뛰기'], adCenter: ['내 광고 센터', '광고 센터'], seconds: ['초'] },
+  'zh-Hans': { ad: ['广告'], sponsored: ['赞助'], skip: ['跳过'], adCenter: ['我的广告中心', '广告中心'], seconds: ['秒'] },
+  'zh-Hant': { ad: ['廣告'], sponsored: ['贊助'], skip: ['略過', '跳過'], adCenter: ['我的廣告中心', '廣告中心'], seconds: ['秒'] }
+};
+
+const uiCueRegexCache = new Map();
+
+// Idioma de la interfaz de YouTube (atributo lang del documento o configuración HL)
+function getUiLanguage() {
+  let lang = document.documentElement.lang || '';
+  if (!lang) {
+    try {
+      lang = window.ytcfg?.get?.('HL') || '';
+    } catch (e) {
+      lang = '';
+    }
+  }
+  lang = (lang || navigator.language || 'en').toLowerCase();
+  if (lang.startsWith('zh')) {
+    return /tw|hk|mo|hant/.test(lang) ? 'zh-Hant' : 'zh-Hans';
+  }
+  return lang.split('-')[0];
+}
+
+// Textos del idioma actual más los de inglés; si el idioma no está en la tabla, todos
+function getUiCues(kind) {
+  const lang = getUiLanguage();
+  const tables = UI_TEXT_CUES[lang] ? [UI_TEXT_CUES[lang], UI_TEXT_CUES.en] : Object.values(UI_TEXT_CUES);
+  return Array.from(new Set(tables.flatMap(table => table[kind] || [])));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isWordSeparatedCue(cue) {
+  return /^[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Arabic}\s'.]+$/u.test(cue);
+}
+
+// Coincidencia por palabra completa ("ad" no debe coincidir con "cadena"); en escrituras
+// sin separación de palabras (japonés, chino, tailandés...) basta con que aparezca el texto
+function getUiCueRegex(kind) {
+  const lang = getUiLanguage();
+  const cacheKey = `${lang}:${kind}`;
+  if (!uiCueRegexCache.has(cacheKey)) {
+    const pattern = getUiCues(kind)
+      .sort((a, b) => b.length - a.length)
+      .map(cue => isWordSeparatedCue(cue)
+        ? `(?<![\\p{L}\\p{M}])${escapeRegExp(cue)}(?![\\p{L}\\p{M}])`
+        : escapeRegExp(cue))
+      .join('|');
+    uiCueRegexCache.set(cacheKey, new RegExp(pattern, 'iu'));
+  }
+  return uiCueRegexCache.get(cacheKey);
+}
+
+function matchesUiCue(text, kind) {
+  return Boolean(text) && getUiCueRegex(kind).test(text);
+}
+
+// Segundos de un texto de cuenta atrás o duración ("0:15", "15 s", "5秒", "Anuncio · 6")
+function parseAdSeconds(text) {
+  if (!text) return null;
+  const clock = text.match(/(\d+):(\d{2})/);
+  if (clock) return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+
+  const units = getUiCues('seconds')
+    .sort((a, b) => b.length - a.length)
+    .map(unit => isWordSeparatedCue(unit) ? `${escapeRegExp(unit)}(?![\\p{L}])` : escapeRegExp(unit))
+    .join('|');
+  const withUnit = text.match(new RegExp(`(\\d+)\\s*(?:${units})`, 'iu'));
+  if (withUnit) return parseInt(withUnit[1], 10);
+
+  if (matchesUiCue(text, 'ad')) {
+    const afterAdLabel = text.match(/[·•]\s*(\d+)/) || text.match(/\((\d+)\)/);
+    if (afterAdLabel) return parseInt(afterAdLabel[1], 10);
+  }
+  return null;
+}
+
+// Señal estructural: el reproductor marca con clases cuándo está mostrando un anuncio
+function isPlayerShowingAd() {
+  const player = findSitePlayer();
+  return Boolean(player && (player.classList.contains('ad-showing') || player.classList.contains('ad-interrupting')));
+}
+
+// Contenedor del anuncio en el reproductor (limita la búsqueda de textos al anuncio)
+function getAdModuleElement() {
+  return document.querySelector('#movie_player .video-ads') ||
+    document.querySelector('.ytp-ad-module') ||
+    document.querySelector('.ytp-ad-player-overlay-layout');
+}
+
 // === [OPTIMIZACIÓN DE HANDLERS DE PERFORMANCE] ===
 
 // Función optimizada para manejar eventos de video sin bloquear
@@ -190,8 +620,6 @@ function detectVideoChange() {
         isVideoPaused = false;
         lastVideoCurrentTime = 0;
         lastVideoDuration = 0;
-        consecutiveAdCount = 0;
-        isInAdSequence = false;
         lastVideoContextTime = 0;
         lastVideoContextDuration = 0;
         lastVideoContextTimestamp = 0;
@@ -208,14 +636,211 @@ function detectVideoChange() {
   }
 }
 
+// === [MODO SHORTS] ===
+// En /shorts/<id> no hay #movie_player ni ?v= en la URL: cada short se reproduce en #shorts-player
+// dentro del reel activo, y los anuncios se intercalan entre los Shorts como un reel más
+const SHORTS_SELECTORS = {
+  activeReel: [
+    'ytd-reel-video-renderer[is-active]',
+    'ytd-shorts .reel-video-in-sequence[is-active]',
+    'ytd-shorts [is-active]'
+  ],
+  player: [
+    '#shorts-player',
+    'ytd-reel-video-renderer[is-active] .html5-video-player'
+  ],
+  adRenderer: [
+    'ytd-ad-slot-renderer',
+    'ytd-in-feed-ad-layout-renderer',
+    'ytd-ad-inline-playback-meta-block',
+    'ytd-reel-player-overlay-renderer [class*="ad-badge"]'
+  ],
+  adBadge: [
+    'ad-badge-view-model',
+    'badge-shape',
+    'ytd-badge-supported-renderer',
+    '.ytd-ad-inline-playback-meta-block'
+  ],
+  advertiser: [
+    'ytd-ad-inline-playback-meta-block #channel-name',
+    '#channel-name',
+    '.reel-player-header-channel-title',
+    '[class*="ChannelName"]'
+  ],
+  headline: [
+    'ytd-ad-inline-playback-meta-block #title',
+    '.ytd-ad-inline-playback-meta-block h3',
+    'h2.title'
+  ]
+};
+
+let lastShortsVideoId = null; // Último short de contenido (los anuncios se asocian a él)
+
+function isShortsPage() {
+  return window.location.pathname.startsWith('/shorts/');
+}
+
+function getShortsIdFromUrl() {
+  const match = window.location.pathname.match(/^\/shorts\/([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+function findShortsElement(key, root = document) {
+  for (const selector of SHORTS_SELECTORS[key]) {
+    const element = root.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+// Reproductor del short activo (misma API que el del sitio: getVideoData, getDebugText)
+function findShortsPlayer() {
+  return findShortsElement('player');
+}
+
+// Un reel es un anuncio si contiene un renderer de anuncio o el distintivo "Anuncio"/"Patrocinado"
+function isShortsAdReel(reel) {
+  if (!reel) return false;
+  if (SHORTS_SELECTORS.adRenderer.some(selector => reel.querySelector(selector))) return true;
+  return SHORTS_SELECTORS.adBadge.some(selector =>
+    Array.from(reel.querySelectorAll(selector)).some(badge => {
+      const text = badge.textContent.trim();
+      return text.length > 0 && text.length < 40 && (matchesUiCue(text, 'ad') || matchesUiCue(text, 'sponsored'));
+    })
+  );
+}
+
+// Id del video del anuncio: el que carga el reproductor o, si no, el enlace del propio reel
+function getShortsAdVideoId(reel, player) {
+  const fromPlayer = getPlayerVideoId(player);
+  if (fromPlayer && fromPlayer !== lastShortsVideoId) return fromPlayer;
+  for (const anchor of reel.querySelectorAll('a[href*="/shorts/"], a[href*="/watch?v="]')) {
+    const match = (anchor.getAttribute('href') || '').match(/(?:\/shorts\/|[?&]v=)([\w-]{11})/);
+    if (match && match[1] !== lastShortsVideoId) return match[1];
+  }
+  const fromUrl = getShortsIdFromUrl();
+  return fromUrl && fromUrl !== lastShortsVideoId ? fromUrl : null;
+}
+
+// Tipo del anuncio de Shorts: se pasa deslizando, así que siempre es saltable y no tiene posición en un video
+function detectShortsAdType(reel, player) {
+  const video = player ? player.querySelector('video') : null;
+  const duration = video && Number.isFinite(video.duration) ? Math.round(video.duration) : 0;
+  const advertiserText = findShortsElement('advertiser', reel)?.textContent.trim() || '';
+  const adHeadline = findShortsElement('headline', reel)?.textContent.trim() || '';
+  return {
+    type: 'shorts',
+    isSkippable: true,
+    duration,
+    durationDetected: duration > 0,
+    durationSource: duration > 0 ? 'video-element' : 'none',
+    position: 'between_shorts',
+    skipText: '',
+    advertiserText,
+    advertiserAvatarUrl: '',
+    adHeadline,
+    adDescription: '',
+    adButtonText: '',
+    consecutiveAdNumber: 0,
+    metadataSource: 'dom',
+    skipOffset: 0,
+    podId: null,
+    podIndex: null,
+    podSize: null,
+    podSource: null,
+    adBreakTimes: [],
+    timestamp: Date.now()
+  };
+}
+
+// Estado del short activo: mismo mensaje YTD_DEBUG_ALL que el reproductor normal (contadores y consultas)
+function checkShortsState() {
+  const reel = findShortsElement('activeReel');
+  const player = findShortsPlayer();
+  const adActive = isShortsAdReel(reel);
+  const addebug_videoId = adActive ? getShortsAdVideoId(reel, player) : null;
+
+  if (!adActive) {
+    const shortId = getShortsIdFromUrl() || getPlayerVideoId(player);
+    if (shortId) lastShortsVideoId = shortId;
+  }
+  const debug_videoId = lastShortsVideoId;
+
+  if (addebug_videoId !== lastAdDebugVideoId) {
+    logger.info('[SHORTS] Estado de anuncio:', { adActive: !!addebug_videoId, addebug_videoId, debug_videoId });
+  }
+  lastAdDebugVideoId = addebug_videoId;
+  lastDebugVideoId = debug_videoId;
+
+  // Cerrar los eventos de un anuncio del reproductor normal que quedara abierto
+  updateAdEventTracking(null);
+
+  if (!debug_videoId && !addebug_videoId) return;
+
+  let debugText = '';
+  try {
+    debugText = player && typeof player.getDebugText === 'function' ? player.getDebugText() : '';
+  } catch (e) {
+    debugText = '';
+  }
+
+  window.postMessage({
+    type: 'YTD_DEBUG_ALL',
+    surface: 'shorts',
+    debugText,
+    debugInfo: { debug_videoId, surface: 'shorts' },
+    debug_videoId,
+    adActive: !!addebug_videoId,
+    addebug_videoId,
+    adTypeInfo: addebug_videoId ? detectShortsAdType(reel, player) : null
+  }, '*');
+}
+
+// requestAnimationFrame se pausa con la pestaña oculta, pero los anuncios siguen reproduciéndose
+function scheduleFrame(callback) {
+  if (document.hidden) {
+    setTimeout(callback, 0);
+  } else {
+    requestAnimationFrame(callback);
+  }
+}
+
+// === [MODO EMBEBIDO] ===
+// Reproductor /embed/ dentro de un iframe de otra web (solo se inyecta con el modo embebido activo)
+function isEmbedPage() {
+  return window.location.pathname.startsWith('/embed/');
+}
+
+function getPlayerSurface() {
+  return isEmbedPage() ? 'embed' : 'watch';
+}
+
+function getEmbedIdFromUrl() {
+  const match = window.location.pathname.match(/^\/embed\/([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+// Una página puede tener varios embeds: los que nadie ha reproducido no deben pisar el estado de la pestaña
+function hasEmbedPlaybackStarted() {
+  const video = document.querySelector('#movie_player video') || document.querySelector('video');
+  return !!video && (video.currentTime > 0 || !video.paused);
+}
+
 // Función optimizada para checkDebugInfoAndAdState
 function checkDebugInfoAndAdState() {
-  // Usar requestAnimationFrame para evitar bloquear el hilo principal
-  requestAnimationFrame(() => {
+  // Usar requestAnimationFrame para evitar bloquear el hilo principal (en segundo plano no se ejecutaría)
+  scheduleFrame(() => {
     const startTime = performance.now();
-    
-    // Intenta varias ubicaciones posibles del reproductor
-    let player = document.querySelector('.html5-video-player');
+
+    // Shorts: reproductor propio por reel (sin #movie_player)
+    if (isShortsPage()) {
+      checkShortsState();
+      return;
+    }
+    lastShortsVideoId = null;
+
+    // Intenta varias ubicaciones posibles del reproductor (según el sitio)
+    let player = findSitePlayer();
     if (!player && window.yt && yt.player && typeof yt.player.getPlayerByElement === 'function') {
       const moviePlayer = document.getElementById('movie_player');
       if (moviePlayer) {
@@ -229,16 +854,8 @@ function checkDebugInfoAndAdState() {
     if (!player || !document.getElementById('movie_player')) {
       isMainPage = true;
     }
-    // 2. Estamos en la página principal o una página sin video
-    else if (
-      window.location.pathname === '/' ||
-      window.location.pathname === '/feed/subscriptions' ||
-      window.location.pathname === '/feed/library' ||
-      window.location.pathname === '/feed/history' ||
-      window.location.pathname === '/feed/trending' ||
-      window.location.pathname === '/playlist' ||
-      document.querySelector('ytd-browse[role="main"]')
-    ) {
+    // 2. Estamos en la página principal o una página sin video (cada sitio tiene las suyas)
+    else if (!isEmbedPage() && getSiteAdapter().isBrowsePage()) {
       isMainPage = true;
     }
 
@@ -246,6 +863,7 @@ function checkDebugInfoAndAdState() {
     if (isMainPage) {
       window.postMessage({
         type: 'YTD_DEBUG_ALL',
+        surface: getPlayerSurface(),
         debugText: '',
         debugInfo: {},
         debug_videoId: null,
@@ -305,14 +923,11 @@ function checkDebugInfoAndAdState() {
           debug_videoId = debugInfo.ytInitialPlayerResponse.videoDetails.videoId;
         } catch (e) {}
       }
-      if (!debug_videoId && window.location.href.includes('/watch?v=')) {
-        try {
-          const urlParams = new URLSearchParams(window.location.search);
-          const videoIdFromUrl = urlParams.get('v');
-          if (videoIdFromUrl && videoIdFromUrl.match(/^[\w-]{11}$/)) {
-            debug_videoId = videoIdFromUrl;
-          }
-        } catch (e) {}
+      if (!debug_videoId && isEmbedPage()) {
+        debug_videoId = getEmbedIdFromUrl();
+      }
+      if (!debug_videoId) {
+        debug_videoId = getSiteVideoIdFromUrl();
       }
       if (!debug_videoId) {
         try {
@@ -329,6 +944,11 @@ function checkDebugInfoAndAdState() {
           }
         } catch (e) {}
       }
+      // YouTube Music: la pista sigue sonando fuera de /watch y solo el reproductor sabe cuál es
+      // (durante un anuncio el reproductor devolvería el video del anuncio)
+      if (!debug_videoId && !isPlayerShowingAd()) {
+        debug_videoId = getPlayerVideoId(player);
+      }
 
       let addebug_videoId = null;
       if (debugInfo.addebug_videoId) {
@@ -344,6 +964,14 @@ function checkDebugInfoAndAdState() {
         } catch (e) {}
       }
 
+      // La clase del reproductor cambia antes que el texto de depuración: esperar a que coincidan
+      // para no dar el anuncio por terminado (o no empezado) con datos viejos
+      if (isPlayerShowingAd() !== !!addebug_videoId && retryCount < 5) {
+        retryCount++;
+        setTimeout(trySendDebugInfo, 200);
+        return;
+      }
+
       let adActive = !!addebug_videoId;
       let adTypeInfo = null;
       
@@ -417,24 +1045,28 @@ function checkDebugInfoAndAdState() {
         stopAdDurationTracking();
       }
       
-      // NUEVO: Finalizar secuencia de anuncios cuando no hay anuncio activo
-      if (!adActive && isInAdSequence) {
-        endAdSequence();
-        // === NUEVO: Resetear variables cuando termina un anuncio ===
+      // Mapa de cortes y pod del video principal (durante el anuncio debug_videoId puede ser el del anuncio)
+      const hostVideoId = debug_videoId && debug_videoId !== addebug_videoId ? debug_videoId : lastDetectedVideoId;
+      updateAdBreakMap(hostVideoId, adActive ? addebug_videoId : null);
+      updateAdEventTracking(adActive ? addebug_videoId : null);
+      
+      // Fin del corte: resetear variables para el siguiente anuncio
+      if (!adActive && lastAdDebugVideoId) {
         resetAdDataVariables();
-        logger.info('[SECUENCIA] Anuncio terminado, variables reseteadas para el siguiente');
+        logger.info('[POD] Anuncio terminado, variables reseteadas para el siguiente');
       }
       
       // OPTIMIZACIÓN: Solo detección básica de tipo, sin extracción de datos
       if (adActive) {
         // Detección mínima de tipo sin extraer datos del overlay
-        adTypeInfo = detectAdTypeBasic();
+        adTypeInfo = detectAdTypeBasic(addebug_videoId);
         if (adTypeInfo.type === 'unknown' && addebug_videoId !== lastAdDebugVideoId) {
           setTimeout(() => {
-            const retryResult = detectAdTypeBasic();
+            const retryResult = detectAdTypeBasic(addebug_videoId);
             if (retryResult.type !== 'unknown') {
               window.postMessage({
                 type: 'YTD_DEBUG_ALL',
+                surface: getPlayerSurface(),
                 debugText,
                 debugInfo,
                 debug_videoId,
@@ -484,10 +1116,13 @@ function checkDebugInfoAndAdState() {
       // NO llamar a marcarDivsDeAnuncio() automáticamente
       // Solo se debe llamar cuando el usuario haga click en "Consultar datos del anuncio"
       
+      if (isEmbedPage() && !adActive && !hasEmbedPlaybackStarted()) return;
+
       // Enviar si hay video o anuncio y la info está lista
       if (hasVideo || hasAd) {
         window.postMessage({
           type: 'YTD_DEBUG_ALL',
+          surface: getPlayerSurface(),
           debugText,
           debugInfo,
           debug_videoId,
@@ -495,7 +1130,6 @@ function checkDebugInfoAndAdState() {
           addebug_videoId,
           adTypeInfo
         }, '*');
-        lastMessageSent = Date.now();
       } else if (retryCount < 5) {
         // Si no hay ni video ni anuncio, reintentar
         retryCount++;
@@ -511,17 +1145,68 @@ function checkDebugInfoAndAdState() {
   });
 }
 
-// === [OPTIMIZACIÓN DE INTERVALOS] ===
-// OPTIMIZACIÓN: Frecuencias ajustadas para mejor responsividad
-// Ejecuta la comprobación cada 3 segundos (reducido de 5s)
-setInterval(() => {
-  debounce(checkDebugInfoAndAdState, 500, 'debug_check');
-}, 3000);
+// === [DETECCIÓN POR EVENTOS DEL REPRODUCTOR] ===
+// El estado se comprueba en cuanto el reproductor avisa de un cambio, en lugar de sondearlo cada pocos segundos:
+// - la clase ad-showing/ad-interrupting de #movie_player (MutationObserver de atributos)
+// - loadedmetadata/playing/emptied del <video>: cada anuncio del pod carga su propio medio
+// - los eventos de la API del reproductor (onStateChange, onAdStateChange, onVideoDataChange)
+// El sondeo lento queda solo como red de seguridad por si el reproductor no avisa
+const PLAYER_API_EVENTS = ['onStateChange', 'onAdStateChange', 'onVideoDataChange'];
+const PLAYER_MEDIA_EVENTS = ['loadedmetadata', 'playing', 'emptied'];
+const STATE_CHECK_DELAY_MS = 50;         // Agrupa las ráfagas de eventos de un mismo cambio
+const FALLBACK_CHECK_INTERVAL_MS = 15000;
+
+let observedPlayer = null;
+let playerClassObserver = null;
+let playerShowingAd = false;
+let stateCheckTimeout = null;
+
+function requestStateCheck() {
+  if (stateCheckTimeout) return;
+  stateCheckTimeout = setTimeout(() => {
+    stateCheckTimeout = null;
+    attachPlayerListeners();
+    detectVideoChange();
+    checkDebugInfoAndAdState();
+  }, STATE_CHECK_DELAY_MS);
+}
+
+// El reproductor se crea tarde y puede sustituirse al navegar: se engancha cada vez que cambia
+function attachPlayerListeners() {
+  const player = findSitePlayer();
+  if (!player || player === observedPlayer) return;
+  observedPlayer = player;
+  playerShowingAd = isPlayerShowingAd();
+
+  if (playerClassObserver) playerClassObserver.disconnect();
+  playerClassObserver = new MutationObserver(() => {
+    const showingAd = isPlayerShowingAd();
+    if (showingAd === playerShowingAd) return;
+    playerShowingAd = showingAd;
+    logger.info(`[EVENTOS] Reproductor ${showingAd ? 'mostrando anuncio' : 'sin anuncio'}`);
+    requestStateCheck();
+  });
+  playerClassObserver.observe(player, { attributes: true, attributeFilter: ['class'] });
+
+  // API del reproductor de YouTube (el propio elemento la expone en el contexto de la página)
+  PLAYER_API_EVENTS.forEach(eventName => {
+    try {
+      player.addEventListener(eventName, requestStateCheck);
+    } catch (e) {
+      // Versión del reproductor sin este evento
+    }
+  });
+}
+
+PLAYER_MEDIA_EVENTS.forEach(type => {
+  document.addEventListener(type, (event) => {
+    if (event.target instanceof HTMLVideoElement) requestStateCheck();
+  }, true);
+});
 
-// Ejecuta la detección de cambios de video cada 1 segundo (reducido de 3s)
-setInterval(() => {
-  debounce(detectVideoChange, 200, 'video_change');
-}, 1000);
+attachPlayerListeners();
+
+setInterval(requestStateCheck, FALLBACK_CHECK_INTERVAL_MS);
 
 // Función unificada para manejar navegación (optimizado)
 function handleNavigation() {
@@ -624,6 +1309,10 @@ window.addEventListener('message', optimizedMessageHandler((event) => {
     extractIframeDataEnabled = !!event.data.enabled;
 
   }
+  // Pack de selectores importado (null para volver a los integrados)
+  if (event.data && event.data.type === 'ADHUNT3R_SELECTOR_PACK') {
+    applySelectorPack(event.data.pack);
+  }
   // Listener para extracción de datos del anuncio bajo demanda
   if (event.data && event.data.type === 'ADHUNT3R_EXTRACT_AD_DATA') {
 
@@ -725,6 +1414,7 @@ window.addEventListener('message', optimizedMessageHandler((event) => {
             adButtonText: null,
             detectedCategory: null,
             consecutiveAdNumber: 0,
+            pod: null,
             timestamp: Date.now()
           },
           sponsorinfo: {
@@ -887,6 +1577,13 @@ window.addEventListener('message', optimizedMessageHandler((event) => {
               // === NUEVO: La categoría se extraerá en apiManager.js desde la API de YouTube ===
               detectedCategory: null, // Se llenará en apiManager.js
               consecutiveAdNumber: adData.adTypeInfo?.consecutiveAdNumber || 0,
+              // Pod del corte: id y "anuncio N de M"
+              pod: adData.adTypeInfo?.podId ? {
+                id: adData.adTypeInfo.podId,
+                index: adData.adTypeInfo.podIndex ?? null,
+                size: adData.adTypeInfo.podSize ?? null,
+                source: adData.adTypeInfo.podSource || null
+              } : null,
               timestamp: adData.adTypeInfo?.timestamp || Date.now()
             },
             sponsorinfo: {
@@ -926,6 +1623,7 @@ window.addEventListener('message', optimizedMessageHandler((event) => {
               adButtonText: null,
               detectedCategory: null,
               consecutiveAdNumber: 0,
+              pod: null,
               timestamp: Date.now()
             },
             sponsorinfo: {
@@ -960,6 +1658,7 @@ window.addEventListener('message', optimizedMessageHandler((event) => {
             adButtonText: null,
             detectedCategory: null,
             consecutiveAdNumber: 0,
+            pod: null,
             timestamp: Date.now()
           },
           sponsorinfo: {
@@ -1111,7 +1810,6 @@ function resetAdDataVariables() {
   // === NUEVO: Resetear variables del video base ===
   videoBaseTime = 0;
   adSequenceStartTime = 0;
-  isInAdSequence = false;
   
   // === NUEVO: Resetear hash de contenido del anuncio ===
   lastAdContent = '';
@@ -1156,78 +1854,23 @@ function setupIframeCloseListener() {
   }
 }
 
-// Función para extraer datos usando múltiples selectores
-function extraerDatoConSelectores(doc, selectores, nombreCampo) {
-  for (const selector of selectores) {
-    try {
-      let elemento = null;
-      
-      // Manejar selectores :contains (no estándar en querySelector)
-      if (selector.includes(':contains(')) {
-        const texto = selector.match(/:contains\("([^"]+)"\)/)?.[1];
-        if (texto) {
-          const tagName = selector.split(':')[0];
-          const elementos = doc.querySelectorAll(tagName);
-          for (const el of elementos) {
-            if (el.textContent && el.textContent.toLowerCase().includes(texto.toLowerCase())) {
-              elemento = el;
-              break;
-            }
-          }
-        }
-      } else {
-        // Selector CSS estándar
-        elemento = doc.querySelector(selector);
-      }
-      
-      if (elemento) {
-        const texto = elemento.textContent?.trim() || elemento.getAttribute('aria-label') || elemento.getAttribute('title') || '';
-        if (texto && texto.length > 0) {
-          // console.log(`[AdHunt3r][iframe] ${nombreCampo} encontrado con selector "${selector}": "${texto}"`);
-          return texto;
-        }
-      }
-    } catch (error) {
-      // console.log(`[AdHunt3r][iframe] Error con selector "${selector}" para ${nombreCampo}:`, error.message);
-    }
-  }
-  
-  // console.log(`[AdHunt3r][iframe] No se encontró ${nombreCampo} con ningún selector`);
-  return null;
+// Función para extraer el texto de un campo con su cadena de selectores
+// Devuelve { valor, selector, index } o null
+function extraerDatoConSelectores(doc, campo) {
+  const match = findWithSelectorChain(doc, `iframe.${campo}`, el =>
+    Boolean(el.textContent?.trim() || el.getAttribute('aria-label') || el.getAttribute('title'))
+  );
+  if (!match) return null;
+  const valor = match.element.textContent?.trim() || match.element.getAttribute('aria-label') || match.element.getAttribute('title');
+  return { valor, selector: match.selector, index: match.index };
 }
 
-// Función para extraer enlaces usando múltiples selectores
-function extraerEnlaceConSelectores(doc, selectores, nombreCampo) {
-  for (const selector of selectores) {
-    try {
-      let elemento = null;
-      
-      // Manejar XPath (si empieza con /)
-      if (selector.startsWith('/')) {
-        try {
-          const result = doc.evaluate(selector, doc, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-          elemento = result.singleNodeValue;
-        } catch (xpathError) {
-          // console.log(`[AdHunt3r] Error con XPath ${selector}:`, xpathError.message);
-          continue;
-        }
-      } else {
-        // Manejar selectores CSS normales
-        elemento = doc.querySelector(selector);
-      }
-      
-      if (elemento && elemento.tagName === 'A') {
-        const href = elemento.getAttribute('href');
-        if (href && href.trim().length > 0) {
-          // console.log(`[AdHunt3r] Enlace encontrado en ${nombreCampo}:`, href);
-          return href;
-        }
-      }
-    } catch (error) {
-      // console.log(`[AdHunt3r] Error extrayendo enlace con selector ${selector}:`, error.message);
-    }
-  }
-  return null;
+// Función para extraer enlaces con la cadena de selectores del campo
+function extraerEnlaceConSelectores(doc, campo) {
+  const match = findWithSelectorChain(doc, `iframe.${campo}`, el =>
+    el.tagName === 'A' && Boolean(el.getAttribute('href')?.trim())
+  );
+  return match ? { valor: match.element.getAttribute('href'), selector: match.selector, index: match.index } : null;
 }
 
 function extraerDatosIframeCentroAnuncios() {
@@ -1248,44 +1891,13 @@ function extraerDatosIframeCentroAnuncios() {
   const iframes = document.querySelectorAll('iframe');
   // console.log(`[AdHunt3r][iframe] Encontrados ${iframes.length} iframes`);
   
-  // Selectores exactos indicados en selectores.md
-  const selectoresOptimizados = {
-    anunciante: [
-      '#ucj-2 > div:nth-child(2) > div.ieH75d-fmcmS',
-      '[data-testid="advertiser-name"]',
-      '.advertiser-name'
-    ],
-    ubicacion: [
-      '#ucj-2 > div:nth-child(3) > div.ieH75d-fmcmS',
-      '[data-testid="location"]',
-      '.location-info'
-    ],
-    link_anunciante: [
-      // XPath específico para el link del anunciante
-      '/html/body/c-wiz/div/div[3]/div/div/div/div/div[3]/div/div/div[2]/div[4]/a',
-      // Selectores CSS como fallback
-      '#ucj-2 > div.ZSvcT-uQPRwe-hSRGPd-haAclf > a',
-      'a[href*="googleadservices"]',
-      // Selectores genéricos para enlaces
-      'a[href*="http"]',
-      'a[href*="www"]'
-    ],
-    tema: [
-      '#yDmH0d > c-wiz > div > div:nth-child(3) > div > div > div > div > div:nth-child(3) > div:nth-child(1) > div > div > div > div > div > div:nth-child(1) > div.vuVBLb-J42Xof-V1ur5d-haAclf > div > div.PErocb',
-      '[data-testid="ad-topic"]'
-    ],
-    marca: [
-      '#yDmH0d > c-wiz > div > div:nth-child(3) > div > div > div > div > div:nth-child(3) > div:nth-child(1) > div > div > div > div > div > div:nth-child(2) > div.vuVBLb-J42Xof-V1ur5d-haAclf > div.rwCxFc-fmcmS-haAclf > div.PErocb',
-      '[data-testid="brand-name"]'
-    ],
-    sponsoredBy: [
-      '#ucj-2 > div:nth-child(7) > div.ieH75d-fmcmS',
-      '[data-testid="sponsored-by"]'
-    ]
-  };
+  // Campos del iframe; los selectores salen del pack activo (iframe.<campo>)
+  const camposIframe = ['anunciante', 'ubicacion', 'link_anunciante', 'tema', 'marca', 'sponsoredBy'];
   
   let datosEncontrados = 0;
   let iframesRevisados = 0;
+  let iframesAccesibles = 0;
+  const coincidencias = {};
   
   // Revisar cada iframe
   for (let i = 0; i < iframes.length; i++) {
@@ -1300,19 +1912,18 @@ function extraerDatosIframeCentroAnuncios() {
       // Extraer datos de cada campo
       let datosEnIframe = 0;
       
-      for (const [campo, selectores] of Object.entries(selectoresOptimizados)) {
+      iframesAccesibles++;
+      
+      for (const campo of camposIframe) {
         if (datos[campo] === null) { // Solo extraer si no se ha encontrado ya
-          let valor = null;
-          
           // Usar extraerEnlaceConSelectores para link_anunciante
-          if (campo === 'link_anunciante') {
-            valor = extraerEnlaceConSelectores(iframeDoc, selectores, campo);
-          } else {
-            valor = extraerDatoConSelectores(iframeDoc, selectores, campo);
-          }
+          const resultado = campo === 'link_anunciante'
+            ? extraerEnlaceConSelectores(iframeDoc, campo)
+            : extraerDatoConSelectores(iframeDoc, campo);
           
-          if (valor) {
-            datos[campo] = valor;
+          if (resultado) {
+            datos[campo] = resultado.valor;
+            coincidencias[campo] = resultado;
             datosEnIframe++;
             datosEncontrados++;
           }
@@ -1344,127 +1955,38 @@ function extraerDatosIframeCentroAnuncios() {
     }
   }
   
+  // Solo cuenta como intento si se pudo leer algún iframe (si no, no hay nada que medir)
+  if (iframesAccesibles > 0) {
+    camposIframe.forEach(campo => recordSelectorHealth(`iframe.${campo}`, coincidencias[campo] || null));
+  }
+  
   // console.log(`[AdHunt3r][iframe] Extracción completada. Datos encontrados: ${datosEncontrados > 0}`);
   // console.log(`[AdHunt3r][iframe] Datos extraídos:`, datos);
   
   return datos;
 }
 
+// Los XPath pueden apuntar al span contenedor o al span interno del botón
+function resolveClickableButton(element) {
+  let button = element;
+  if (button.tagName === 'SPAN' || button.tagName === 'DIV') {
+    button = button.closest('button') || button.querySelector('button') || button;
+  }
+  if (button.tagName === 'BUTTON' || button.onclick || button.getAttribute('role') === 'button') {
+    return button;
+  }
+  return null;
+}
+
 function findAdCenterButton() {
-  // console.log('[AdHunt3r] Iniciando búsqueda del botón del centro de anuncios...');
-  
-  // NUEVA FASE 1: Usar los selectores XPath exactos
-  const exactXPaths = [
-    '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[2]/span[2]',
-    '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[2]/span[2]/button',
-    '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[2]/span[2]/button/span'
-  ];
-  
-  // NUEVA FASE 1: Probar los XPath exactos primero (prioridad alta)
-  for (let i = 0; i < exactXPaths.length; i++) {
-    const xpath = exactXPaths[i];
-    // console.log(`[AdHunt3r] Probando XPath exacto ${i + 1}/${exactXPaths.length}: ${xpath}`);
-    
-    try {
-      const result = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-      if (result.singleNodeValue) {
-        // console.log(`[AdHunt3r] ✓ Botón encontrado con XPath exacto ${i + 1}`);
-        
-        let button = result.singleNodeValue;
-        // console.log('[AdHunt3r] Elemento encontrado:', {
-        //   tagName: button.tagName,
-        //   id: button.id,
-        //   className: button.className,
-        //   ariaLabel: button.getAttribute('aria-label'),
-        //   textContent: button.textContent?.trim()
-        // });
-        
-        // NUEVA FASE 1: Lógica mejorada para encontrar el botón correcto
-        if (button.tagName === 'SPAN') {
-          // Buscar el botón padre más cercano
-          button = button.closest('button');
-          if (button) {
-            // console.log('[AdHunt3r] ✓ Botón padre encontrado desde span');
-          } else {
-            // Si no hay botón padre, buscar en el span mismo
-            // console.log('[AdHunt3r] No hay botón padre, usando span directamente');
-          }
-        } else if (button.tagName === 'DIV' || button.tagName === 'SPAN') {
-          // Buscar botón hijo
-          const childButton = button.querySelector('button');
-          if (childButton) {
-            button = childButton;
-            // console.log('[AdHunt3r] ✓ Botón hijo encontrado');
-          } else {
-            // console.log('[AdHunt3r] No hay botón hijo, usando elemento directamente');
-          }
-        }
-        
-        // NUEVA FASE 1: Verificar que el elemento sea clickeable
-        if (button && (button.tagName === 'BUTTON' || button.onclick || button.getAttribute('role') === 'button')) {
-          // console.log('[AdHunt3r] ✓ Elemento clickeable encontrado:', {
-          //   tagName: button.tagName,
-          //   id: button.id,
-          //   className: button.className,
-          //   ariaLabel: button.getAttribute('aria-label'),
-          //   textContent: button.textContent?.trim(),
-          //   onclick: !!button.onclick,
-          //   role: button.getAttribute('role')
-          // });
-          return button;
-        } else if (button) {
-          // console.log('[AdHunt3r] Elemento encontrado pero no es clickeable, buscando botón cercano...');
-          // Buscar botón cercano
-          const nearbyButton = button.querySelector('button') || button.closest('button');
-          if (nearbyButton) {
-            // console.log('[AdHunt3r] ✓ Botón cercano encontrado');
-            return nearbyButton;
-          }
-        }
-      }
-    } catch (e) {
-      // console.log(`[AdHunt3r] Error con XPath exacto ${i + 1}:`, e.message);
-    }
-  }
-  
-  // NUEVA FASE 1: Lista de selectores CSS mejorada
-  const selectors = [
-    '#button\\:d',
-    'button[id="button:d"]',
-    'button[aria-label="Mi centro de anuncios"]',
-    'button[aria-label*="centro de anuncios"]',
-    '.ytp-ad-button.ytp-ad-button-link[aria-label="Mi centro de anuncios"]',
-    '.ytp-ad-button.ytp-ad-button-link[aria-label*="centro de anuncios"]',
-    '.ytp-ad-button[aria-label*="centro"]',
-    '.ytp-ad-button[aria-label*="anuncios"]',
-    // NUEVOS: Selectores más específicos
-    '[aria-label*="centro de anuncios"]',
-    '[aria-label*="Mi centro de anuncios"]',
-    'button[class*="ad"]',
-    'button[class*="center"]'
-  ];
-  
-  // Probar cada selector CSS como respaldo
-  for (let i = 0; i < selectors.length; i++) {
-    const selector = selectors[i];
-    // console.log(`[AdHunt3r] Probando selector CSS ${i + 1}/${selectors.length}: ${selector}`);
-    
-    try {
-      const button = document.querySelector(selector);
-      if (button) {
-        // console.log(`[AdHunt3r] ✓ Botón encontrado con selector CSS: ${selector}`);
-        // console.log(`[AdHunt3r] Botón info:`, {
-        //   tagName: button.tagName,
-        //   id: button.id,
-        //   className: button.className,
-        //   ariaLabel: button.getAttribute('aria-label'),
-        //   textContent: button.textContent?.trim()
-        // });
-        return button;
-      }
-    } catch (e) {
-      // console.log(`[AdHunt3r] Error con selector CSS ${selector}:`, e.message);
-    }
+  // console.log('[AdHunt3r] Iniciando búsqueda del botón del centro de anuncios...');
+  
+  // FASE 1: Cadena de selectores del pack (XPath exactos primero, CSS como respaldo)
+  // Se continúa con el siguiente selector si el elemento no lleva a un botón clickeable
+  const match = findWithSelectorChain(document, 'adCenter.button', el => resolveClickableButton(el) !== null);
+  recordSelectorHealth('adCenter.button', match);
+  if (match) {
+    return resolveClickableButton(match.element);
   }
   
   // NUEVA FASE 1: Buscar en el contenedor del reproductor como último recurso
@@ -1472,7 +1994,8 @@ function findAdCenterButton() {
   const playerContainer = document.querySelector('#movie_player');
   if (playerContainer) {
     // console.log('[AdHunt3r] Contenedor del reproductor encontrado');
-    const button = playerContainer.querySelector('button[aria-label*="centro de anuncios"]');
+    const button = Array.from(playerContainer.querySelectorAll('button[aria-label]'))
+      .find(candidate => matchesUiCue(candidate.getAttribute('aria-label'), 'adCenter'));
     if (button) {
       // console.log('[AdHunt3r] ✓ Botón encontrado en contenedor del reproductor');
       return button;
@@ -1490,13 +2013,9 @@ function findAdCenterButton() {
     const ariaLabel = button.getAttribute('aria-label') || '';
     const textContent = button.textContent || '';
     
-    if (ariaLabel.toLowerCase().includes('centro') && ariaLabel.toLowerCase().includes('anuncios')) {
-              // console.log('[AdHunt3r] ✓ Botón encontrado por contenido de texto:', ariaLabel);
-      return button;
-    }
-    
-    if (textContent.toLowerCase().includes('centro') && textContent.toLowerCase().includes('anuncios')) {
-              // console.log('[AdHunt3r] ✓ Botón encontrado por contenido de texto:', textContent);
+    // Texto "Mi centro de anuncios" en el idioma de la interfaz
+    if (matchesUiCue(ariaLabel, 'adCenter') || matchesUiCue(textContent, 'adCenter')) {
+      // console.log('[AdHunt3r] ✓ Botón encontrado por contenido de texto:', ariaLabel || textContent);
       return button;
     }
   }
@@ -1781,12 +2300,205 @@ function getBestAdDuration() {
   return { duration: 0, isDetected: false, source: 'none' };
 }
 
+// === [EVENTOS DEL ANUNCIO] ===
+// Eventos de cada anuncio leídos del <video> y del overlay: inicio, cuartiles, botón de omitir
+// visible/pulsado, silencio, pausa y fin. Los tiempos (t) son milisegundos desde el inicio del
+// anuncio. Al terminar, el content-script envía el informe al service worker, que lo guarda en la impresión.
+const AD_QUARTILES = [
+  { type: 'quartile_25', percent: 25, ratio: 0.25 },
+  { type: 'quartile_50', percent: 50, ratio: 0.5 },
+  { type: 'quartile_75', percent: 75, ratio: 0.75 },
+  { type: 'quartile_100', percent: 100, ratio: 0.98 } // El último timeupdate llega antes del final exacto
+];
+const MAX_AD_EVENTS = 50;
+const SKIP_CHECK_INTERVAL_MS = 250;
+
+let adEventTracker = null;
+
+function getAdVideoElement() {
+  return document.querySelector('#movie_player video') || document.querySelector('video');
+}
+
+function isSkipButtonVisible() {
+  return AD_SELECTORS.skipButton.some(selector => {
+    const button = document.querySelector(selector);
+    return button && isElementVisible(button);
+  });
+}
+
+function pushAdEvent(type, extra = {}) {
+  const tracker = adEventTracker;
+  if (!tracker || tracker.events.length >= MAX_AD_EVENTS) return;
+  const video = getAdVideoElement();
+  tracker.events.push({
+    type,
+    t: Math.max(0, Date.now() - tracker.startedAt),
+    mediaTime: video && isPlayerShowingAd() ? Math.round(video.currentTime * 10) / 10 : null,
+    ...extra
+  });
+}
+
+// El anuncio se detecta en cuanto el reproductor cambia de estado, pero puede llegar tarde (sondeo de
+// seguridad, pestaña en segundo plano): el inicio se calcula hacia atrás con el currentTime del anuncio
+// y los cuartiles ya pasados se marcan como estimados
+function startAdEventTracking(adId) {
+  const video = getAdVideoElement();
+  const elapsedSec = video && isPlayerShowingAd() ? video.currentTime || 0 : 0;
+  const pod = getCurrentAdPod();
+
+  adEventTracker = {
+    adId,
+    podId: pod ? pod.podId : null,
+    startedAt: Date.now() - Math.round(elapsedSec * 1000),
+    events: [],
+    firedQuartiles: new Set(),
+    skipShownAt: null,
+    skipClicked: false,
+    watchedSec: elapsedSec,
+    lastMediaTime: elapsedSec,
+    lastSkipCheck: 0,
+    detached: false,
+    muted: video ? video.muted || video.volume === 0 : false,
+    duration: video && video.duration > 0 && Number.isFinite(video.duration) ? video.duration : 0
+  };
+
+  adEventTracker.events.push({ type: 'start', t: 0, mediaTime: 0, estimated: elapsedSec > 1 });
+  if (adEventTracker.muted) pushAdEvent('muted');
+  updateAdQuartiles(elapsedSec, true);
+  logger.info(`[EVENTOS] Seguimiento de eventos iniciado para ${adId} (${elapsedSec.toFixed(1)}s ya reproducidos)`);
+}
+
+function updateAdQuartiles(mediaTime, estimated = false) {
+  const tracker = adEventTracker;
+  if (!tracker || !(tracker.duration > 0)) return;
+  AD_QUARTILES.forEach(quartile => {
+    if (tracker.firedQuartiles.has(quartile.type) || mediaTime < tracker.duration * quartile.ratio) return;
+    tracker.firedQuartiles.add(quartile.type);
+    if (estimated) {
+      tracker.events.push({ type: quartile.type, t: Math.round(tracker.duration * quartile.ratio * 1000), mediaTime: null, estimated: true });
+    } else {
+      pushAdEvent(quartile.type);
+    }
+  });
+}
+
+function getAdEndReason(tracker) {
+  if (tracker.skipClicked) return 'skipped';
+  if (tracker.firedQuartiles.has('quartile_100') || tracker.events.some(event => event.type === 'ended')) return 'completed';
+  if (tracker.duration > 0 && tracker.lastMediaTime >= tracker.duration - 1) return 'completed';
+  // Sin clic registrado pero con el botón visible: omitido con teclado u otro método
+  if (tracker.skipShownAt !== null && tracker.duration > 0 && tracker.lastMediaTime < tracker.duration - 1) return 'skipped';
+  return 'interrupted';
+}
+
+/**
+ * Cierra el seguimiento del anuncio en curso y envía el informe.
+ * @param {string} reason - Motivo del cierre (ad-changed, ad-ended, page-hidden)
+ */
+function finishAdEventTracking(reason) {
+  const tracker = adEventTracker;
+  if (!tracker) return;
+  adEventTracker = null;
+
+  const endReason = reason === 'page-hidden' && !tracker.skipClicked ? 'abandoned' : getAdEndReason(tracker);
+  const quartiles = AD_QUARTILES.filter(quartile => tracker.firedQuartiles.has(quartile.type));
+  const report = {
+    adId: tracker.adId,
+    podId: tracker.podId,
+    startedAt: tracker.startedAt,
+    events: tracker.events,
+    watchedDuration: Math.round(tracker.watchedSec * 10) / 10,
+    adDuration: Math.round(tracker.duration * 10) / 10,
+    skipShownAt: tracker.skipShownAt,
+    skipped: endReason === 'skipped',
+    endReason,
+    maxQuartile: quartiles.length > 0 ? quartiles[quartiles.length - 1].percent : 0
+  };
+  logger.info(`[EVENTOS] Anuncio ${tracker.adId} ${endReason}: ${report.watchedDuration}s vistos, ${report.events.length} eventos`);
+  window.postMessage({ type: 'ADHUNT3R_AD_EVENTS', report }, '*');
+}
+
+// Llamada en cada ciclo de comprobación con el anuncio activo (o null si no hay anuncio)
+function updateAdEventTracking(adId) {
+  if (adEventTracker && adEventTracker.adId !== adId) {
+    finishAdEventTracking(adId ? 'ad-changed' : 'ad-ended');
+  }
+  if (adId && !adEventTracker) {
+    startAdEventTracking(adId);
+  }
+}
+
+// Eventos del <video> del reproductor (los de medios no burbujean: fase de captura)
+function handleAdMediaEvent(event) {
+  const tracker = adEventTracker;
+  const video = event.target;
+  if (!tracker || tracker.detached || !(video instanceof HTMLVideoElement) || !video.closest('#movie_player') || !isPlayerShowingAd()) return;
+
+  switch (event.type) {
+    case 'timeupdate': {
+      const mediaTime = video.currentTime || 0;
+      // Vuelta a 0: empezó el siguiente anuncio del pod antes de que el ciclo lo detecte
+      if (mediaTime < 1 && tracker.lastMediaTime - mediaTime > 2) {
+        tracker.detached = true;
+        return;
+      }
+      if (video.duration > 0 && Number.isFinite(video.duration)) tracker.duration = video.duration;
+      // Solo se suma el avance normal (los saltos y el cambio de anuncio no cuentan como visto)
+      const delta = mediaTime - tracker.lastMediaTime;
+      if (delta > 0 && delta < 1.5) tracker.watchedSec += delta;
+      tracker.lastMediaTime = mediaTime;
+      updateAdQuartiles(mediaTime);
+
+      const now = Date.now();
+      if (tracker.skipShownAt === null && now - tracker.lastSkipCheck >= SKIP_CHECK_INTERVAL_MS) {
+        tracker.lastSkipCheck = now;
+        if (isSkipButtonVisible()) {
+          tracker.skipShownAt = Math.round(mediaTime * 10) / 10;
+          pushAdEvent('skip_shown');
+        }
+      }
+      break;
+    }
+    case 'pause':
+      if (!video.ended) pushAdEvent('paused');
+      break;
+    case 'play':
+      if (tracker.events.some(adEvent => adEvent.type === 'paused')) pushAdEvent('resumed');
+      break;
+    case 'volumechange': {
+      const muted = video.muted || video.volume === 0;
+      if (muted !== tracker.muted) {
+        tracker.muted = muted;
+        pushAdEvent(muted ? 'muted' : 'unmuted');
+      }
+      break;
+    }
+    case 'ended':
+      pushAdEvent('ended');
+      break;
+  }
+}
+
+['timeupdate', 'pause', 'play', 'volumechange', 'ended'].forEach(type => {
+  document.addEventListener(type, handleAdMediaEvent, true);
+});
+
+// Clic en el botón de omitir
+document.addEventListener('click', (event) => {
+  if (!adEventTracker || adEventTracker.skipClicked || !(event.target instanceof Element)) return;
+  if (event.target.closest(AD_SELECTORS.skipButton.join(', '))) {
+    adEventTracker.skipClicked = true;
+    pushAdEvent('skip_clicked');
+  }
+}, true);
+
+// Cerrar la pestaña o navegar fuera durante el anuncio
+window.addEventListener('pagehide', () => finishAdEventTracking('page-hidden'));
+
 // Variables para mantener el contexto del video durante anuncios consecutivos
 let lastVideoContextTime = 0;
 let lastVideoContextDuration = 0;
 let lastVideoContextTimestamp = 0;
-let consecutiveAdCount = 0;
-let isInAdSequence = false;
     
 // Constantes globales para selectores de anuncios (OPTIMIZACIÓN: Evitar duplicación)
 const AD_SELECTORS = {
@@ -1835,8 +2547,13 @@ const AD_SELECTORS = {
     '.ytp-ad-bumper-image',
     '.video-ads.ad-showing:not(:has(.ytp-ad-skip-button))',
     '.ytp-ad-module:not(:has(.ytp-ad-skip-button))',
-    '.ytp-ad-simple-ad-badge',
-    '.ytp-ad-text:not(:contains("saltar")):not(:contains("omitir")):not(:contains("skip"))'
+    '.ytp-ad-simple-ad-badge'
+  ],
+  skipPreview: [
+    '.ytp-preview-ad',
+    '.ytp-ad-preview-container',
+    '.ytp-ad-skip-button-slot',
+    '.ytp-skip-ad'
   ]
 };
 
@@ -1866,52 +2583,27 @@ function updateVideoContext(currentTime, totalDuration) {
   }
   
   // === CORREGIDO: Actualizar contexto global con lógica mejorada ===
-  // Para el primer anuncio de una secuencia, siempre actualizar el contexto
-  // Para anuncios consecutivos, mantener el contexto del primer anuncio
-  if (!isInAdSequence) {
+  // Para el primer anuncio de un pod, siempre actualizar el contexto
+  // Para los siguientes anuncios del pod, mantener el contexto del primero
+  const pod = getCurrentAdPod();
+  if (!pod) {
     // No estamos en una secuencia: actualizar normalmente
     lastVideoContextTime = currentTime;
     lastVideoContextDuration = totalDuration;
     lastVideoContextTimestamp = now;
     logger.info(`[CONTEXTO] Contexto de video actualizado (fuera de secuencia): ${currentTime}s / ${totalDuration}s`);
-  } else if (consecutiveAdCount === 1) {
-    // Primer anuncio de la secuencia: establecer el contexto base
+  } else if (pod.adCount <= 1) {
+    // Primer anuncio del pod: establecer el contexto base
     lastVideoContextTime = currentTime;
     lastVideoContextDuration = totalDuration;
     lastVideoContextTimestamp = now;
     logger.info(`[CONTEXTO] Contexto de video establecido para secuencia: ${currentTime}s / ${totalDuration}s`);
   } else {
-    // Anuncios consecutivos: mantener el contexto del primer anuncio
+    // Anuncios siguientes del pod: mantener el contexto del primer anuncio
     logger.info(`[CONTEXTO] Manteniendo contexto de secuencia: ${lastVideoContextTime}s / ${lastVideoContextDuration}s`);
   }
 }
 
-// Función para iniciar una secuencia de anuncios
-function startAdSequence() {
-  if (!isInAdSequence) {
-    isInAdSequence = true;
-    consecutiveAdCount = 0;
-    // === NUEVO: Resetear variables al inicio de una nueva secuencia ===
-    resetAdDataVariables();
-    logger.info('[SECUENCIA] Nueva secuencia de anuncios iniciada, variables reseteadas');
-  } else {
-    // === NUEVO: Si ya estamos en una secuencia, es un anuncio consecutivo ===
-    consecutiveAdCount++;
-    // === NUEVO: Resetear variables para el nuevo anuncio consecutivo ===
-    resetAdDataVariables();
-    logger.info(`[SECUENCIA] Anuncio consecutivo #${consecutiveAdCount}, variables reseteadas para datos frescos`);
-  }
-}
-
-// Función para finalizar una secuencia de anuncios
-function endAdSequence() {
-  isInAdSequence = false;
-  consecutiveAdCount = 0;
-  // === NUEVO: Resetear variables al finalizar secuencia ===
-  resetAdDataVariables();
-  logger.info('[SECUENCIA] Secuencia de anuncios finalizada, variables reseteadas');
-}
-
 // === NUEVA FUNCIÓN: Detectar cambios entre anuncios consecutivos ===
 function detectConsecutiveAdChange() {
   const currentAdElements = document.querySelectorAll([
@@ -1941,40 +2633,38 @@ function detectConsecutiveAdChange() {
   return false;
 }
     
+// Campos del overlay que solo muestran algunos creativos: si faltan no cuentan como fallo del selector
+const OPTIONAL_OVERLAY_FIELDS = ['overlay.advertiserAvatar', 'overlay.adDescription', 'overlay.adButtonText'];
+
+// El texto para omitir solo se espera en anuncios saltables (según el reproductor o el botón visible);
+// en los no saltables y bumpers no existe
+function isSkipTextExpected() {
+  const playerAd = findPlayerAd(getPlayerAdMetadata(), lastAdDebugVideoId);
+  if (playerAd) return playerAd.skippable;
+  return AD_SELECTORS.skipButton.some(selector => document.querySelector(selector) !== null);
+}
+
 // Función para extraer datos del overlay del anuncio
 function extraerDatosOverlayAnuncio() {
   try {
-    // === USAR EXACTAMENTE LOS SELECTORES DE selectores2.md ===
-    
-    // 1. Skip text
-    const skipTextSelector = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[3]/div/button/div';
-    const skipTextElement = document.evaluate(skipTextSelector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const skipText = skipTextElement ? (skipTextElement.textContent || skipTextElement.innerText || '').trim() : '';
-    
-    // 2. Texto anunciante (advertisertext)
-    const advertiserTextSelector = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[1]/div/div/div/div[2]';
-    const advertiserTextElement = document.evaluate(advertiserTextSelector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const advertiserText = advertiserTextElement ? (advertiserTextElement.textContent || advertiserTextElement.innerText || '').trim() : '';
-    
-    // 3. Avatar URL (advertiseravatarurl) - extraer el src
-    const advertiserAvatarSelector = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[1]/div/img';
-    const advertiserAvatarElement = document.evaluate(advertiserAvatarSelector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const advertiserAvatarUrl = advertiserAvatarElement ? (advertiserAvatarElement.src || '') : '';
-    
-    // 4. Cabecera anuncio (adheadline)
-    const adHeadlineSelector = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[1]/div/div/div/div[1]';
-    const adHeadlineElement = document.evaluate(adHeadlineSelector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const adHeadline = adHeadlineElement ? (adHeadlineElement.textContent || adHeadlineElement.innerText || '').trim() : '';
-    
-    // 5. Descripción/link (addescription)
-    const adDescriptionSelector = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[2]/div';
-    const adDescriptionElement = document.evaluate(adDescriptionSelector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const adDescription = adDescriptionElement ? (adDescriptionElement.textContent || adDescriptionElement.innerText || '').trim() : '';
+    const skipTextExpected = isSkipTextExpected();
+    const isExpected = key => key === 'overlay.skipText' ? skipTextExpected : !OPTIONAL_OVERLAY_FIELDS.includes(key);
+    
+    // Cadenas de selectores del pack activo (overlay.<campo>)
+    const textOf = key => {
+      const match = findWithSelectorChain(document, key, el => getElementText(el) !== '');
+      recordSelectorHealth(key, match, isExpected(key));
+      return getElementText(match?.element);
+    };
     
-    // 6. Ad button text
-    const adButtonTextSelector = '/html/body/ytd-app/div[1]/ytd-page-manager/ytd-watch-flexy/div[5]/div[1]/div/div[1]/div[2]/div/div[2]/ytd-player/div/div/div[7]/div/div[1]/div/button/span';
-    const adButtonTextElement = document.evaluate(adButtonTextSelector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const adButtonText = adButtonTextElement ? (adButtonTextElement.textContent || adButtonTextElement.innerText || '').trim() : '';
+    const skipText = textOf('overlay.skipText');
+    const advertiserText = textOf('overlay.advertiserText');
+    const avatarMatch = findWithSelectorChain(document, 'overlay.advertiserAvatar', el => Boolean(el.src));
+    recordSelectorHealth('overlay.advertiserAvatar', avatarMatch, isExpected('overlay.advertiserAvatar'));
+    const advertiserAvatarUrl = avatarMatch ? avatarMatch.element.src : '';
+    const adHeadline = textOf('overlay.adHeadline');
+    const adDescription = textOf('overlay.adDescription');
+    const adButtonText = textOf('overlay.adButtonText');
     
     // Actualizar datos globales
     currentAdData.skipText = skipText;
@@ -1984,7 +2674,7 @@ function extraerDatosOverlayAnuncio() {
     currentAdData.adDescription = adDescription;
     currentAdData.adButtonText = adButtonText;
     
-    logger.info('Datos del overlay extraídos con selectores específicos:', {
+    logger.info(`Datos del overlay extraídos (pack ${activeSelectorPack.version}):`, {
       skipText,
       advertiserText,
       advertiserAvatarUrl,
@@ -1994,20 +2684,455 @@ function extraerDatosOverlayAnuncio() {
     });
     
   } catch (error) {
-    logger.warn('Error extrayendo datos del overlay con selectores específicos:', error.message);
+    logger.warn('Error extrayendo datos del overlay con el pack de selectores:', error.message);
+  }
+}
+
+// === [METADATOS DE ANUNCIOS DEL REPRODUCTOR] ===
+// La respuesta del reproductor (ytInitialPlayerResponse / ytplayer.config / getPlayerResponse)
+// describe los cortes publicitarios: adPlacements y adSlots con su tipo, desplazamiento,
+// duración y momento en que se puede omitir. Es la fuente principal para adTypeInfo;
+// las heurísticas del DOM solo se usan para lo que no aparezca aquí.
+const PLACEMENT_KIND_POSITIONS = {
+  AD_PLACEMENT_KIND_START: 'pre_roll',
+  AD_PLACEMENT_KIND_MILLISECONDS: 'mid_roll',
+  AD_PLACEMENT_KIND_END: 'post_roll'
+};
+const MAX_METADATA_DEPTH = 12;
+
+let playerAdMetadataCache = { key: null, metadata: null };
+
+function getPlayerResponse() {
+  try {
+    const player = document.querySelector('#movie_player');
+    if (player && typeof player.getPlayerResponse === 'function') {
+      const response = player.getPlayerResponse();
+      if (response) return response;
+    }
+  } catch (e) {
+    // API del reproductor no disponible todavía
+  }
+
+  const args = window.ytplayer?.config?.args;
+  if (args?.raw_player_response && typeof args.raw_player_response === 'object') {
+    return args.raw_player_response;
+  }
+  if (typeof args?.player_response === 'string') {
+    try {
+      return JSON.parse(args.player_response);
+    } catch (e) {
+      // player_response mal formado: usar ytInitialPlayerResponse
+    }
+  }
+  return window.ytInitialPlayerResponse || null;
+}
+
+function toFiniteNumber(value) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+// Primer valor de una clave en la estructura (búsqueda en profundidad limitada)
+function findNestedValue(node, key, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_METADATA_DEPTH) return undefined;
+  if (Object.prototype.hasOwnProperty.call(node, key)) return node[key];
+  for (const value of Object.values(node)) {
+    const found = findNestedValue(value, key, depth + 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Todos los instreamVideoAdRenderer de un corte, en orden (un pod puede tener varios)
+function collectInstreamRenderers(node, result = [], depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_METADATA_DEPTH) return result;
+  if (node.instreamVideoAdRenderer) {
+    result.push(node.instreamVideoAdRenderer);
+    return result;
+  }
+  Object.values(node).forEach(value => collectInstreamRenderers(value, result, depth + 1));
+  return result;
+}
+
+function parseInstreamAd(renderer) {
+  const playerVars = new URLSearchParams(typeof renderer.playerVars === 'string' ? renderer.playerVars : '');
+  const skipOffsetMs = toFiniteNumber(findNestedValue(renderer, 'skipOffsetMilliseconds'));
+  const lengthSeconds = toFiniteNumber(playerVars.get('length_seconds'));
+  const lengthMs = toFiniteNumber(findNestedValue(renderer, 'videoLengthMilliseconds'));
+
+  return {
+    videoId: renderer.externalVideoId || playerVars.get('video_id') || null,
+    skippable: skipOffsetMs !== null,
+    skipOffsetMs,
+    durationSec: lengthSeconds ?? (lengthMs !== null ? Math.round(lengthMs / 1000) : null)
+  };
+}
+
+function addAdBreak(metadata, position, offsetMs, renderers, source) {
+  const ads = renderers.map(parseInstreamAd);
+  // adPlacements y adSlots pueden describir el mismo corte; adCount es null si los anuncios se piden más tarde
+  const existingBreak = metadata.breaks.find(adBreak => adBreak.position === position && adBreak.offsetMs === offsetMs);
+  if (existingBreak) {
+    existingBreak.adCount = Math.max(existingBreak.adCount || 0, ads.length) || null;
+  } else {
+    metadata.breaks.push({ position, offsetMs, adCount: ads.length || null, source });
+  }
+  ads.forEach((ad, index) => {
+    // El mismo anuncio puede aparecer en adPlacements y en adSlots
+    if (ad.videoId && metadata.ads.some(existing => existing.videoId === ad.videoId)) return;
+    metadata.ads.push({ ...ad, position, breakOffsetMs: offsetMs, podIndex: index + 1, podSize: ads.length });
+  });
+}
+
+function getSlotPosition(slot) {
+  const triggerEvent = String(findNestedValue(slot.adSlotMetadata, 'triggerEvent') || '');
+  if (triggerEvent.includes('BEFORE_CONTENT')) return { position: 'pre_roll', offsetMs: 0 };
+  if (triggerEvent.includes('AFTER_CONTENT')) return { position: 'post_roll', offsetMs: -1 };
+
+  const offsetMs = toFiniteNumber(findNestedValue(slot.slotEntryTrigger || slot, 'offsetStartMilliseconds'));
+  if (offsetMs !== null) return { position: offsetMs === 0 ? 'pre_roll' : 'mid_roll', offsetMs };
+  return { position: 'unknown', offsetMs: null };
+}
+
+/**
+ * Extrae cortes y anuncios de la respuesta del reproductor.
+ * @returns {{breaks: Array, ads: Array}|null} null si no hay información de anuncios
+ */
+function parsePlayerAdMetadata(playerResponse) {
+  if (!playerResponse) return null;
+  const metadata = { breaks: [], ads: [] };
+
+  (playerResponse.adPlacements || []).forEach(placement => {
+    const renderer = placement?.adPlacementRenderer;
+    if (!renderer) return;
+    const config = renderer.config?.adPlacementConfig || {};
+    const position = PLACEMENT_KIND_POSITIONS[config.kind] || 'unknown';
+    const offsetMs = toFiniteNumber(config.adTimeOffset?.offsetStartMilliseconds);
+    addAdBreak(metadata, position, offsetMs, collectInstreamRenderers(renderer.renderer), 'adPlacements');
+  });
+
+  (playerResponse.adSlots || []).forEach(slotWrapper => {
+    const slot = slotWrapper?.adSlotRenderer;
+    if (!slot) return;
+    const renderers = collectInstreamRenderers(slot.fulfillmentContent);
+    if (renderers.length === 0) return;
+    const { position, offsetMs } = getSlotPosition(slot);
+    addAdBreak(metadata, position, offsetMs, renderers, 'adSlots');
+  });
+
+  return metadata.breaks.length > 0 ? metadata : null;
+}
+
+// Metadatos del video actual (se vuelven a analizar solo si cambia la respuesta)
+function getPlayerAdMetadata() {
+  const playerResponse = getPlayerResponse();
+  if (!playerResponse) return null;
+
+  const cacheKey = `${playerResponse.videoDetails?.videoId || ''}:${(playerResponse.adPlacements || []).length}:${(playerResponse.adSlots || []).length}`;
+  if (playerAdMetadataCache.key !== cacheKey) {
+    let metadata = null;
+    try {
+      metadata = parsePlayerAdMetadata(playerResponse);
+    } catch (e) {
+      logger.warn('Error analizando los anuncios de la respuesta del reproductor:', e.message);
+    }
+    playerAdMetadataCache = { key: cacheKey, metadata };
+  }
+  return playerAdMetadataCache.metadata;
+}
+
+// Anuncio en reproducción según su addebug_videoId
+function findPlayerAd(metadata, adVideoId) {
+  if (!metadata || !adVideoId) return null;
+  return metadata.ads.find(ad => ad.videoId === adVideoId) || null;
+}
+
+// Posición del corte que coincide con el punto del video principal (si no se identificó el anuncio)
+function getBreakPositionAt(metadata, contentTimeSec, contentDurationSec) {
+  if (!metadata) return null;
+  const BREAK_TOLERANCE_SEC = 5;
+  const match = metadata.breaks.find(adBreak => {
+    if (adBreak.position === 'pre_roll') return contentTimeSec <= BREAK_TOLERANCE_SEC;
+    if (adBreak.position === 'post_roll') return contentDurationSec > 0 && contentDurationSec - contentTimeSec <= BREAK_TOLERANCE_SEC;
+    if (adBreak.offsetMs === null) return false;
+    return Math.abs(adBreak.offsetMs / 1000 - contentTimeSec) <= BREAK_TOLERANCE_SEC;
+  });
+  return match ? match.position : null;
+}
+
+// Momentos de los cortes en segundos (post-roll = -1), para adTypeInfo
+function getAdBreakTimes(metadata) {
+  if (!metadata) return [];
+  return metadata.breaks.map(adBreak => ({
+    position: adBreak.position,
+    offsetSec: adBreak.position === 'post_roll' ? -1 : (adBreak.offsetMs !== null ? adBreak.offsetMs / 1000 : null),
+    adCount: adBreak.adCount
+  }));
+}
+
+// === [MAPA DE CORTES PUBLICITARIOS] ===
+// Puntos de corte programados del video principal (respuesta del reproductor y marcas de la barra
+// de progreso) y cortes reproducidos en esta visualización: segundo del video y anuncios de cada corte.
+// El content-script lo reenvía al service worker, que lo guarda por debug_videoId.
+const AD_BREAK_SNAP_TOLERANCE_SEC = 5;
+const AD_BREAK_CUE_TOLERANCE_SEC = 2;
+const CONTENT_TIME_SAMPLE_MS = 1000;
+
+let adBreakMapState = createAdBreakMapState(null);
+let lastContentTimeSample = 0;
+
+function createAdBreakMapState(videoId) {
+  return {
+    videoId,
+    viewId: videoId ? `${videoId}:${Date.now()}` : null,
+    duration: 0,
+    contentTime: 0,
+    cuePoints: [],
+    breaks: [],
+    currentBreak: null
+  };
+}
+
+// Segundo del video principal: solo se muestrea mientras no hay anuncio (durante el anuncio <video> es el anuncio)
+document.addEventListener('timeupdate', (event) => {
+  const video = event.target;
+  if (!(video instanceof HTMLVideoElement) || !video.closest('#movie_player')) return;
+  const now = Date.now();
+  if (now - lastContentTimeSample < CONTENT_TIME_SAMPLE_MS || isPlayerShowingAd()) return;
+  lastContentTimeSample = now;
+  adBreakMapState.contentTime = video.currentTime || 0;
+  if (video.duration > 0 && Number.isFinite(video.duration)) adBreakMapState.duration = video.duration;
+}, true);
+
+// Marcas amarillas de la barra de progreso (left en % de la duración)
+function getProgressBarCuePoints(duration) {
+  if (!(duration > 0) || isPlayerShowingAd()) return [];
+  const markers = document.querySelectorAll('#movie_player .ytp-ad-progress-list .ytp-ad-progress');
+  const cuePoints = [];
+  markers.forEach(marker => {
+    let percent = parseFloat(marker.style.left);
+    if (!Number.isFinite(percent)) {
+      const list = marker.parentElement;
+      if (!list || !list.clientWidth) return;
+      percent = marker.offsetLeft / list.clientWidth * 100;
+    }
+    if (percent <= 0.5) {
+      cuePoints.push({ offsetSec: 0, position: 'pre_roll', sources: ['progress-bar'], scheduledAds: null });
+    } else if (percent >= 99.5) {
+      cuePoints.push({ offsetSec: -1, position: 'post_roll', sources: ['progress-bar'], scheduledAds: null });
+    } else {
+      cuePoints.push({ offsetSec: Math.round(percent / 100 * duration * 10) / 10, position: 'mid_roll', sources: ['progress-bar'], scheduledAds: null });
+    }
+  });
+  return cuePoints;
+}
+
+// Cortes de la respuesta del reproductor, solo si corresponde al video del mapa
+function getPlayerResponseCuePoints(videoId) {
+  const responseVideoId = getPlayerResponse()?.videoDetails?.videoId;
+  if (responseVideoId && responseVideoId !== videoId) return [];
+  return getAdBreakTimes(getPlayerAdMetadata())
+    .filter(adBreak => adBreak.offsetSec !== null)
+    .map(adBreak => ({
+      offsetSec: adBreak.offsetSec,
+      position: adBreak.position,
+      sources: ['player-response'],
+      scheduledAds: adBreak.adCount
+    }));
+}
+
+// Añadir puntos nuevos al mapa; devuelve true si cambió algo
+function mergeAdBreakCuePoints(state, cuePoints) {
+  let changed = false;
+  cuePoints.forEach(cue => {
+    const match = state.cuePoints.find(current =>
+      current.position === cue.position && Math.abs(current.offsetSec - cue.offsetSec) <= AD_BREAK_CUE_TOLERANCE_SEC
+    );
+    if (!match) {
+      state.cuePoints.push({ ...cue, sources: [...cue.sources] });
+      changed = true;
+      return;
+    }
+    cue.sources.forEach(source => {
+      if (!match.sources.includes(source)) {
+        match.sources.push(source);
+        changed = true;
+      }
+    });
+    if (cue.scheduledAds && cue.scheduledAds !== match.scheduledAds) {
+      match.scheduledAds = Math.max(match.scheduledAds || 0, cue.scheduledAds);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+// Punto de corte programado que corresponde al segundo en que empezó el corte
+function findCuePointFor(state, position, offsetSec) {
+  if (position === 'post_roll') return state.cuePoints.find(cue => cue.position === 'post_roll') || null;
+  let best = null;
+  state.cuePoints.forEach(cue => {
+    if (cue.offsetSec < 0) return;
+    const distance = Math.abs(cue.offsetSec - offsetSec);
+    if (distance <= AD_BREAK_SNAP_TOLERANCE_SEC && (!best || distance < Math.abs(best.offsetSec - offsetSec))) best = cue;
+  });
+  return best;
+}
+
+function openAdBreak(state) {
+  const offsetSec = Math.round(state.contentTime * 10) / 10;
+  let position = 'mid_roll';
+  if (offsetSec <= 1) position = 'pre_roll';
+  else if (state.duration > 0 && state.duration - offsetSec <= AD_BREAK_CUE_TOLERANCE_SEC) position = 'post_roll';
+
+  const cue = findCuePointFor(state, position, offsetSec);
+  const startedAt = Date.now();
+  const adBreak = {
+    podId: `${state.videoId}-${startedAt.toString(36)}`,
+    offsetSec,
+    position: cue ? cue.position : position,
+    cueOffsetSec: cue ? cue.offsetSec : null,
+    startedAt,
+    adIds: [],
+    adCount: 0,
+    podSize: cue && cue.scheduledAds ? cue.scheduledAds : null
+  };
+  state.breaks.push(adBreak);
+  state.currentBreak = adBreak;
+  logger.info(`[CORTES] Corte ${adBreak.position} en ${offsetSec}s${cue ? ` (punto programado ${cue.offsetSec}s)` : ''}`);
+  return adBreak;
+}
+
+/**
+ * Actualiza el mapa de cortes con el estado del ciclo de detección.
+ * @param {string|null} videoId - debug_videoId del video principal
+ * @param {string|null} adId - addebug_videoId del anuncio en reproducción (null si no hay anuncio)
+ */
+function updateAdBreakMap(videoId, adId) {
+  if (!videoId) return;
+  if (adBreakMapState.videoId !== videoId) {
+    adBreakMapState = createAdBreakMapState(videoId);
+  }
+  const state = adBreakMapState;
+
+  let changed = mergeAdBreakCuePoints(state, getPlayerResponseCuePoints(videoId));
+  changed = mergeAdBreakCuePoints(state, getProgressBarCuePoints(state.duration)) || changed;
+
+  if (adId) {
+    const adBreak = state.currentBreak || openAdBreak(state);
+    if (!adBreak.adIds.includes(adId)) {
+      adBreak.adIds.push(adId);
+      adBreak.adCount = adBreak.adIds.length;
+      changed = true;
+    }
+    // Tamaño del pod: el mayor entre el distintivo "N de M", lo programado y lo visto
+    const badge = readPodBadge();
+    const podSize = Math.max(adBreak.podSize || 0, badge ? badge.size : 0, adBreak.adCount);
+    if (podSize !== adBreak.podSize) {
+      adBreak.podSize = podSize;
+      changed = true;
+    }
+  } else if (state.currentBreak && !isPlayerShowingAd()) {
+    // Entre dos anuncios del mismo pod puede no haber addebug_videoId durante un instante
+    logger.info(`[POD] Pod ${state.currentBreak.podId} terminado: ${state.currentBreak.adCount} de ${state.currentBreak.podSize} anuncios`);
+    state.currentBreak = null;
   }
+
+  if (changed) debounce(flushAdBreakMap, 1000, 'ad_break_map');
+}
+
+function flushAdBreakMap() {
+  const state = adBreakMapState;
+  if (!state.videoId || (state.cuePoints.length === 0 && state.breaks.length === 0)) return;
+  window.postMessage({
+    type: 'ADHUNT3R_AD_BREAK_MAP',
+    map: {
+      videoId: state.videoId,
+      viewId: state.viewId,
+      duration: Math.round(state.duration),
+      cuePoints: state.cuePoints,
+      breaks: state.breaks
+    }
+  }, '*');
+}
+
+// === [POD DE ANUNCIOS] ===
+// Cada corte reproducido es un pod con id propio y cada anuncio es el "N de M" del pod.
+// N y M se leen del distintivo "1 de 2" del overlay; si no aparece, de la respuesta del
+// reproductor y, en último caso, del orden en que se han visto los anuncios del corte.
+const MAX_POD_SIZE = 10;
+
+function getCurrentAdPod() {
+  return adBreakMapState.currentBreak;
+}
+
+// "1 of 2", "Anuncio 1 de 2", "広告 1/2"... y el orden inverso ("2개 중 1개")
+function parsePodBadge(text) {
+  if (!text) return null;
+  const match = text.match(/(\d{1,2})\s*(?:[^\d\s:·•]{1,4}\s*){1,2}(\d{1,2})/u);
+  if (!match) return null;
+  let index = parseInt(match[1], 10);
+  let size = parseInt(match[2], 10);
+  if (index > size) [index, size] = [size, index];
+  if (index < 1 || size < 2 || size > MAX_POD_SIZE) return null;
+  return { index, size };
+}
+
+// No se anota en la salud de los selectores: los anuncios sueltos no tienen distintivo
+function readPodBadge() {
+  const match = findWithSelectorChain(document, 'overlay.podBadge', element => isElementVisible(element));
+  return match ? parsePodBadge(getElementText(match.element)) : null;
+}
+
+/**
+ * Posición del anuncio dentro del pod en curso.
+ * @param {string|null} adId - addebug_videoId del anuncio
+ * @param {Object|null} playerAd - Anuncio de la respuesta del reproductor (findPlayerAd)
+ * @returns {{id: string|null, index: number|null, size: number|null, source: string|null}}
+ */
+function getAdPodInfo(adId, playerAd) {
+  const adBreak = getCurrentAdPod();
+  const badge = readPodBadge();
+  const observedIndex = adBreak && adId ? adBreak.adIds.indexOf(adId) + 1 : 0;
+
+  let index = null;
+  let source = null;
+  if (badge) {
+    index = badge.index;
+    source = 'overlay-badge';
+  } else if (playerAd && playerAd.podIndex) {
+    index = playerAd.podIndex;
+    source = 'player-response';
+  } else if (observedIndex > 0) {
+    index = observedIndex;
+    source = 'observed';
+  }
+
+  const size = Math.max(
+    badge ? badge.size : 0,
+    playerAd && playerAd.podSize ? playerAd.podSize : 0,
+    adBreak ? adBreak.podSize || adBreak.adCount : 0,
+    index || 0
+  ) || null;
+
+  return { id: adBreak ? adBreak.podId : null, index, size, source };
 }
 
 // Función común para detectar el tipo de anuncio (OPTIMIZACIÓN: Unificar lógica)
-function detectAdTypeCommon(extractData = false) {
+function detectAdTypeCommon(extractData = false, adVideoId = null) {
   // Solo extraer datos del overlay si se solicita explícitamente
   if (extractData) {
     extraerDatosOverlayAnuncio();
   }
   
-  // Marcar que estamos en una secuencia de anuncios
-  startAdSequence();
+  let pod = null;
   try {
+    // Fuente principal: cortes publicitarios de la respuesta del reproductor
+    const playerAdMetadata = getPlayerAdMetadata();
+    const playerAd = findPlayerAd(playerAdMetadata, adVideoId || lastAdDebugVideoId);
+    // Pod del corte en curso: "anuncio N de M"
+    pod = getAdPodInfo(adVideoId || lastAdDebugVideoId, playerAd);
+    
     const player = document.querySelector('#movie_player');
     // OPTIMIZACIÓN: Usar selectores globales
     let skipButton = null;
@@ -2020,39 +3145,39 @@ function detectAdTypeCommon(extractData = false) {
       adContainer = document.querySelector(selector);
       if (adContainer && isElementVisible(adContainer)) break;
     }
-    // Detección alternativa si no se encontró contenedor
-    if (!adContainer) {
-      const adTextElements = document.querySelectorAll('*');
-      for (const element of adTextElements) {
-        if (element.textContent && element.textContent.toLowerCase().includes('anuncio') && isElementVisible(element)) {
-          adContainer = element;
-          break;
+    // Detección alternativa si no se encontró contenedor (innecesaria si el reproductor describe el anuncio)
+    if (!adContainer && !playerAd) {
+      if (isPlayerShowingAd()) {
+        adContainer = player;
+      } else {
+        // Último recurso: etiqueta "Anuncio" en el idioma de la interfaz dentro del reproductor
+        const adTextElements = (player || document).querySelectorAll('span, div');
+        for (const element of adTextElements) {
+          if (element.children.length === 0 && matchesUiCue(element.textContent, 'ad') && isElementVisible(element)) {
+            adContainer = element;
+            break;
+          }
         }
       }
     }
     let isSkippable = false;
-    if (skipButton) isSkippable = true;
+    if (playerAd) isSkippable = playerAd.skippable;
+    else if (skipButton) isSkippable = true;
     if (skipButton && !isSkippable) {
       const style = window.getComputedStyle(skipButton);
       if (style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0') isSkippable = true;
       }
-    if (!isSkippable) {
-      const skipTexts = ['skip ad', 'omitir', 'saltar', 'skip in', 'omitir en', 'saltar en'];
-      const allText = document.body.innerText.toLowerCase();
-      for (const text of skipTexts) {
-        if (allText.includes(text)) {
-          isSkippable = true;
-          break;
-        }
-      }
+    // Cuenta atrás previa al botón de omitir (solo aparece en anuncios que se pueden omitir)
+    if (!isSkippable && !playerAd) {
+      isSkippable = AD_SELECTORS.skipPreview.some(selector => {
+        const element = document.querySelector(selector);
+        return element && isElementVisible(element);
+      });
     }
-    if (!isSkippable) {
-      for (const selector of AD_SELECTORS.nonSkippable) {
-        if (document.querySelector(selector)) {
-          isSkippable = false;
-          break;
-        }
-      }
+    // Último recurso: texto "Omitir" en el idioma de la interfaz, solo dentro del módulo del anuncio
+    if (!isSkippable && !playerAd) {
+      const adModule = getAdModuleElement();
+      if (adModule && matchesUiCue(adModule.innerText, 'skip')) isSkippable = true;
     }
     let skipText = '';
     if (skipButton) skipText = (skipButton.textContent || skipButton.innerText || '').trim();
@@ -2068,14 +3193,19 @@ function detectAdTypeCommon(extractData = false) {
         }
       }
     }
-    if (!isSkippable && skipText) {
+    if (!isSkippable && !playerAd && skipText) {
       const countdownMatch = skipText.match(/\d+/);
       if (countdownMatch) isSkippable = true;
     }
     let adDuration = 0;
     let durationDetected = false;
     let durationSource = 'none';
-    const bestDuration = getBestAdDuration();
+    if (playerAd && playerAd.durationSec > 0) {
+      adDuration = playerAd.durationSec;
+      durationDetected = true;
+      durationSource = 'player-response';
+    }
+    const bestDuration = adDuration === 0 ? getBestAdDuration() : { duration: 0 };
     if (bestDuration.duration > 0) {
       adDuration = bestDuration.duration;
       durationDetected = bestDuration.isDetected;
@@ -2086,16 +3216,12 @@ function detectAdTypeCommon(extractData = false) {
         const adTimeDisplay = document.querySelector(selector);
         if (adTimeDisplay && !durationDetected) {
           const timeText = adTimeDisplay.textContent || adTimeDisplay.innerText || '';
-          const timeMatch = timeText.match(/(\d+):(\d+)|(\d+)s|(\d+)\s*segundos?|\((\d+)s?\)|Ad\s*·?\s*(\d+)s?|Anuncio\s*·?\s*(\d+)s?|(\d+)\s*sec/i);
-          if (timeMatch) {
+          const seconds = parseAdSeconds(timeText);
+          if (seconds !== null) {
             durationDetected = true;
             durationSource = 'dom-text';
-            if (timeMatch[1] && timeMatch[2]) {
-              adDuration = parseInt(timeMatch[1]) * 60 + parseInt(timeMatch[2]);
-            } else {
-              const duration = parseInt(timeMatch[3] || timeMatch[5] || timeMatch[6] || timeMatch[7] || timeMatch[8]);
-              if (duration > 0 && duration < 300) adDuration = duration;
-            }
+            // mm:ss puede superar los 5 minutos; los segundos sueltos se limitan como antes
+            if (/(\d+):(\d{2})/.test(timeText) || (seconds > 0 && seconds < 300)) adDuration = seconds;
             break;
           }
         }
@@ -2121,17 +3247,17 @@ function detectAdTypeCommon(extractData = false) {
           durationDetected = true;
           durationSource = 'skip-inference';
           adDuration = 6;
-          if (!isSkippable) isSkippable = true;
+          if (!isSkippable && !playerAd) isSkippable = true;
         } else if (remainingTime <= 15) {
           durationDetected = true;
           durationSource = 'skip-inference';
           adDuration = 15;
-          if (!isSkippable) isSkippable = true;
+          if (!isSkippable && !playerAd) isSkippable = true;
         } else if (remainingTime <= 20) {
           durationDetected = true;
           durationSource = 'skip-inference';
           adDuration = 20;
-          if (!isSkippable) isSkippable = true;
+          if (!isSkippable && !playerAd) isSkippable = true;
           }
         }
       }
@@ -2189,7 +3315,7 @@ function detectAdTypeCommon(extractData = false) {
         }
       }
       if (videoCurrentTime > 0 && totalDuration > 0) updateVideoContext(videoCurrentTime, totalDuration);
-      if (consecutiveAdCount > 1 && lastVideoContextTime > 0 && lastVideoContextDuration > 0) {
+      if (pod.index > 1 && lastVideoContextTime > 0 && lastVideoContextDuration > 0) {
         videoCurrentTime = lastVideoContextTime;
         totalDuration = lastVideoContextDuration;
         videoProgress = videoCurrentTime / totalDuration;
@@ -2219,7 +3345,16 @@ function detectAdTypeCommon(extractData = false) {
           adPosition = 'mid_roll';
         }
       }
+      
+      // La posición del corte en el reproductor prevalece sobre la estimada por tiempo
+      const playerPosition = playerAd && playerAd.position !== 'unknown'
+        ? playerAd.position
+        : getBreakPositionAt(playerAdMetadata, videoCurrentTime, totalDuration);
+      if (playerPosition) adPosition = playerPosition;
     } // <-- CIERRE DEL if (videoElement)
+    if (adPosition === 'unknown' && playerAd && playerAd.position !== 'unknown') {
+      adPosition = playerAd.position;
+    }
     return {
       type: adType,
       isSkippable: isSkippable,
@@ -2233,7 +3368,14 @@ function detectAdTypeCommon(extractData = false) {
       adHeadline: currentAdData.adHeadline,
       adDescription: currentAdData.adDescription,
       adButtonText: currentAdData.adButtonText,
-      consecutiveAdNumber: consecutiveAdCount,
+      consecutiveAdNumber: pod.index || 0,
+      metadataSource: playerAd ? 'player-response' : 'dom',
+      skipOffset: playerAd && playerAd.skipOffsetMs !== null ? playerAd.skipOffsetMs / 1000 : null,
+      podId: pod.id,
+      podIndex: pod.index,
+      podSize: pod.size,
+      podSource: pod.source,
+      adBreakTimes: getAdBreakTimes(playerAdMetadata),
       timestamp: Date.now()
     };
   } catch (e) {
@@ -2245,32 +3387,32 @@ function detectAdTypeCommon(extractData = false) {
       durationSource: 'none',
       position: 'unknown',
       skipText: '',
-      consecutiveAdNumber: consecutiveAdCount,
+      consecutiveAdNumber: pod?.index || 0,
+      podId: pod?.id || null,
+      metadataSource: 'dom',
       timestamp: Date.now()
     };
   }
 }
 
 // Función básica para detectar el tipo de anuncio (SIN extracción de datos)
-function detectAdTypeBasic() {
-  return detectAdTypeCommon(false);
+function detectAdTypeBasic(adVideoId = null) {
+  return detectAdTypeCommon(false, adVideoId);
 }
 
 // Función completa para detectar el tipo de anuncio (CON extracción de datos)
-function detectAdType() {
-  return detectAdTypeCommon(true);
+function detectAdType(adVideoId = null) {
+  return detectAdTypeCommon(true, adVideoId);
 }
 
-let lastMessageSent = 0;
 let lastDetectedVideoId = null; // Nueva variable para tracking independiente
 
 // Función para detectar cambios de video por URL
 function detectVideoChange() {
   try {
-    if (window.location.href.includes('/watch?v=')) {
-        const urlParams = new URLSearchParams(window.location.search);
-        const videoIdFromUrl = urlParams.get('v');
-      if (videoIdFromUrl && videoIdFromUrl.match(/^[\w-]{11}$/) && videoIdFromUrl !== lastDetectedVideoId) {
+    if (getSiteVideoIdFromUrl()) {
+        const videoIdFromUrl = getSiteVideoIdFromUrl();
+      if (videoIdFromUrl !== lastDetectedVideoId) {
         lastDetectedVideoId = videoIdFromUrl;
         
         // === NUEVO: Resetear contexto de posición al cambiar video ===
@@ -2285,6 +3427,30 @@ function detectVideoChange() {
           debounce(checkDebugInfoAndAdState, 300, 'debug_check');
         });
       }
+    } else if (isShortsPage()) {
+      // Cambio de short (al deslizar): comprobar enseguida si el nuevo reel es un anuncio
+      const shortId = getShortsIdFromUrl();
+      if (shortId && shortId !== lastDetectedVideoId) {
+        lastDetectedVideoId = shortId;
+        logger.info(`[SHORTS] Cambio de short detectado: ${shortId}`);
+        requestAnimationFrame(() => {
+          debounce(checkDebugInfoAndAdState, 300, 'debug_check');
+        });
+      }
+    } else if (isEmbedPage()) {
+      // Reproductor embebido: el iframe se recarga con otro /embed/<id> al cambiar de video
+      const embedId = getEmbedIdFromUrl();
+      if (embedId && embedId !== lastDetectedVideoId) {
+        lastDetectedVideoId = embedId;
+        videoPauseTime = 0;
+        isVideoPaused = false;
+        lastVideoCurrentTime = 0;
+        lastVideoDuration = 0;
+        logger.info(`[EMBED] Video embebido detectado: ${embedId}`);
+        requestAnimationFrame(() => {
+          debounce(checkDebugInfoAndAdState, 300, 'debug_check');
+        });
+      }
     }
       } catch (e) {
     // Ignorar errores
@@ -2298,7 +3464,23 @@ function executeFullAdDataExtraction() {
   try {
     // 0. RESETEAR VARIABLES AL INICIO (CRÍTICO)
     resetAdDataVariables();
-    
+
+    // Shorts: el anuncio es un reel, sin overlay ni posición dentro de un video
+    if (isShortsPage()) {
+      const reel = findShortsElement('activeReel');
+      const adTypeInfo = isShortsAdReel(reel) ? detectShortsAdType(reel, findShortsPlayer()) : detectAdType();
+      logger.info('[SHORTS] Datos del anuncio del reel:', adTypeInfo);
+      return {
+        skipText: '',
+        advertiserText: adTypeInfo.advertiserText || '',
+        advertiserAvatarUrl: '',
+        adHeadline: adTypeInfo.adHeadline || '',
+        adDescription: '',
+        adButtonText: '',
+        adTypeInfo
+      };
+    }
+
     // 1. Extraer datos del overlay del anuncio
     logger.info('[FASE 2] Paso 1: Extrayendo datos del overlay del anuncio...');
     marcarDivsDeAnuncio();
@@ -2306,15 +3488,6 @@ function executeFullAdDataExtraction() {
     // 2. Detectar tipo completo del anuncio
     logger.info('[FASE 2] Paso 2: Detectando tipo del anuncio...');
     
-    // === CORREGIDO: Asegurar que se inicie la secuencia de anuncios ===
-    if (consecutiveAdCount === 0) {
-      startAdSequence();
-      logger.info('[FASE 2] Secuencia de anuncios iniciada, consecutiveAdCount = 1');
-    } else {
-      consecutiveAdCount++;
-      logger.info(`[FASE 2] Anuncio consecutivo #${consecutiveAdCount}`);
-    }
-    
     let adTypeInfo = detectAdType();
     logger.info('[FASE 2] Tipo de anuncio detectado:', adTypeInfo);
 
@@ -2358,7 +3531,10 @@ function executeFullAdDataExtraction() {
     });
     
     // === NUEVO: Verificación adicional antes de categorizar ===
-    if (adStartTime > 0 && videoDuration > 0) {
+    if (adTypeInfo.metadataSource === 'player-response' && adTypeInfo.position !== 'unknown') {
+      // Posición tomada del corte publicitario del reproductor: no recalcular por tiempo
+      logger.info(`[POSICIÓN] Posición según el reproductor: ${adTypeInfo.position}`);
+    } else if (adStartTime > 0 && videoDuration > 0) {
       const percentage = (adStartTime / videoDuration) * 100;
       logger.info(`[POSICIÓN] Verificación: ${adStartTime}s / ${videoDuration}s = ${percentage.toFixed(1)}%`);
     
@@ -2511,13 +3687,15 @@ function marcarDivsDeAnuncio() {
   if (!hasActiveOverlay) {
     logger.warn('[FASE 2] No se encontró overlay con selectores específicos, buscando elementos con texto de anuncio...');
     
-    // Buscar elementos con texto relacionado con anuncios
-    const adTextElements = document.querySelectorAll('*');
-    for (const element of adTextElements) {
-      if (element.textContent && element.textContent.toLowerCase().includes('anuncio')) {
+    // Señal estructural del reproductor; el texto "Anuncio" localizado queda como último recurso
+    if (isPlayerShowingAd()) {
+      hasActiveOverlay = true;
+      foundOverlaySelector = '#movie_player.ad-showing';
+    } else {
+      const adModule = getAdModuleElement();
+      if (adModule && matchesUiCue(adModule.textContent, 'ad')) {
         hasActiveOverlay = true;
-        logger.info('[FASE 2] Elemento con texto de anuncio encontrado:', element.textContent.substring(0, 100));
-        break;
+        logger.info('[FASE 2] Elemento con texto de anuncio encontrado:', adModule.textContent.substring(0, 100));
       }
     }
   }
@@ -2530,104 +3708,26 @@ function marcarDivsDeAnuncio() {
   
   logger.info(`[FASE 2] Overlay detectado: ${foundOverlaySelector || 'por texto alternativo'}`);
   
-  // FASE 2: Selectores originales optimizados con debug
-  
-  // 1. Texto del enlace del anunciante (selectores originales)
-  const advertiserSelectors = [
-    '.ytp-visit-advertiser-link__text',
-    '.ytp-ad-text',
-    '.ytp-ad-simple-ad-badge',
-    '.ytp-ad-overlay-text',
-    '.ytp-ad-advertiser-name',
-    '.ytp-ad-advertiser-text'
-  ];
-  
-  logger.info('[FASE 2] Buscando texto del anunciante...');
-  for (const selector of advertiserSelectors) {
-    const advertiserEl = document.querySelector(selector);
-    if (advertiserEl && advertiserEl.textContent && advertiserEl.textContent.trim()) {
-      lastAdvertiserText = advertiserEl.textContent.trim();
-      logger.info(`[FASE 2] Texto del anunciante encontrado con selector ${selector}: "${lastAdvertiserText}"`);
-      break;
-    }
-  }
-
-  // 2. Imagen avatar del anunciante (selectores originales)
-  const avatarSelectors = [
-    '.ytp-ad-avatar--circular',
-    '.ytp-ad-avatar img',
-    '.ytp-ad-image img',
-    '.ytp-ad-overlay-image img',
-    '.ytp-ad-thumbnail img'
-  ];
-  
-  logger.info('[FASE 2] Buscando avatar del anunciante...');
-  for (const selector of avatarSelectors) {
-    const avatarImg = document.querySelector(selector);
-    if (avatarImg && avatarImg.src && avatarImg.src.trim()) {
-      lastAdvertiserAvatarUrl = avatarImg.src.trim();
-      logger.info(`[FASE 2] Avatar del anunciante encontrado con selector ${selector}: "${lastAdvertiserAvatarUrl}"`);
-      break;
-    }
-  }
-
-  // 3. Titular del anuncio (selectores originales)
-  const headlineSelectors = [
-    '.ytp-ad-avatar-lockup-card__headline',
-    '.ytp-ad-headline',
-    '.ytp-ad-title',
-    '.ytp-ad-text-overlay h2',
-    '.ytp-ad-text-overlay h3',
-    '.ytp-ad-overlay-title'
-  ];
-  
-  logger.info('[FASE 2] Buscando titular del anuncio...');
-  for (const selector of headlineSelectors) {
-    const headlineEl = document.querySelector(selector);
-    if (headlineEl && headlineEl.textContent && headlineEl.textContent.trim()) {
-      lastAdHeadline = headlineEl.textContent.trim();
-      logger.info(`[FASE 2] Titular del anuncio encontrado con selector ${selector}: "${lastAdHeadline}"`);
-      break;
-    }
-  }
-
-  // 4. Descripción del anuncio (selectores originales)
-  const descSelectors = [
-    '.ytp-ad-avatar-lockup-card__description',
-    '.ytp-ad-description',
-    '.ytp-ad-text-overlay p',
-    '.ytp-ad-overlay-description',
-    '.ytp-ad-content-text'
-  ];
+  // FASE 2: Campos del overlay con las cadenas del pack de selectores
+  const overlayTextFields = {
+    'overlay.advertiserText': text => { lastAdvertiserText = text; },
+    'overlay.adHeadline': text => { lastAdHeadline = text; },
+    'overlay.adDescription': text => { lastAdDescription = text; },
+    'overlay.adButtonText': text => { lastAdButtonText = text; }
+  };
   
-  logger.info('[FASE 2] Buscando descripción del anuncio...');
-  for (const selector of descSelectors) {
-    const descEl = document.querySelector(selector);
-    if (descEl && descEl.textContent && descEl.textContent.trim()) {
-      lastAdDescription = descEl.textContent.trim();
-      logger.info(`[FASE 2] Descripción del anuncio encontrada con selector ${selector}: "${lastAdDescription.substring(0, 100)}..."`);
-      break;
+  Object.entries(overlayTextFields).forEach(([key, assign]) => {
+    const match = findWithSelectorChain(document, key, el => getElementText(el) !== '');
+    if (match) {
+      assign(getElementText(match.element));
+      logger.info(`[FASE 2] ${key} encontrado con selector ${match.selector}`);
     }
-  }
-
-  // 5. Texto del botón del anuncio (selectores originales)
-  const buttonSelectors = [
-    '.ytp-ad-button-vm__text',
-    '.ytp-ad-button-text',
-    '.ytp-ad-cta-button',
-    '.ytp-ad-action-button',
-    '.ytp-ad-overlay-button',
-    '.ytp-ad-call-to-action'
-  ];
+  });
   
-  logger.info('[FASE 2] Buscando texto del botón del anuncio...');
-  for (const selector of buttonSelectors) {
-    const btnEl = document.querySelector(selector);
-    if (btnEl && btnEl.textContent && btnEl.textContent.trim()) {
-      lastAdButtonText = btnEl.textContent.trim();
-      logger.info(`[FASE 2] Texto del botón del anuncio encontrado con selector ${selector}: "${lastAdButtonText}"`);
-      break;
-    }
+  const avatarMatch = findWithSelectorChain(document, 'overlay.advertiserAvatar', el => Boolean(el.src && el.src.trim()));
+  if (avatarMatch) {
+    lastAdvertiserAvatarUrl = avatarMatch.element.src.trim();
+    logger.info(`[FASE 2] Avatar del anunciante encontrado con selector ${avatarMatch.selector}`);
   }
   
   // FASE 2: Validación y limpieza de datos extraídos
@@ -2679,12 +3779,8 @@ function marcarDivsDeAnuncio() {
     for (const element of allTextElements) {
       const text = element.textContent?.trim();
       if (text && text.length > 5 && text.length < 1000) { // Aumentado de 200 a 1000
-        // Buscar patrones que indiquen que es texto del anuncio
-        if (text.toLowerCase().includes('anuncio') || 
-            text.toLowerCase().includes('patrocinado') ||
-            text.toLowerCase().includes('sponsored') ||
-            text.toLowerCase().includes('ad') ||
-            text.toLowerCase().includes('publicidad')) {
+        // Buscar patrones que indiquen que es texto del anuncio (en el idioma de la interfaz)
+        if (matchesUiCue(text, 'ad') || matchesUiCue(text, 'sponsored')) {
           
           if (!lastAdvertiserText) {
             lastAdvertiserText = text;
@@ -2726,6 +3822,12 @@ let adSequenceStartTime = 0; // Tiempo cuando comenzó la secuencia de anuncios
  * @returns {string} pre_roll | mid_roll | post_roll
  */
 function detectarPosicionAnuncio(adStartTime, videoDuration) {
+  // Si el corte en curso coincide con un punto de corte programado, su posición es la fiable
+  const currentBreak = adBreakMapState.currentBreak;
+  if (currentBreak && currentBreak.cueOffsetSec !== null && currentBreak.position !== 'unknown') {
+    return currentBreak.position;
+  }
+  
   if (!videoDuration || videoDuration < 30) {
     return 'unknown';
   }
@@ -1,7 +1,7 @@
 // Módulo para gestión de consultas API de YouTube
 // Optimizado para unificar consultas de videos y anuncios
 
-import { storageCache, isValidVideoId, saveToHistory } from '../storage/storageManager.js';
+import { storageCache, isValidVideoId, saveToHistory, findHistoryItem } from '../storage/storageManager.js';
 import { showMsg } from '../utils/uiHelpers.js';
 import { getApiKey } from './apiKeyStorage.js';
 
@@ -381,9 +381,10 @@ export async function queryAndSaveData(videoId, type, additionalData = null, deb
     
     // Guardar en historial
     const videoInfo = extractVideoInfo(data);
+    // El historial guarda el objeto; el JSON con sangrías solo se genera para mostrar/copiar
     const historyItem = {
       [isAd ? 'adId' : 'videoId']: videoId,
-      data: jsonStr,
+      data,
       timestamp: Date.now(),
       info: videoInfo
     };
@@ -391,6 +392,13 @@ export async function queryAndSaveData(videoId, type, additionalData = null, deb
     if (isAd && additionalData) {
       historyItem.adTypeInfo = additionalData;
     }
+
+    // Consultado desde la pestaña actual: guardar el sitio (Music, Kids) y la web que inserta el reproductor
+    const contextData = await getCurrentContextData();
+    if (contextData && [contextData.debug_videoId, contextData.addebug_videoId].includes(videoId)) {
+      if (contextData.sourceSite !== 'youtube') historyItem.sourceSite = contextData.sourceSite;
+      if (contextData.embedOrigin) historyItem.embedOrigin = contextData.embedOrigin;
+    }
     
     await saveToHistory(type, historyItem);
     
@@ -416,7 +424,7 @@ export async function queryAndSaveData(videoId, type, additionalData = null, deb
         };
         const minimalItem = {
           videoId,
-          data: JSON.stringify({ _fallback: true, debugData }),
+          data: { _fallback: true, debugData },
           timestamp: Date.now(),
           info: fallbackInfo
         };
@@ -461,6 +469,9 @@ export function getCurrentContextData() {
         debug_videoId,
         addebug_videoId: response.addebug_videoId,
         adTypeInfo: response.adTypeInfo,
+        surface: response.surface || 'watch',
+        embedOrigin: response.embedOrigin || null,
+        sourceSite: response.sourceSite || 'youtube',
         debugInfo
       });
     });
@@ -473,13 +484,9 @@ export async function checkDataInHistory(id, type) {
   const idKey = isAd ? 'adId' : 'videoId';
   
   try {
-    // Buscar en el historial unificado
-    const history = await storageCache.get(isAd ? 'ytad_history' : 'ytdata_history');
-    const historyData = Array.isArray(history) ? history : [];
-    
-    // Buscar en el historial
-    const found = historyData.find(item => item[idKey] === id);
-    if (found) {
+    // Buscar en el historial (consulta directa por clave en IndexedDB)
+    const found = await findHistoryItem(type, id);
+    if (found && found[idKey] === id) {
       return { inHistory: true, data: found, source: 'history' };
     }
     
@@ -0,0 +1,193 @@
+// Gráficos SVG mínimos para el dashboard (sin librerías ni CDN)
+// Todos los textos se asignan con textContent para no interpretar HTML de los datos
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Paleta por posición en la serie (usa las variables CSS del tema cuando existen)
+export const CHART_COLORS = [
+  'var(--accent-primary)',
+  'var(--info)',
+  'var(--warning)',
+  'var(--danger)',
+  'var(--success)',
+  '#8B5CF6',
+  '#EC4899',
+  'var(--text-muted)'
+];
+
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+function showEmpty(container, message) {
+  container.textContent = '';
+  const empty = document.createElement('div');
+  empty.className = 'chart-empty';
+  empty.textContent = message;
+  container.appendChild(empty);
+}
+
+/**
+ * Gráfico de barras verticales (serie temporal).
+ * @param {HTMLElement} container
+ * @param {Array<{label: string, value: number, title?: string}>} points
+ * @param {Object} options - { emptyMessage, labelEvery }
+ */
+export function renderBarChart(container, points, options = {}) {
+  if (!points.length || points.every(point => !point.value)) {
+    showEmpty(container, options.emptyMessage || 'Sin datos en este periodo');
+    return;
+  }
+
+  const width = 720;
+  const height = 220;
+  const padding = { top: 16, right: 8, bottom: 28, left: 36 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  const maxValue = Math.max(...points.map(point => point.value), 1);
+  const slot = chartWidth / points.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  const labelEvery = options.labelEvery || Math.ceil(points.length / 10);
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart-svg', role: 'img' });
+
+  // Líneas guía: 0, mitad y máximo
+  [0, 0.5, 1].forEach(fraction => {
+    const y = padding.top + chartHeight * (1 - fraction);
+    svg.appendChild(svgElement('line', {
+      x1: padding.left, x2: width - padding.right, y1: y, y2: y, class: 'chart-grid'
+    }));
+    const label = svgElement('text', { x: padding.left - 6, y: y + 4, class: 'chart-axis', 'text-anchor': 'end' });
+    label.textContent = Math.round(maxValue * fraction * 10) / 10;
+    svg.appendChild(label);
+  });
+
+  points.forEach((point, index) => {
+    const barHeight = (point.value / maxValue) * chartHeight;
+    const x = padding.left + index * slot + (slot - barWidth) / 2;
+    const bar = svgElement('rect', {
+      x, y: padding.top + chartHeight - barHeight, width: barWidth, height: barHeight,
+      rx: Math.min(3, barWidth / 2), class: 'chart-bar'
+    });
+    const title = svgElement('title');
+    title.textContent = point.title || `${point.label}: ${point.value}`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+
+    if (index % labelEvery === 0) {
+      const label = svgElement('text', {
+        x: x + barWidth / 2, y: height - 8, class: 'chart-axis', 'text-anchor': 'middle'
+      });
+      label.textContent = point.label;
+      svg.appendChild(label);
+    }
+  });
+
+  container.textContent = '';
+  container.appendChild(svg);
+}
+
+/**
+ * Gráfico de donut con leyenda.
+ * @param {HTMLElement} container
+ * @param {Array<{label: string, value: number}>} slices
+ * @param {Object} options - { emptyMessage }
+ */
+export function renderDonutChart(container, slices, options = {}) {
+  const visible = slices.filter(slice => slice.value > 0);
+  const total = visible.reduce((sum, slice) => sum + slice.value, 0);
+  if (!total) {
+    showEmpty(container, options.emptyMessage || 'Sin datos en este periodo');
+    return;
+  }
+
+  const size = 160;
+  const radius = 60;
+  const circumference = 2 * Math.PI * radius;
+  const svg = svgElement('svg', { viewBox: `0 0 ${size} ${size}`, class: 'chart-donut', role: 'img' });
+  const legend = document.createElement('ul');
+  legend.className = 'chart-legend';
+
+  let offset = 0;
+  visible.forEach((slice, index) => {
+    const color = CHART_COLORS[index % CHART_COLORS.length];
+    const length = (slice.value / total) * circumference;
+    const percentage = Math.round((slice.value / total) * 100);
+
+    const arc = svgElement('circle', {
+      cx: size / 2, cy: size / 2, r: radius,
+      fill: 'none', stroke: color, 'stroke-width': 24,
+      'stroke-dasharray': `${length} ${circumference - length}`,
+      'stroke-dashoffset': -offset,
+      transform: `rotate(-90 ${size / 2} ${size / 2})`
+    });
+    const title = svgElement('title');
+    title.textContent = `${slice.label}: ${slice.value} (${percentage}%)`;
+    arc.appendChild(title);
+    svg.appendChild(arc);
+    offset += length;
+
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.background = color;
+    const text = document.createElement('span');
+    text.textContent = `${slice.label} — ${slice.value} (${percentage}%)`;
+    item.append(swatch, text);
+    legend.appendChild(item);
+  });
+
+  const center = svgElement('text', { x: size / 2, y: size / 2 + 6, class: 'chart-donut-total', 'text-anchor': 'middle' });
+  center.textContent = total;
+  svg.appendChild(center);
+
+  container.textContent = '';
+  const wrapper = document.createElement('div');
+  wrapper.className = 'chart-donut-wrapper';
+  wrapper.append(svg, legend);
+  container.appendChild(wrapper);
+}
+
+/**
+ * Ranking con barras horizontales (p.ej. top anunciantes).
+ * @param {HTMLElement} container
+ * @param {Array<{label: string, value: number}>} rows
+ * @param {Object} options - { emptyMessage }
+ */
+export function renderRankingChart(container, rows, options = {}) {
+  if (!rows.length) {
+    showEmpty(container, options.emptyMessage || 'Sin datos en este periodo');
+    return;
+  }
+
+  const maxValue = Math.max(...rows.map(row => row.value), 1);
+  const list = document.createElement('ol');
+  list.className = 'chart-ranking';
+
+  rows.forEach(row => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'ranking-label';
+    label.textContent = row.label;
+    label.title = row.label;
+
+    const track = document.createElement('span');
+    track.className = 'ranking-track';
+    const fill = document.createElement('span');
+    fill.className = 'ranking-fill';
+    fill.style.width = `${(row.value / maxValue) * 100}%`;
+    track.appendChild(fill);
+
+    const value = document.createElement('span');
+    value.className = 'ranking-value';
+    value.textContent = row.value;
+
+    item.append(label, track, value);
+    list.appendChild(item);
+  });
+
+  container.textContent = '';
+  container.appendChild(list);
+}
@@ -0,0 +1,181 @@
+// Dashboard de estadísticas de AdHunt3r
+// Lee los buckets agregados (stats, vía GET_STATS_RANGE), el log de impresiones y el historial de IndexedDB
+
+import { getDayStart } from '../storage/statsStore.js';
+import { getImpressionsInRange } from '../storage/impressionLog.js';
+import { getAdvertiserCounts, queryHistory } from '../storage/historyDB.js';
+import { getItemData, POSITION_LABELS, AD_TYPE_LABELS } from '../storage/historySchema.js';
+import { renderBarChart, renderDonutChart, renderRankingChart } from './charts.js';
+import { fetchStatsRange } from '../utils/uiHelpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_ADVERTISERS = 10;
+
+let currentRangeDays = 30;
+
+// === [INICIALIZACIÓN] ===
+document.addEventListener('DOMContentLoaded', () => {
+  initializeTheme();
+
+  const rangeSelect = document.getElementById('rangeSelect');
+  if (rangeSelect) {
+    rangeSelect.value = String(currentRangeDays);
+    rangeSelect.addEventListener('change', () => {
+      currentRangeDays = parseInt(rangeSelect.value, 10) || 30;
+      loadDashboard();
+    });
+  }
+
+  const refreshBtn = document.getElementById('refreshDashboardBtn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', loadDashboard);
+  }
+
+  const openHistoryBtn = document.getElementById('openHistoryBtn');
+  if (openHistoryBtn) {
+    openHistoryBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/history/history.html') });
+    });
+  }
+
+  loadDashboard();
+});
+
+// Mismo tema que el historial (guardado en localStorage)
+function initializeTheme() {
+  const savedTheme = localStorage.getItem('adhunt3r_theme') || 'light';
+  document.documentElement.setAttribute('data-theme', savedTheme);
+}
+
+// === [CARGA DE DATOS] ===
+async function loadDashboard() {
+  const to = Date.now();
+  const from = getDayStart(to - (currentRangeDays - 1) * DAY_MS);
+
+  try {
+    const [stats, impressions, advertisers] = await Promise.all([
+      fetchStatsRange(from, to, 'day'),
+      getImpressionsInRange(from, to),
+      getAdvertiserCounts({ since: from, limit: TOP_ADVERTISERS })
+    ]);
+    // Los buckets los escribe el service worker: se consultan con GET_STATS_RANGE
+    if (!stats) throw new Error('GET_STATS_RANGE sin respuesta');
+
+    renderSummary(stats.totals);
+    renderAdsPerDay(stats.buckets, from, to);
+    renderTypeDistribution(stats.totals.byType);
+    await renderPositionSplit(impressions, from);
+    renderTopAdvertisers(advertisers);
+    renderAdsPerVideo(stats.buckets, from, to);
+
+    const updatedAt = document.getElementById('dashboardUpdatedAt');
+    if (updatedAt) updatedAt.textContent = new Date(to).toLocaleString();
+  } catch (error) {
+    console.warn('[AdHunt3r] Error cargando el dashboard:', error);
+    const summary = document.getElementById('dashboardSummary');
+    if (summary) summary.textContent = 'Error cargando estadísticas';
+  }
+}
+
+// Un punto por día del rango, incluidos los días sin datos
+function fillDays(buckets, from, to, getValue) {
+  const byStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+  const points = [];
+  // Avanzar al inicio del día siguiente (sumar 26h absorbe los cambios de hora)
+  for (let day = getDayStart(from); day <= to; day = getDayStart(day + DAY_MS + 2 * 60 * 60 * 1000)) {
+    const bucket = byStart.get(day);
+    const date = new Date(day);
+    points.push({
+      label: `${date.getDate()}/${date.getMonth() + 1}`,
+      value: bucket ? getValue(bucket) : 0,
+      date
+    });
+  }
+  return points;
+}
+
+// === [RENDERIZADO] ===
+function renderSummary(totals) {
+  const adsPerVideo = totals.uniqueVideos > 0 ? totals.ads / totals.uniqueVideos : 0;
+  const values = {
+    summaryAds: totals.ads,
+    summaryUniqueAds: totals.uniqueAds,
+    summaryVideos: totals.uniqueVideos,
+    summaryAdsPerVideo: adsPerVideo.toFixed(2),
+    summaryAdsPerHour: totals.adsPerVideoHour.toFixed(2)
+  };
+
+  Object.entries(values).forEach(([id, value]) => {
+    const element = document.getElementById(id);
+    if (element) element.textContent = value;
+  });
+}
+
+function renderAdsPerDay(buckets, from, to) {
+  const container = document.getElementById('adsPerDayChart');
+  if (!container) return;
+
+  const points = fillDays(buckets, from, to, bucket => bucket.ads).map(point => ({
+    ...point,
+    title: `${point.date.toLocaleDateString()}: ${point.value} anuncios`
+  }));
+  renderBarChart(container, points, { emptyMessage: 'No se han visto anuncios en este periodo' });
+}
+
+function renderTypeDistribution(byType) {
+  const container = document.getElementById('adTypeChart');
+  if (!container) return;
+
+  const slices = Object.entries(byType || {})
+    .map(([type, value]) => ({ label: AD_TYPE_LABELS[type] || type, value }))
+    .sort((a, b) => b.value - a.value);
+  renderDonutChart(container, slices);
+}
+
+// Posición por impresión; para datos anteriores al log se usa el adtypeinfo del historial
+async function renderPositionSplit(impressions, from) {
+  const container = document.getElementById('positionChart');
+  if (!container) return;
+
+  let positions = impressions.map(impression => impression.position);
+  if (!positions.length) {
+    const ads = await queryHistory({ type: 'ad', since: from });
+    positions = ads.map(item => getAdTypeInfoFromItem(item)?.position);
+  }
+
+  const counts = {};
+  positions.forEach(position => {
+    const key = POSITION_LABELS[position] ? position : 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const slices = Object.keys(POSITION_LABELS)
+    .map(position => ({ label: POSITION_LABELS[position], value: counts[position] || 0 }));
+  renderDonutChart(container, slices);
+}
+
+function getAdTypeInfoFromItem(item) {
+  return getItemData(item)?._adhunt3r_data?.adtypeinfo || item.adTypeInfo?._adhunt3r_data?.adtypeinfo || null;
+}
+
+function renderTopAdvertisers(advertisers) {
+  const container = document.getElementById('advertisersChart');
+  if (!container) return;
+
+  renderRankingChart(container, advertisers.map(row => ({ label: row.advertiser, value: row.count })), {
+    emptyMessage: 'Sin anunciantes guardados en el historial para este periodo'
+  });
+}
+
+function renderAdsPerVideo(buckets, from, to) {
+  const container = document.getElementById('adsPerVideoChart');
+  if (!container) return;
+
+  const points = fillDays(buckets, from, to, bucket =>
+    bucket.uniqueVideos > 0 ? Math.round((bucket.ads / bucket.uniqueVideos) * 100) / 100 : 0
+  ).map(point => ({
+    ...point,
+    title: `${point.date.toLocaleDateString()}: ${point.value} anuncios por video`
+  }));
+  renderBarChart(container, points, { emptyMessage: 'No se han visto videos en este periodo' });
+}
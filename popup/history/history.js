@@ -1,8 +1,17 @@
 // Archivo optimizado: history.js - Rediseño moderno con tarjetas expandibles
 // Importaciones y configuración inicial
 
-import { markAsFavorite, removeFromFavorites, getFavorites, saveToHistory, getHistoryData, storageCache } from '../storage/storageManager.js';
-import { showMsg, preserveScroll } from '../utils/uiHelpers.js';
+import { markAsFavorite, removeFromFavorites, getFavorites, saveToHistory, getHistoryData, findHistoryItem, removeFromHistory, storageCache } from '../storage/storageManager.js';
+import { getHistoryCounts, getHistorySizes, getHistorySignature } from '../storage/historyDB.js';
+import { getImpressionsForAd } from '../storage/impressionLog.js';
+import { getAdBreakMap } from '../storage/adBreakMap.js';
+import { getTimelineSessions, getSessionTimeline, TIMELINE_EVENT_FIELDS } from '../storage/sessionTimeline.js';
+import { createBackupArchive, readBackupArchive, restoreBackupSettings, restoreBackupFavorites, restoreBackupStores } from '../storage/backupManager.js';
+import { IMPORT_STRATEGIES, classifyImportItem, resolveImportItem } from '../storage/importMerge.js';
+import { migrateHistoryItem, validateHistoryItem, getItemData, formatItemData, getAdKind, isDisplayAdItem, DISPLAY_AD_KINDS, getSourceSite, getWatchUrl, POSITION_LABELS, AD_TYPE_LABELS } from '../storage/historySchema.js';
+import { getSelectorPack, importSelectorPack, resetSelectorPack } from '../storage/selectorPack.js';
+import { resetSelectorHealth } from '../storage/selectorHealth.js';
+import { showMsg, preserveScroll, escapeHtml } from '../utils/uiHelpers.js';
 import { getStorageInfo, checkAndShowStorageAlert, getDetailedStorageInfo } from '../utils/storageMonitor.js';
 
 // === Variables globales ===
@@ -18,33 +27,48 @@ let currentFilters = {
   favorite: false
 };
 
+// Paginación de la lista: se consulta IndexedDB por páginas y se cargan más bajo demanda
+const HISTORY_PAGE_SIZE = 50;
+let historyNextOffset = 0;
+let historyHasMore = false;
+// Tarjetas que se vuelven a pedir al recargar (p. ej. tras borrar o al refrescar) para no perder las cargadas
+let historyShownCount = HISTORY_PAGE_SIZE;
+
 // Vista actual: 'single' (tarjetas expandibles) o 'split' (dos columnas)
 let viewMode = localStorage.getItem('adhunt3r_viewmode') || 'single';
 
+// Nombres de los formatos de anuncio (adKind)
+const AD_KIND_LABELS = {
+  instream: 'Video',
+  overlay: 'Banner superpuesto',
+  companion: 'Complementario',
+  promoted: 'Promocionado',
+  masthead: 'Masthead',
+  shorts: 'Shorts'
+};
+
+// Sitio de YouTube donde se vio (sourceSite)
+const SOURCE_SITE_LABELS = {
+  youtube: 'YouTube',
+  music: 'YouTube Music',
+  kids: 'YouTube Kids'
+};
+
+const DISPLAY_AD_PAGE_LABELS = {
+  home: 'Portada',
+  search: 'Búsqueda',
+  watch: 'Reproducción',
+  shorts: 'Shorts',
+  other: 'Otra página'
+};
+
 // === Inicialización ===
 document.addEventListener('DOMContentLoaded', () => {
   initializeApp();
 });
 
-// Escuchar cambios en el storage
-  chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === 'local') {
-    if (changes.ytdata_history || changes.ytad_history) {
-      // Debounce para evitar múltiples recargas rápidas
-      if (window.historyUpdateTimeout) {
-        clearTimeout(window.historyUpdateTimeout);
-      }
-      
-      window.historyUpdateTimeout = setTimeout(() => {
-        loadAllData();
-        // Actualizar indicador de almacenamiento después de cargar datos
-        updateStorageIndicator();
-        // Actualizar indicador de configuración
-        updateConfigStorageInfo();
-      }, 100);
-      }
-    }
-  });
+// NOTA: El historial vive en IndexedDB (sin eventos entre contextos), los cambios
+// llegan por REFRESH_HISTORY y por el polling de la firma del historial
 
 // Escuchar mensajes de actualización (para comunicación interna)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -96,18 +120,8 @@ function startPollingForChanges() {
     if (document.hidden) return; // No hacer polling si la pestaña no está visible
     
     try {
-      const [videoHistory, adHistory] = await Promise.all([
-        getHistoryData('video'),
-        getHistoryData('ad')
-      ]);
-      
-      // Crear hash simple de los datos para detectar cambios
-      const dataString = JSON.stringify([
-        videoHistory.map(item => ({ id: item.videoId, timestamp: item.timestamp })),
-        adHistory.map(item => ({ id: item.adId, timestamp: item.timestamp }))
-      ]);
-      
-      const currentHash = btoa(dataString).substring(0, 32); // Hash simple
+      // Firma ligera (contadores + último timestamp) para detectar cambios sin cargar el historial
+      const currentHash = await getHistorySignature();
       
       if (lastDataHash && lastDataHash !== currentHash) {
         loadAllData();
@@ -202,18 +216,10 @@ async function initializeApp() {
 // Función para calcular el tamaño de datos por tipo
 async function calculateDataSizeByType() {
   try {
-    const [videoHistory, adHistory] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad')
-    ]);
-    
-    // Calcular tamaño de datos de videos
-    const videoDataSize = Array.isArray(videoHistory) ? 
-      JSON.stringify(videoHistory).length : 0;
-    
-    // Calcular tamaño de datos de anuncios
-    const adDataSize = Array.isArray(adHistory) ? 
-      JSON.stringify(adHistory).length : 0;
+    // Tamaños acumulados en IndexedDB al guardar cada elemento
+    const sizes = await getHistorySizes();
+    const videoDataSize = sizes.video || 0;
+    const adDataSize = sizes.ad || 0;
     
     return {
       videoSize: videoDataSize,
@@ -375,18 +381,15 @@ async function checkStorageAlerts() {
 // Función para actualizar el indicador de datos guardados en el menú de configuración
 async function updateConfigStorageInfo() {
   try {
-    const [videoHistory, adHistory, storageInfo] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad'),
+    const [counts, storageInfo] = await Promise.all([
+      getHistoryCounts(),
       getStorageInfo()
     ]);
     
-    const videoCount = Array.isArray(videoHistory) ? videoHistory.length : 0;
-    const adCount = Array.isArray(adHistory) ? adHistory.length : 0;
-    const favoriteCount = Array.isArray(videoHistory) ? videoHistory.filter(item => item.isFavorite).length : 0;
-    const favoriteCountAd = Array.isArray(adHistory) ? adHistory.filter(item => item.isFavorite).length : 0;
-    const totalFavorites = favoriteCount + favoriteCountAd;
-    const totalCount = videoCount + adCount;
+    const videoCount = counts.video;
+    const adCount = counts.ad;
+    const totalFavorites = counts.favorites;
+    const totalCount = counts.total;
     
     // Actualizar contadores
     const videoCountEl = document.getElementById('configVideoCount');
@@ -425,18 +428,8 @@ async function updateConfigStorageInfo() {
 // Función para inicializar el hash de datos
 async function initializeDataHash() {
   try {
-    const [videoHistory, adHistory] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad')
-    ]);
-    
-    // Crear hash inicial
-    const dataString = JSON.stringify([
-      videoHistory.map(item => ({ id: item.videoId, timestamp: item.timestamp })),
-      adHistory.map(item => ({ id: item.adId, timestamp: item.timestamp }))
-    ]);
-    
-    lastDataHash = btoa(dataString).substring(0, 32);
+    // Crear firma inicial
+    lastDataHash = await getHistorySignature();
   } catch (error) {
     // Ignorar errores de inicialización del hash
   }
@@ -688,6 +681,67 @@ function setupHistoryConfigListeners() {
       }
     });
   }
+
+  setupSelectorPackListeners();
+
+  // Compresión gzip de los datos nuevos (los ya guardados se leen en ambos formatos)
+  const compressionToggle = document.getElementById('historyCompressionToggle');
+  if (compressionToggle) {
+    chrome.storage.local.get(['historyCompressionEnabled'], (result) => {
+      compressionToggle.checked = result.historyCompressionEnabled === true;
+    });
+    compressionToggle.addEventListener('change', () => {
+      chrome.storage.local.set({ historyCompressionEnabled: compressionToggle.checked });
+      showMsg(compressionToggle.checked ? 'Compresión activada para los nuevos datos' : 'Compresión desactivada', 'success');
+    });
+  }
+}
+
+// === Pack de selectores ===
+async function updateSelectorPackInfo() {
+  const versionEl = document.getElementById('selectorPackVersion');
+  if (!versionEl) return;
+  const pack = await getSelectorPack();
+  versionEl.textContent = pack ? pack.version : 'Integrado';
+  versionEl.title = pack?.importedAt ? `Importado el ${new Date(pack.importedAt).toLocaleString()}` : '';
+}
+
+function setupSelectorPackListeners() {
+  const importBtn = document.getElementById('importSelectorPackBtn');
+  const resetBtn = document.getElementById('resetSelectorPackBtn');
+  const input = document.getElementById('selectorPackInput');
+
+  updateSelectorPackInfo();
+
+  if (importBtn && input) {
+    importBtn.addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+      const file = input.files && input.files[0];
+      input.value = '';
+      if (!file) return;
+      try {
+        const { pack, warnings } = await importSelectorPack(JSON.parse(await file.text()));
+        // Empezar a medir de cero con los selectores nuevos
+        await resetSelectorHealth();
+        if (warnings.length > 0) {
+          console.warn('[AdHunt3r] Avisos al importar el pack de selectores:', warnings);
+        }
+        showMsg(`Pack de selectores ${pack.version} importado${warnings.length ? ` (${warnings.length} avisos)` : ''}`, warnings.length ? 'warning' : 'success');
+      } catch (error) {
+        console.warn('[AdHunt3r] Pack de selectores inválido:', error);
+        showMsg(`Pack de selectores inválido: ${error.message}`, 'error');
+      }
+      updateSelectorPackInfo();
+    });
+  }
+
+  if (resetBtn) {
+    resetBtn.addEventListener('click', async () => {
+      await resetSelectorPack();
+      updateSelectorPackInfo();
+      showMsg('Restablecidos los selectores integrados', 'info');
+    });
+  }
 }
 
 // === Event Listeners ===
@@ -698,6 +752,14 @@ function setupEventListeners() {
     themeToggle.addEventListener('change', toggleTheme);
   }
   
+  // Dashboard de estadísticas
+  const openDashboardBtn = document.getElementById('openDashboardBtn');
+  if (openDashboardBtn) {
+    openDashboardBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/dashboard/dashboard.html') });
+    });
+  }
+  
   // Configuración del historial
   setupHistoryConfigListeners();
   
@@ -715,6 +777,404 @@ function setupEventListeners() {
   
   // NUEVO: Listener global para cerrar dropdowns al hacer clic fuera
   setupDropdownCloseListeners();
+  
+  // Línea temporal de impresiones (carga bajo demanda)
+  setupImpressionTimelineListeners();
+  
+  // Mapa de cortes publicitarios de los videos (carga bajo demanda)
+  setupAdBreakMapListeners();
+  
+  // Línea temporal por sesión de navegación
+  setupSessionTimelineListeners();
+}
+
+// === LÍNEA TEMPORAL DE IMPRESIONES POR CREATIVO ===
+
+// El evento toggle no burbujea: se escucha en fase de captura
+function setupImpressionTimelineListeners() {
+  document.addEventListener('toggle', (e) => {
+    const timeline = e.target;
+    if (!(timeline instanceof HTMLDetailsElement) || !timeline.classList.contains('impression-timeline')) return;
+    if (timeline.open && !timeline.dataset.loaded) {
+      loadImpressionTimeline(timeline);
+    }
+  }, true);
+}
+
+async function loadImpressionTimeline(timeline) {
+  const list = timeline.querySelector('.impression-list');
+  const adId = timeline.dataset.adId;
+  if (!list || !adId) return;
+  
+  try {
+    const impressions = await getImpressionsForAd(adId);
+    timeline.dataset.loaded = 'true';
+    
+    const countEl = timeline.querySelector('.impression-count');
+    if (countEl) countEl.textContent = impressions.length;
+    
+    if (impressions.length === 0) {
+      list.innerHTML = '<span class="empty-value">Sin impresiones registradas</span>';
+      return;
+    }
+    
+    list.innerHTML = impressions.map(createImpressionRow).join('');
+  } catch (error) {
+    console.warn('[AdHunt3r] Error cargando impresiones:', error);
+    list.innerHTML = '<span class="empty-value">Error cargando impresiones</span>';
+  }
+}
+
+function createImpressionRow(impression) {
+  // Las impresiones guardadas antes de validar estos campos pueden traer cualquier valor de la página
+  const position = POSITION_LABELS[impression.position] ? impression.position : 'unknown';
+  const hostVideoId = /^[\w-]{11}$/.test(impression.hostVideoId) ? impression.hostVideoId : null;
+  const date = new Date(impression.timestamp).toLocaleString();
+  const hostLink = hostVideoId ?
+    `<a href="${getWatchUrl(hostVideoId, impression.sourceSite)}" target="_blank" rel="noopener noreferrer">${hostVideoId}</a>` :
+    '<span class="empty-value">Video desconocido</span>';
+  const duration = impression.measuredDuration > 0 ? formatDuration(impression.measuredDuration) : '—';
+  // "Anuncio N de M" del pod; las impresiones antiguas solo tienen consecutiveAdNumber
+  const podIndex = parseInt(impression.podIndex || impression.consecutiveAdNumber, 10) || 1;
+  const podSize = parseInt(impression.podSize, 10) || 0;
+  const podLabel = podSize ? `${podIndex} de ${podSize}` : `#${podIndex}`;
+  const siteLabel = getSourceSite(impression) !== 'youtube' ? ` · ${SOURCE_SITE_LABELS[getSourceSite(impression)]}` : '';
+  const embedLabel = impression.embedOrigin ? ` · en ${escapeHtml(impression.embedOrigin)}` : '';
+  
+  return `
+    <div class="impression-row">
+      <span class="impression-date">${date}</span>
+      <span class="impression-host">${hostLink}</span>
+      <span class="position-badge position-${position}">${POSITION_LABELS[position]}</span>
+      <span class="impression-meta">${podLabel} · ${impression.isSkippable ? 'Saltable' : 'No saltable'} · ${duration}${siteLabel}${embedLabel}</span>
+      ${createImpressionEventsSummary(impression)}
+    </div>
+  `;
+}
+
+// Resumen de los eventos del anuncio (impresiones registradas con seguimiento de eventos)
+function createImpressionEventsSummary(impression) {
+  if (!Array.isArray(impression.events) || impression.events.length === 0) return '';
+  const endReasonLabels = {
+    'completed': 'Visto completo',
+    'skipped': 'Omitido',
+    'interrupted': 'Interrumpido',
+    'abandoned': 'Abandonado'
+  };
+  const eventLabels = {
+    'start': 'inicio',
+    'quartile_25': '25%',
+    'quartile_50': '50%',
+    'quartile_75': '75%',
+    'quartile_100': '100%',
+    'skip_shown': 'botón omitir',
+    'skip_clicked': 'omitir',
+    'muted': 'silenciado',
+    'unmuted': 'con sonido',
+    'paused': 'pausa',
+    'resumed': 'reanudado',
+    'ended': 'fin'
+  };
+  const parts = [
+    endReasonLabels[impression.endReason] || impression.endReason,
+    `${impression.watchedDuration || 0}s vistos`
+  ];
+  if (impression.skipShownAt !== null && impression.skipShownAt !== undefined) {
+    parts.push(`omitir a los ${impression.skipShownAt}s`);
+  }
+  const timeline = impression.events
+    .map(event => `${(event.t / 1000).toFixed(1)}s ${eventLabels[event.type] || event.type}${event.estimated ? ' (estimado)' : ''}`)
+    .join(' → ');
+  
+  return `<span class="impression-meta impression-events" title="${timeline}">${parts.filter(Boolean).join(' · ')}</span>`;
+}
+
+// === MAPA DE CORTES PUBLICITARIOS POR VIDEO ===
+
+function setupAdBreakMapListeners() {
+  document.addEventListener('toggle', (e) => {
+    const breakMap = e.target;
+    if (!(breakMap instanceof HTMLDetailsElement) || !breakMap.classList.contains('ad-break-map')) return;
+    if (breakMap.open && !breakMap.dataset.loaded) {
+      loadAdBreakMap(breakMap);
+    }
+  }, true);
+}
+
+async function loadAdBreakMap(breakMap) {
+  const content = breakMap.querySelector('.ad-break-content');
+  const videoId = breakMap.dataset.videoId;
+  if (!content || !videoId) return;
+  
+  try {
+    const record = await getAdBreakMap(videoId);
+    breakMap.dataset.loaded = 'true';
+    
+    if (!record || (record.cuePoints.length === 0 && record.views.length === 0)) {
+      content.innerHTML = '<span class="empty-value">Sin cortes registrados para este video</span>';
+      return;
+    }
+    
+    const duration = record.duration || parseInt(breakMap.dataset.duration, 10) || 0;
+    const lastView = record.views[record.views.length - 1] || null;
+    const countEl = breakMap.querySelector('.ad-break-count');
+    if (countEl) countEl.textContent = record.cuePoints.length || (lastView ? lastView.breaks.length : 0);
+    
+    content.innerHTML = createAdBreakTimeline(record, lastView, duration) + createAdBreakRows(lastView, record.views.length);
+  } catch (error) {
+    console.warn('[AdHunt3r] Error cargando el mapa de cortes:', error);
+    content.innerHTML = '<span class="empty-value">Error cargando el mapa de cortes</span>';
+  }
+}
+
+// Porcentaje de la línea temporal (post-roll al final)
+function getTimelinePercent(offsetSec, position, duration) {
+  if (position === 'post_roll' || offsetSec < 0) return 100;
+  if (!duration) return position === 'pre_roll' ? 0 : 50;
+  return Math.min(100, Math.max(0, offsetSec / duration * 100));
+}
+
+function formatTimelineTime(offsetSec, position) {
+  if (position === 'post_roll' || offsetSec < 0) return 'final';
+  const total = Math.round(offsetSec);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = (total % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function createAdBreakTimeline(record, lastView, duration) {
+  const cueMarkers = record.cuePoints.map(cue => {
+    const scheduled = cue.scheduledAds ? ` · ${cue.scheduledAds} anuncio(s) programado(s)` : '';
+    const title = `Corte programado en ${formatTimelineTime(cue.offsetSec, cue.position)}${scheduled} (${cue.sources.join(', ')})`;
+    return `<span class="ad-break-cue" style="left: ${getTimelinePercent(cue.offsetSec, cue.position, duration)}%" title="${title}"></span>`;
+  }).join('');
+  
+  const playedMarkers = (lastView?.breaks || []).map(adBreak => {
+    const title = `${adBreak.adCount} anuncio(s) en ${formatTimelineTime(adBreak.offsetSec, adBreak.position)}`;
+    return `<span class="ad-break-played position-${adBreak.position}" style="left: ${getTimelinePercent(adBreak.offsetSec, adBreak.position, duration)}%" title="${title}">${adBreak.adCount}</span>`;
+  }).join('');
+  
+  return `
+    <div class="ad-break-track">
+      ${cueMarkers}
+      ${playedMarkers}
+    </div>
+    <div class="ad-break-scale">
+      <span>0:00</span>
+      <span>${duration ? formatTimelineTime(duration, 'mid_roll') : ''}</span>
+    </div>
+  `;
+}
+
+function createAdBreakRows(lastView, viewCount) {
+  if (!lastView) {
+    return '<span class="empty-value">Cortes programados, pero aún no se ha reproducido ninguno</span>';
+  }
+  const rows = lastView.breaks.map(adBreak => {
+    const ads = adBreak.adIds.map(adId =>
+      `<a href="https://www.youtube.com/watch?v=${adId}" target="_blank" rel="noopener noreferrer">${adId}</a>`
+    ).join(', ');
+    return `
+      <div class="impression-row">
+        <span class="impression-date">${formatTimelineTime(adBreak.offsetSec, adBreak.position)}</span>
+        <span class="position-badge position-${adBreak.position}">${POSITION_LABELS[adBreak.position] || adBreak.position}</span>
+        <span class="impression-meta">${adBreak.adCount}${adBreak.podSize > adBreak.adCount ? ` de ${adBreak.podSize}` : ''} anuncio(s)${ads ? ` · ${ads}` : ''}</span>
+      </div>
+    `;
+  }).join('');
+  
+  return `
+    <div class="impression-list">
+      <span class="impression-meta">Última visualización: ${new Date(lastView.startedAt).toLocaleString()} (${viewCount} registrada(s))</span>
+      ${rows}
+    </div>
+  `;
+}
+
+// === LÍNEA TEMPORAL POR SESIÓN DE NAVEGACIÓN ===
+
+// Eventos de la sesión mostrada en el diálogo (los que se exportan)
+let sessionTimelineEvents = [];
+
+function getSessionTimelineElements() {
+  return {
+    overlay: document.getElementById('sessionTimelineOverlay'),
+    select: document.getElementById('sessionTimelineSelect'),
+    count: document.getElementById('sessionTimelineCount'),
+    list: document.getElementById('sessionTimelineList'),
+    exportJsonBtn: document.getElementById('sessionTimelineExportJson'),
+    exportCsvBtn: document.getElementById('sessionTimelineExportCsv'),
+    closeBtn: document.getElementById('sessionTimelineClose')
+  };
+}
+
+function setupSessionTimelineListeners() {
+  const openBtn = document.getElementById('openSessionTimelineBtn');
+  const ui = getSessionTimelineElements();
+  if (!openBtn || !ui.overlay || !ui.list) return;
+  
+  openBtn.addEventListener('click', openSessionTimeline);
+  ui.select.addEventListener('change', () => loadSessionTimeline(ui.select.value));
+  ui.exportJsonBtn.addEventListener('click', () => exportSessionTimeline('json'));
+  ui.exportCsvBtn.addEventListener('click', () => exportSessionTimeline('csv'));
+  ui.closeBtn.addEventListener('click', () => {
+    ui.overlay.style.display = 'none';
+  });
+}
+
+function setSessionTimelineExportEnabled(enabled) {
+  const ui = getSessionTimelineElements();
+  ui.exportJsonBtn.disabled = !enabled;
+  ui.exportCsvBtn.disabled = !enabled;
+}
+
+async function openSessionTimeline() {
+  const ui = getSessionTimelineElements();
+  ui.overlay.style.display = 'flex';
+  ui.list.innerHTML = '<span class="empty-value">Cargando sesiones...</span>';
+  ui.select.textContent = '';
+  ui.count.textContent = '';
+  sessionTimelineEvents = [];
+  setSessionTimelineExportEnabled(false);
+  
+  try {
+    const sessions = await getTimelineSessions();
+    if (sessions.length === 0) {
+      ui.select.disabled = true;
+      ui.list.innerHTML = '<span class="empty-value">Aún no hay sesiones registradas</span>';
+      return;
+    }
+    
+    ui.select.disabled = false;
+    sessions.forEach(session => {
+      const option = document.createElement('option');
+      option.value = session.sessionId;
+      option.textContent = `${new Date(session.startedAt).toLocaleString()} · ${session.videos} video(s) · ${session.ads} anuncio(s) · ${session.tabs} pestaña(s)`;
+      ui.select.appendChild(option);
+    });
+    await loadSessionTimeline(sessions[0].sessionId);
+  } catch (error) {
+    console.warn('[AdHunt3r] Error cargando las sesiones:', error);
+    ui.list.innerHTML = '<span class="empty-value">Error cargando las sesiones</span>';
+  }
+}
+
+async function loadSessionTimeline(sessionId) {
+  const ui = getSessionTimelineElements();
+  
+  try {
+    const events = await getSessionTimeline(sessionId);
+    sessionTimelineEvents = events;
+    ui.count.textContent = `${events.length} eventos`;
+    setSessionTimelineExportEnabled(events.length > 0);
+    
+    if (events.length === 0) {
+      ui.list.innerHTML = '<span class="empty-value">Sin eventos en esta sesión</span>';
+      return;
+    }
+    
+    const startedAt = events[0].timestamp;
+    ui.list.innerHTML = events.map(event => createSessionTimelineRow(event, startedAt)).join('');
+  } catch (error) {
+    console.warn('[AdHunt3r] Error cargando la línea temporal de la sesión:', error);
+    ui.list.innerHTML = '<span class="empty-value">Error cargando la línea temporal de la sesión</span>';
+  }
+}
+
+function createSessionTimelineRow(event, startedAt) {
+  const eventLabels = {
+    'video_opened': 'Video abierto',
+    'video_changed': 'Cambio de video',
+    'ad_break_started': 'Inicio del corte',
+    'ad_started': 'Anuncio',
+    'ad_ended': 'Fin del anuncio',
+    'ad_break_ended': 'Fin del corte',
+    'tab_closed': 'Pestaña cerrada'
+  };
+  // Los ids ya vienen validados del almacenamiento (11 caracteres [\w-])
+  const videoLink = (videoId) => videoId ?
+    `<a href="${getWatchUrl(videoId, event.sourceSite)}" target="_blank" rel="noopener noreferrer">${videoId}</a>` :
+    '<span class="empty-value">Video desconocido</span>';
+  const adLink = (adId) => adId ?
+    `<a href="https://www.youtube.com/watch?v=${adId}" target="_blank" rel="noopener noreferrer">${adId}</a>` :
+    '<span class="empty-value">Anuncio desconocido</span>';
+  const podLabel = event.podIndex ? (event.podSize ? `${event.podIndex} de ${event.podSize}` : `#${event.podIndex}`) : null;
+  
+  const parts = [];
+  switch (event.type) {
+    case 'video_opened':
+      parts.push(videoLink(event.videoId));
+      break;
+    case 'video_changed':
+      parts.push(`${videoLink(event.previousVideoId)} → ${videoLink(event.videoId)}`);
+      break;
+    case 'ad_break_started':
+      if (event.position) parts.push(POSITION_LABELS[event.position] || event.position);
+      if (event.podSize) parts.push(`${event.podSize} anuncio(s)`);
+      parts.push(`en ${videoLink(event.videoId)}`);
+      break;
+    case 'ad_started':
+      parts.push(adLink(event.adId));
+      if (podLabel) parts.push(podLabel);
+      if (event.adType) parts.push(AD_TYPE_LABELS[event.adType] || event.adType);
+      if (event.declaredDuration) parts.push(`${formatDuration(event.declaredDuration)} declarados`);
+      break;
+    case 'ad_ended':
+      parts.push(adLink(event.adId));
+      parts.push(`${formatDuration(event.measuredDuration || 0)} en pantalla`);
+      break;
+    case 'ad_break_ended':
+      parts.push(`en ${videoLink(event.videoId)}`);
+      break;
+    default:
+      if (event.videoId) parts.push(`en ${videoLink(event.videoId)}`);
+  }
+  
+  parts.push(`pestaña ${event.tabId ?? '?'}`);
+  if (event.sourceSite && event.sourceSite !== 'youtube') parts.push(SOURCE_SITE_LABELS[event.sourceSite] || event.sourceSite);
+  if (event.embedOrigin) parts.push(`en ${escapeHtml(event.embedOrigin)}`);
+  
+  const time = new Date(event.timestamp).toLocaleTimeString();
+  const offset = formatTimelineTime((event.timestamp - startedAt) / 1000, 'mid_roll');
+  
+  return `
+    <div class="impression-row timeline-${event.type}">
+      <span class="impression-date" title="${new Date(event.timestamp).toLocaleString()}">${time} (+${offset})</span>
+      <span class="timeline-event-label">${eventLabels[event.type] || event.type}</span>
+      <span class="impression-meta">${parts.join(' · ')}</span>
+    </div>
+  `;
+}
+
+// Exportar la sesión mostrada: JSON con sus eventos o CSV con una fila por evento
+function exportSessionTimeline(format) {
+  const events = sessionTimelineEvents;
+  if (events.length === 0) return;
+  
+  const sessionId = events[0].sessionId;
+  const fecha = new Date(events[0].timestamp).toISOString().replace(/[:.]/g, '-');
+  const filename = `adhunt3r_session_${fecha}.${format}`;
+  
+  if (format === 'csv') {
+    const parts = ['\uFEFF', TIMELINE_EVENT_FIELDS.map(escapeCsvValue).join(',') + '\r\n'];
+    events.forEach(event => {
+      const row = TIMELINE_EVENT_FIELDS.map(field =>
+        escapeCsvValue(field === 'timestamp' ? new Date(event.timestamp).toISOString() : event[field])
+      );
+      parts.push(row.join(',') + '\r\n');
+    });
+    downloadFile(parts, filename, 'text/csv;charset=utf-8');
+  } else {
+    const session = {
+      sessionId,
+      startedAt: new Date(events[0].timestamp).toISOString(),
+      endedAt: new Date(events[events.length - 1].timestamp).toISOString(),
+      events: events.map(({ id, ...event }) => event)
+    };
+    downloadFile(JSON.stringify(session, null, 2), filename, 'application/json');
+  }
+  showMsg(`Sesión exportada en formato ${format.toUpperCase()} (${events.length} eventos)`, 'success');
 }
 
 // === NUEVA FUNCIÓN: Configurar listeners para cerrar dropdowns ===
@@ -879,6 +1339,9 @@ function setupBatchActionListeners() {
 function setupExportListeners() {
   const exportJsonBtn = document.getElementById('exportJsonBtn');
   const exportHtmlBtn = document.getElementById('exportHtmlBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportNdjsonBtn = document.getElementById('exportNdjsonBtn');
+  const exportBackupBtn = document.getElementById('exportBackupBtn');
   const importJsonBtn = document.getElementById('importJsonBtn');
   const importJsonInput = document.getElementById('importJsonInput');
   
@@ -890,6 +1353,18 @@ function setupExportListeners() {
     exportHtmlBtn.addEventListener('click', () => exportData('html'));
   }
   
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', () => exportData('csv'));
+  }
+  
+  if (exportNdjsonBtn) {
+    exportNdjsonBtn.addEventListener('click', () => exportData('ndjson'));
+  }
+  
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', exportFullBackup);
+  }
+  
   if (importJsonBtn) {
     importJsonBtn.addEventListener('click', () => {
       importJsonInput.click();
@@ -907,25 +1382,14 @@ async function loadAllData() {
     // Limpiar cache de búsqueda al cargar nuevos datos
     clearSearchCache();
     
-    const [videoHistory, adHistory] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad')
-    ]);
-    
-    // Combinar todos los datos en un solo historial
-    const allData = [
-      ...videoHistory.map(item => ({ ...item, type: 'video' })),
-      ...adHistory.map(item => ({ ...item, type: 'ad' }))
-    ];
-    
-    // Ordenar por timestamp (más reciente primero)
-    allData.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    // Consultar IndexedDB con los filtros indexados y aplicar el resto en memoria
+    const filteredData = await filterData(0, historyShownCount);
     
-    // Aplicar filtros y renderizar
-    await renderFilteredData(allData);
+    // Renderizar
+    await renderFilteredData(filteredData);
     
     // Actualizar hash de datos para el polling
-    updateDataHash(videoHistory, adHistory);
+    await updateDataHash();
     
     // Actualizar indicador de almacenamiento
     await updateStorageIndicator();
@@ -940,28 +1404,23 @@ async function loadAllData() {
 }
 
 // Función para actualizar el hash de datos
-function updateDataHash(videoHistory, adHistory) {
+async function updateDataHash() {
   try {
-    const dataString = JSON.stringify([
-      videoHistory.map(item => ({ id: item.videoId, timestamp: item.timestamp })),
-      adHistory.map(item => ({ id: item.adId, timestamp: item.timestamp }))
-    ]);
-    
-    lastDataHash = btoa(dataString).substring(0, 32);
+    lastDataHash = await getHistorySignature();
   } catch (error) {
     // Ignorar errores de actualización del hash
   }
 }
 
-async function renderFilteredData(allData) {
-  const filteredData = filterData(allData);
+async function renderFilteredData(filteredData) {
   await renderCards(filteredData);
+  renderLoadMoreButton();
   if (viewMode === 'split' && filteredData.length > 0) {
     // Mostrar automáticamente el primer elemento en el panel de detalles
     const firstKey = makeItemKey(filteredData[0]);
     showDetailPane(firstKey);
   }
-  updateHeaderStats(allData);
+  updateHeaderStats(await getHistoryCounts());
 }
 
 // Cache para texto de búsqueda para mejorar rendimiento
@@ -972,54 +1431,75 @@ function clearSearchCache() {
   searchTextCache.clear();
 }
 
-function filterData(data) {
-  return data.filter(item => {
-    // Filtro por tipo
-    if (currentFilters.type !== 'all') {
-      if (currentFilters.type === 'favorite' && !item.isFavorite) return false;
-      if (currentFilters.type === 'video' && item.type !== 'video') return false;
-      if (currentFilters.type === 'ad' && item.type !== 'ad') return false;
-    }
+// Convertir el filtro de fecha en el timestamp mínimo para el índice de IndexedDB
+function getDateFilterSince(dateFilter) {
+  const ranges = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+  };
+  return ranges[dateFilter] ? Date.now() - ranges[dateFilter] : 0;
+}
+
+// Consultar una página del historial usando los índices (tipo, fecha, favoritos)
+async function queryIndexedHistory(offset) {
+  const indexFilters = {
+    since: getDateFilterSince(currentFilters.date),
+    favorite: currentFilters.type === 'favorite',
+    offset,
+    limit: HISTORY_PAGE_SIZE
+  };
+  
+  // Anuncios que no son video (banners, complementarios, promocionados, masthead y Shorts)
+  if (currentFilters.type === 'display') {
+    indexFilters.adKinds = DISPLAY_AD_KINDS;
+  }
+  
+  // Sin tipo se recorren videos y anuncios juntos, ya ordenados por fecha
+  const type = (currentFilters.type === 'video' || currentFilters.type === 'ad') ?
+    currentFilters.type : currentFilters.type === 'display' ? 'ad' : undefined;
+  
+  const items = await getHistoryData(type, indexFilters);
+  return items.map(item => ({ ...item, type: type || (item.adId ? 'ad' : 'video') }));
+}
+
+// Leer páginas desde offset hasta reunir al menos `wanted` items que pasen los filtros en memoria
+async function filterData(offset = 0, wanted = HISTORY_PAGE_SIZE) {
+  const results = [];
+  historyHasMore = true;
+  
+  while (results.length < wanted && historyHasMore) {
+    // Tipo, fecha y favoritos se resuelven en IndexedDB
+    const page = await queryIndexedHistory(offset);
+    offset += page.length;
+    historyHasMore = page.length === HISTORY_PAGE_SIZE;
+    results.push(...page.filter(matchesMemoryFilters));
+  }
+  
+  historyNextOffset = offset;
+  return results;
+}
+
+function matchesMemoryFilters(item) {
+  // Filtro por duración
+  const duration = extractDuration(item);
+  if (currentFilters.durationMin && duration < parseInt(currentFilters.durationMin)) return false;
+  if (currentFilters.durationMax && duration > parseInt(currentFilters.durationMax)) return false;
+  
+  // Filtro por palabra clave (optimizado con cache)
+  if (currentFilters.keyword) {
+    const itemKey = makeItemKey(item);
+    let searchText = searchTextCache.get(itemKey);
     
-    // Filtro por fecha
-    if (currentFilters.date !== 'all') {
-      const now = Date.now();
-      const itemTime = item.timestamp || 0;
-      const timeDiff = now - itemTime;
-      
-      switch (currentFilters.date) {
-        case '24h':
-          if (timeDiff > 24 * 60 * 60 * 1000) return false;
-          break;
-        case '7d':
-          if (timeDiff > 7 * 24 * 60 * 60 * 1000) return false;
-          break;
-        case '30d':
-          if (timeDiff > 30 * 24 * 60 * 60 * 1000) return false;
-          break;
-      }
-    }
-    
-    // Filtro por duración
-    const duration = extractDuration(item);
-    if (currentFilters.durationMin && duration < parseInt(currentFilters.durationMin)) return false;
-    if (currentFilters.durationMax && duration > parseInt(currentFilters.durationMax)) return false;
-    
-    // Filtro por palabra clave (optimizado con cache)
-    if (currentFilters.keyword) {
-      const itemKey = makeItemKey(item);
-      let searchText = searchTextCache.get(itemKey);
-      
-      if (!searchText) {
-        searchText = extractSearchableText(item);
-        searchTextCache.set(itemKey, searchText);
-      }
-      
-      if (!searchText.includes(currentFilters.keyword.toLowerCase())) return false;
+    if (!searchText) {
+      searchText = extractSearchableText(item);
+      searchTextCache.set(itemKey, searchText);
     }
     
-    return true;
-  });
+    if (!searchText.includes(currentFilters.keyword.toLowerCase())) return false;
+  }
+  
+  return true;
 }
 
 function extractDuration(item) {
@@ -1030,7 +1510,7 @@ function extractDuration(item) {
   
   if (item.data) {
     try {
-      const data = JSON.parse(item.data);
+      const data = getItemData(item);
       const duration = data.items?.[0]?.contentDetails?.duration;
       if (duration) {
         return Math.round(parseISODurationToSeconds(duration) / 60);
@@ -1045,11 +1525,17 @@ function extractDuration(item) {
 
 function extractSearchableText(item) {
   let text = '';
+
+  // Sitio y web que insertaba el reproductor embebido
+  text += SOURCE_SITE_LABELS[getSourceSite(item)] + ' ';
+  if (item.embedOrigin) {
+    text += item.embedOrigin + ' ';
+  }
   
   // Datos API/JSON
   if (item.data) {
     try {
-      const data = JSON.parse(item.data);
+      const data = getItemData(item);
       const snippet = data.items?.[0]?.snippet;
       if (snippet) {
         text += snippet.title + ' ';
@@ -1076,6 +1562,15 @@ function extractSearchableText(item) {
           });
         }
         
+        // Buscar en los datos del anuncio que no es video
+        if (adhunt3rData.displayad) {
+          [adhunt3rData.displayad.title, adhunt3rData.displayad.advertiser, adhunt3rData.displayad.description, adhunt3rData.displayad.landingUrl]
+            .filter(Boolean)
+            .forEach(val => {
+              text += val + ' ';
+            });
+        }
+        
         // Buscar en adtypeinfo
         if (adhunt3rData.adtypeinfo) {
           Object.values(adhunt3rData.adtypeinfo).forEach(val => {
@@ -1188,6 +1683,52 @@ async function renderCards(data) {
   hideEmptyState();
 }
 
+// Botón al final de la lista para pedir la siguiente página a IndexedDB
+function renderLoadMoreButton() {
+  const container = document.getElementById('cardsContainer');
+  if (!container) return;
+  
+  container.querySelector('.load-more-container')?.remove();
+  if (!historyHasMore || container.children.length === 0) return;
+  
+  const wrapper = document.createElement('div');
+  wrapper.className = 'load-more-container';
+  wrapper.innerHTML = `
+    <button type="button" class="btn-secondary load-more-btn">
+      <i class="fas fa-chevron-down"></i> Cargar más
+    </button>
+  `;
+  wrapper.querySelector('button').addEventListener('click', loadMoreHistory);
+  container.appendChild(wrapper);
+}
+
+async function loadMoreHistory(event) {
+  const button = event?.currentTarget;
+  if (button) button.disabled = true;
+  
+  try {
+    const nextItems = await filterData(historyNextOffset);
+    historyShownCount += nextItems.length;
+    
+    const container = document.getElementById('cardsContainer');
+    if (!container) return;
+    
+    const fragment = document.createDocumentFragment();
+    nextItems.forEach((item, index) => {
+      const card = createCard(item);
+      card.style.animationDelay = `${index * 25}ms`;
+      fragment.appendChild(card);
+    });
+    container.querySelector('.load-more-container')?.remove();
+    container.appendChild(fragment);
+    renderLoadMoreButton();
+  } catch (error) {
+    console.error('Error cargando más elementos:', error);
+    showMsg('Error al cargar más elementos', 'error');
+    if (button) button.disabled = false;
+  }
+}
+
 function createCard(item) {
   const card = document.createElement('div');
   card.className = 'history-card';
@@ -1195,16 +1736,6 @@ function createCard(item) {
   const itemKey = makeItemKey(item);
   allItemsMap.set(itemKey, item);
   
-  // === NUEVO: Almacenar JSON parseado al crear la tarjeta ===
-  if (item.data) {
-    try {
-      const parsedData = JSON.parse(item.data);
-      storeParsedJson(itemKey, parsedData);
-    } catch (e) {
-      console.warn('Error parseando JSON al crear tarjeta:', e);
-    }
-  }
-  
   const info = extractVideoInfo(item);
   const tags = createTags(item, info);
   
@@ -1225,8 +1756,8 @@ function createCard(item) {
                 `<button class="icon-btn save-to-favorites-btn" data-item-key="${makeItemKey(item)}" title="Guardar"><i class="fas fa-star"></i></button>` :
                 `<button class="icon-btn remove-from-favorites-btn" data-item-key="${makeItemKey(item)}" title="Quitar"><i class="fas fa-inbox"></i></button>`
               }
-              ${item.adId || item.videoId ? 
-                `<a href="https://www.youtube.com/watch?v=${item.adId || item.videoId}" target="_blank" class="icon-btn video-link-btn" title="Ver en YouTube"><i class="fab fa-youtube"></i></a>` : 
+              ${getItemLink(item) ? 
+                `<a href="${getItemLink(item)}" target="_blank" class="icon-btn video-link-btn" title="Ver en YouTube"><i class="fab fa-youtube"></i></a>` : 
                 ''
               }
             </div>
@@ -1420,6 +1951,22 @@ function createTags(item, info) {
     tags.push(`<span class="tag ${statusClass}">${statusText}</span>`);
   }
   
+  // Formato de los anuncios que no son video (banner, complementario, promocionado...)
+  if (item.type === 'ad' && isDisplayAdItem(item)) {
+    tags.push(`<span class="tag ad-kind"><i class="fas fa-image"></i> ${AD_KIND_LABELS[getAdKind(item)]}</span>`);
+  }
+
+  // Visto en YouTube Music o YouTube Kids
+  if (getSourceSite(item) !== 'youtube') {
+    const siteIcon = getSourceSite(item) === 'music' ? 'fa-music' : 'fa-child';
+    tags.push(`<span class="tag source-site"><i class="fas ${siteIcon}"></i> ${SOURCE_SITE_LABELS[getSourceSite(item)]}</span>`);
+  }
+
+  // Visto en un reproductor embebido en otra web
+  if (item.embedOrigin) {
+    tags.push(`<span class="tag embed-origin" title="${escapeHtml(item.embedOrigin)}"><i class="fas fa-window-restore"></i> Embebido</span>`);
+  }
+  
   // --- ORDEN ESPECÍFICO PARA ANUNCIOS ---
   if (item.type === 'ad' && item.adTypeInfo?.type) {
     // Tag de subtipo de anuncio *después* de visibilidad
@@ -1438,7 +1985,7 @@ function createTags(item, info) {
     // Si no se encontró en adTypeInfo, buscar en el JSON principal
     if (!adDuration && item.data) {
       try {
-        const data = JSON.parse(item.data);
+        const data = getItemData(item);
         // Buscar en _adhunt3r_data.adtypeinfo.duration
         if (data?._adhunt3r_data?.adtypeinfo?.duration && data._adhunt3r_data.adtypeinfo.duration > 0) {
           adDuration = Math.round(data._adhunt3r_data.adtypeinfo.duration);
@@ -1487,10 +2034,10 @@ function createActionButtons(item) {
   }
   
   // Botón ir al video
-  const videoId = item.adId || item.videoId;
-  if (videoId) {
+  const itemLink = getItemLink(item);
+  if (itemLink) {
     buttons.push(`
-      <a href="https://www.youtube.com/watch?v=${videoId}" target="_blank" class="action-btn primary video-link-btn" title="Ver en YouTube">
+      <a href="${itemLink}" target="_blank" class="action-btn primary video-link-btn" title="Ver en YouTube">
         <i class="fas fa-play"></i>
       </a>
     `);
@@ -1510,7 +2057,7 @@ function extractDetailsFromParsedJson(parsedData, item) {
   
   // Tamaño de la consulta
   if (item.data) {
-    const dataSize = new Blob([item.data]).size;
+    const dataSize = new Blob([typeof item.data === 'string' ? item.data : JSON.stringify(item.data)]).size;
     const sizeInKB = (dataSize / 1024).toFixed(1);
     const sizeInMB = (dataSize / 1024 / 1024).toFixed(2);
     const sizeText = dataSize >= 1024 * 1024 ? `${sizeInMB} MB` : `${sizeInKB} KB`;
@@ -1575,20 +2122,60 @@ function extractDetailsFromParsedJson(parsedData, item) {
 function createCardDetails(item, info) {
   const details = [];
   
-  // Obtener JSON parseado
-  let parsedData = null;
-  if (window.currentParsedJson && window.currentParsedJson[item.adId || item.videoId]) {
-    parsedData = window.currentParsedJson[item.adId || item.videoId];
-  } else if (item.data) {
-    try {
-      parsedData = JSON.parse(item.data);
-    } catch (e) {
-      console.warn('Error parseando JSON para detalles:', e);
-    }
-        }
+  // data ya es un objeto (esquema v2); no hace falta parsear ni cachear
+  const parsedData = getItemData(item);
         
+  // Anuncios que no son video: datos extraídos del renderer en la página (se escapan)
+  const displayAd = isDisplayAdItem(item) ? parsedData?._adhunt3r_data?.displayad : null;
+  if (displayAd) {
+    details.push({ label: 'Formato', value: AD_KIND_LABELS[getAdKind(item)] });
+    if (displayAd.advertiser) {
+      details.push({ label: 'Anunciante', value: escapeHtml(displayAd.advertiser) });
+    }
+    if (displayAd.title) {
+      details.push({ label: 'Título', value: escapeHtml(displayAd.title) });
+    }
+    if (displayAd.description) {
+      details.push({ label: 'Descripción', value: escapeHtml(displayAd.description) });
+    }
+    // Las URLs y la página vienen del DOM o de una importación: se validan y escapan también aquí
+    const landingUrl = toSafeUrl(displayAd.landingUrl);
+    if (landingUrl) {
+      details.push({
+        label: 'Destino',
+        value: `<a href="${landingUrl}" target="_blank" class="advertiser-link" rel="noopener noreferrer">${landingUrl}</a>`
+      });
+    }
+    const pageUrl = toSafeUrl(displayAd.pageUrl);
+    if (pageUrl) {
+      details.push({
+        label: 'Dónde aparece',
+        value: `<a href="${pageUrl}" target="_blank" class="advertiser-link" rel="noopener noreferrer">${DISPLAY_AD_PAGE_LABELS[displayAd.pageType] || escapeHtml(String(displayAd.pageType))}</a>`
+      });
+    }
+    const seenCount = parseInt(displayAd.seenCount, 10);
+    if (seenCount > 0) {
+      details.push({ label: 'Visto', value: `${seenCount} ${seenCount === 1 ? 'vez' : 'veces'} desde ${new Date(displayAd.firstSeen).toLocaleString()}` });
+    }
+    if (displayAd.renderer) {
+      details.push({ label: 'Renderer', value: escapeHtml(String(displayAd.renderer)) });
+    }
+  }
+  
+  if (getSourceSite(item) !== 'youtube') {
+    details.push({ label: 'Sitio', value: SOURCE_SITE_LABELS[getSourceSite(item)] });
+  }
+
+  // Web que insertaba el reproductor (el origen se validó al guardar, pero se escapa igualmente)
+  if (item.embedOrigin) {
+    details.push({
+      label: 'Insertado en',
+      value: `<a href="${escapeHtml(item.embedOrigin)}" target="_blank" class="advertiser-link" rel="noopener noreferrer">${escapeHtml(item.embedOrigin)}</a>`
+    });
+  }
+  
   // Información específica de anuncios según camposdetalles.md
-  if (item.type === 'ad' && parsedData) {
+  if (item.type === 'ad' && parsedData && !displayAd) {
     const snippet = parsedData.items?.[0]?.snippet;
     const statistics = parsedData.items?.[0]?.statistics;
     const adHunt3rData = parsedData._adhunt3r_data;
@@ -1625,7 +2212,13 @@ function createCardDetails(item, info) {
     if (adHunt3rData?.sponsorinfo?.sponsoredBy) {
       details.push({ label: 'Sponsored', value: adHunt3rData.sponsorinfo.sponsoredBy });
     }
-    
+
+    // Pod del corte en el que apareció el anuncio
+    const pod = adHunt3rData?.adtypeinfo?.pod;
+    if (pod?.index) {
+      details.push({ label: 'Pod', value: pod.size ? `Anuncio ${pod.index} de ${pod.size}` : `Anuncio ${pod.index}` });
+    }
+
     // 7. Fecha de publicación (publishedAt)
     if (snippet?.publishedAt) {
       const publishedDate = new Date(snippet.publishedAt).toLocaleDateString('es-ES', {
@@ -1837,16 +2430,36 @@ function createCardDetails(item, info) {
       </div>
   `).join('');
   
-  const videoId = item.adId || item.videoId;
+  const itemLink = getItemLink(item);
+  
+  // Línea temporal de impresiones del creativo (se carga al desplegar; solo anuncios instream)
+  const impressionTimeline = item.type === 'ad' && !isDisplayAdItem(item) ? `
+    <details class="impression-timeline" data-ad-id="${item.adId}">
+      <summary><i class="fas fa-stream"></i> Impresiones (<span class="impression-count">ver</span>)</summary>
+      <div class="impression-list">Cargando impresiones...</div>
+    </details>
+  ` : '';
+  
+  // Mapa de cortes publicitarios del video (se carga al desplegar)
+  const videoDurationIso = item.type === 'video' ? parsedData?.items?.[0]?.contentDetails?.duration : null;
+  const adBreakMap = item.type === 'video' ? `
+    <details class="ad-break-map" data-video-id="${item.videoId}" data-duration="${videoDurationIso ? parseISODurationToSeconds(videoDurationIso) : 0}">
+      <summary><i class="fas fa-map-marker-alt"></i> Cortes publicitarios (<span class="ad-break-count">ver</span>)</summary>
+      <div class="ad-break-content">Cargando cortes...</div>
+    </details>
+  ` : '';
   
   return `
     <div class="details-grid">
       ${detailsGrid}
     </div>
+    ${impressionTimeline}
+    ${adBreakMap}
     <div class="detail-actions">
-      <a href="https://www.youtube.com/watch?v=${videoId}" target="_blank" class="action-btn primary">
-        <i class="fas fa-play"></i> Ir al video
-      </a>
+      ${itemLink ? `
+      <a href="${itemLink}" target="_blank" class="action-btn primary">
+        <i class="fas fa-play"></i> ${isDisplayAdItem(item) && !parsedData?._adhunt3r_data?.displayad?.videoId ? 'Ir al anuncio' : 'Ir al video'}
+      </a>` : ''}
       <button class="action-btn copy-data-btn" data-item-key="${makeItemKey(item)}">
         <i class="fas fa-copy"></i> Copiar datos
       </button>
@@ -1855,7 +2468,7 @@ function createCardDetails(item, info) {
       </button>
       </div>
     <div class="json-container" id="json-${makeItemKey(item)}" style="display: none;">
-      <div class="json-content">${formatJsonForDisplay(item.data)}</div>
+      <div class="json-content"></div>
     </div>
   `;
 }
@@ -1870,17 +2483,27 @@ function makeItemKey(item) {
   return `${type}-${cleanId}-${cleanTimestamp}`;
 }
 
-function formatJsonForDisplay(jsonData) {
-  if (!jsonData) {
-    return 'No hay datos JSON disponibles';
-  }
-  
+// URL de la página o de una importación lista para un atributo href/src: solo http(s), normalizada
+// (comillas codificadas) y escapada; '' si no es válida
+function toSafeUrl(value) {
+  if (typeof value !== 'string' || value === '') return '';
   try {
-    const parsed = JSON.parse(jsonData);
-    return JSON.stringify(parsed, null, 2);
-  } catch (error) {
-    return `Error al parsear JSON: ${error.message}\n\nDatos originales:\n${jsonData}`;
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? escapeHtml(url.href) : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// Enlace de la tarjeta: el video en YouTube o, en los anuncios que no son video, su destino
+function getItemLink(item) {
+  if (!isDisplayAdItem(item)) {
+    const id = item.adId || item.videoId;
+    return id ? getWatchUrl(id, getSourceSite(item)) : '';
   }
+  const displayAd = getItemData(item)?._adhunt3r_data?.displayad;
+  if (/^[\w-]{11}$/.test(displayAd?.videoId)) return `https://www.youtube.com/watch?v=${displayAd.videoId}`;
+  return toSafeUrl(displayAd?.landingUrl) || toSafeUrl(displayAd?.link);
 }
 
 // === NUEVA FUNCIÓN: Extraer información del JSON parseado ===
@@ -1921,7 +2544,7 @@ function extractVideoInfo(item) {
   
   if (item.data) {
     try {
-      const data = JSON.parse(item.data);
+      const data = getItemData(item);
       const extractedInfo = extractInfoFromParsedJson(data);
       
       title = extractedInfo.title;
@@ -1935,6 +2558,14 @@ function extractVideoInfo(item) {
     }
   }
   
+  // Anuncios que no son video: los datos vienen del renderer, no de la API (texto de la página, se escapa)
+  if (isDisplayAdItem(item)) {
+    const displayAd = getItemData(item)?._adhunt3r_data?.displayad;
+    title = title || escapeHtml(displayAd?.title || '');
+    channel = channel || escapeHtml(displayAd?.advertiser || '');
+    thumbnail = thumbnail || toSafeUrl(displayAd?.thumbnail);
+  }
+  
   // Fallback para título
   if (!title) {
     title = item.adId || item.videoId || 'Sin título';
@@ -2006,14 +2637,6 @@ function toggleCardDetails(itemKey) {
   }
 }
 
-// === NUEVA FUNCIÓN: Almacenar JSON parseado en contexto global ===
-function storeParsedJson(itemKey, jsonData) {
-  if (!window.currentParsedJson) {
-    window.currentParsedJson = {};
-  }
-  window.currentParsedJson[itemKey] = jsonData;
-}
-
 function toggleJsonView(itemKey) {
   const jsonContainer = document.getElementById(`json-${itemKey}`);
   const button = document.querySelector(`[data-item-key="${itemKey}"].toggle-json-btn`);
@@ -2028,15 +2651,12 @@ function toggleJsonView(itemKey) {
       jsonContainer.style.display = 'block';
       button.innerHTML = '<i class="fas fa-code"></i> Ocultar JSON';
       
-      // === NUEVO: Almacenar JSON parseado cuando se muestra ===
-      const item = allItemsMap.get(itemKey);
-      if (item && item.data) {
-        try {
-          const parsedData = JSON.parse(item.data);
-          storeParsedJson(itemKey, parsedData);
-        } catch (e) {
-          console.warn('Error parseando JSON para almacenamiento:', e);
-        }
+      // Generar el JSON con sangrías solo la primera vez que se muestra
+      const content = jsonContainer.querySelector('.json-content');
+      if (content && !content.dataset.rendered) {
+        const item = allItemsMap.get(itemKey);
+        content.textContent = formatItemData(item) || 'No hay datos JSON disponibles';
+        content.dataset.rendered = 'true';
       }
     }
   }
@@ -2311,7 +2931,7 @@ function handleCopyData(itemKey) {
   const item = allItemsMap.get(itemKey);
   if (!item?.data) return;
   
-  navigator.clipboard.writeText(item.data)
+  navigator.clipboard.writeText(formatItemData(item))
     .then(() => showMsg('Datos copiados al portapapeles', 'success'))
     .catch(() => showMsg('Error al copiar datos', 'error'));
 }
@@ -2326,6 +2946,7 @@ function applyFilters() {
     durationMax: document.getElementById('filterDurationMax')?.value || '',
     keyword: document.getElementById('filterKeyword')?.value || ''
   };
+  historyShownCount = HISTORY_PAGE_SIZE;
   
   // Recargar datos con filtros preservando scroll
   executeWithScrollPreservation(loadAllData);
@@ -2345,6 +2966,7 @@ function clearFilters() {
     durationMax: '',
     keyword: ''
   };
+  historyShownCount = HISTORY_PAGE_SIZE;
   
   executeWithScrollPreservation(loadAllData);
   showMsg('Filtros limpiados', 'info');
@@ -2359,6 +2981,8 @@ function updateSelectionUI() {
   const batchSaveBtn = document.getElementById('batchSaveBtn');
   const exportJsonBtn = document.getElementById('exportJsonBtn');
   const exportHtmlBtn = document.getElementById('exportHtmlBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportNdjsonBtn = document.getElementById('exportNdjsonBtn');
   const selectAllItems = document.getElementById('selectAllItems');
   
   if (selectionCount) {
@@ -2405,6 +3029,16 @@ function updateSelectionUI() {
     exportHtmlBtn.disabled = !hasSelection;
     exportHtmlBtn.title = hasSelection ? 'Exportar selección a HTML' : 'Selecciona elementos para exportar';
   }
+  
+  if (exportCsvBtn) {
+    exportCsvBtn.disabled = !hasSelection;
+    exportCsvBtn.title = hasSelection ? 'Exportar selección a CSV (un único archivo)' : 'Selecciona elementos para exportar';
+  }
+  
+  if (exportNdjsonBtn) {
+    exportNdjsonBtn.disabled = !hasSelection;
+    exportNdjsonBtn.title = hasSelection ? 'Exportar selección a NDJSON (un único archivo)' : 'Selecciona elementos para exportar';
+  }
 }
 
 async function handleBatchDelete() {
@@ -2549,79 +3183,56 @@ function clearSelections() {
 
 // Función para manejar la importación de archivos JSON
 async function handleImportJson(event) {
-  const files = event.target.files;
-  if (!files || files.length === 0) return;
+  const files = Array.from(event.target.files || []);
+  if (files.length === 0) return;
   
+  let plan;
   try {
-    showBatchProgress('Importando archivos JSON...');
-    
-    let totalImported = 0;
-    let totalErrors = 0;
-    let totalSkipped = 0;
-    const maxFileSize = 25 * 1024; // 25KB en bytes
-    
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      
-      // Verificar tamaño del archivo
-      if (file.size > maxFileSize) {
-        console.warn(`Archivo ${file.name} excede el límite de 25KB`);
-        totalErrors++;
-        continue;
-      }
-      
-      // Verificar tipo de archivo
-      if (!file.name.toLowerCase().endsWith('.json')) {
-        console.warn(`Archivo ${file.name} no es un archivo JSON válido`);
-        totalErrors++;
-        continue;
-      }
-      
-      try {
-        const content = await readFileAsText(file);
-        const importedData = await processImportedJson(content, file.name);
-        
-        if (importedData.success) {
-          totalImported += importedData.count;
-          totalSkipped += importedData.skipped || 0;
-        } else {
-          totalErrors++;
-        }
-      } catch (error) {
-        console.error(`Error procesando archivo ${file.name}:`, error);
-        totalErrors++;
-      }
-    }
-    
+    showBatchProgress('Analizando archivos...');
+    plan = await buildImportPlan(files);
+  } catch (error) {
+    console.error('Error en importación:', error);
+    showMsg('Error al analizar los archivos', 'error');
+    return;
+  } finally {
+    hideBatchProgress();
     // Limpiar el input
     event.target.value = '';
-    
-    // Mostrar resultados detallados
-    let resultMessage = '';
-    if (totalImported > 0) {
-      resultMessage += `Importados ${totalImported} elementos exitosamente`;
-      if (totalSkipped > 0) {
-        resultMessage += `, ${totalSkipped} duplicados omitidos`;
-      }
-      showMsg(resultMessage, 'success');
-      // Recargar datos para mostrar los nuevos elementos
-      await refreshAllLists(false);
-    }
-    
-    if (totalErrors > 0) {
-      showMsg(`${totalErrors} archivos no pudieron ser importados`, 'warning');
-    }
-    
-    if (totalImported === 0 && totalErrors === 0) {
-      showMsg('No se encontraron elementos válidos para importar', 'info');
-    }
-    
+  }
+  
+  const totalItems = plan.reduce((sum, file) => sum + file.entries.length, 0);
+  if (totalItems === 0 && plan.every(file => !file.error)) {
+    showMsg('No se encontraron elementos válidos para importar', 'info');
+    return;
+  }
+  
+  // Paso 1: vista previa y elección de estrategia
+  const strategy = await openImportWizard(plan);
+  if (!strategy) return;
+  
+  // Paso 2: aplicar e informar de lo ocurrido con cada item
+  let report;
+  try {
+    showBatchProgress('Importando elementos...');
+    report = await applyImportPlan(plan, strategy);
   } catch (error) {
     console.error('Error en importación:', error);
     showMsg('Error al importar archivos', 'error');
+    return;
   } finally {
     hideBatchProgress();
   }
+  
+  const written = report.filter(entry => ['added', 'overwritten', 'merged'].includes(entry.action)).length;
+  if (written > 0) {
+    showMsg(`Importación completada: ${written} elementos añadidos o actualizados`, 'success');
+    // Recargar datos para mostrar los nuevos elementos
+    await refreshAllLists(false);
+  } else {
+    showMsg('Importación completada sin cambios en el historial', 'info');
+  }
+  
+  await showImportReport(report);
 }
 
 // Función para leer archivo como texto
@@ -2634,71 +3245,311 @@ function readFileAsText(file) {
   });
 }
 
-// Función para procesar JSON importado
-async function processImportedJson(content, filename) {
-  try {
-    const jsonData = JSON.parse(content);
-    let importedCount = 0;
-    let skippedCount = 0;
-    
-    // Verificar si es un array o un objeto individual
-    const items = Array.isArray(jsonData) ? jsonData : [jsonData];
+// === Importación con vista previa y estrategias de fusión ===
+const IMPORT_MAX_JSON_SIZE = 25 * 1024; // 25KB en bytes por archivo JSON
+
+const IMPORT_ACTION_LABELS = {
+  added: 'Añadido',
+  unchanged: 'Sin cambios',
+  kept: 'Conservado el existente',
+  overwritten: 'Sobrescrito',
+  merged: 'Campos fusionados',
+  invalid: 'Inválido',
+  error: 'Error'
+};
+
+// Leer un archivo (JSON o copia de seguridad ZIP) y devolver sus items en bruto
+async function readImportFile(file) {
+  const lowerName = file.name.toLowerCase();
+  
+  // Copias de seguridad completas (ZIP con manifest.json): sin límite de 25KB
+  if (lowerName.endsWith('.zip')) {
+    const backup = await readBackupArchive(await file.arrayBuffer());
+    return { items: [...backup.videos, ...backup.ads], backup };
+  }
+  
+  if (!lowerName.endsWith('.json')) {
+    throw new Error('No es un archivo JSON válido');
+  }
+  if (file.size > IMPORT_MAX_JSON_SIZE) {
+    throw new Error('Excede el límite de 25KB');
+  }
+  
+  const jsonData = JSON.parse(await readFileAsText(file));
+  // Verificar si es un array o un objeto individual
+  return { items: Array.isArray(jsonData) ? jsonData : [jsonData], backup: null };
+}
+
+// Clasificar cada item de cada archivo sin escribir nada (dry-run)
+async function buildImportPlan(files) {
+  const plan = [];
+  
+  for (const file of files) {
+    const filePlan = {
+      name: file.name,
+      error: null,
+      backup: null,
+      entries: [],
+      counts: { new: 0, duplicate: 0, conflict: 0, invalid: 0 }
+    };
+    plan.push(filePlan);
     
-    // Obtener historial existente para verificar duplicados
-    const [existingVideos, existingAds] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad')
-    ]);
+    let items;
+    try {
+      const read = await readImportFile(file);
+      items = read.items;
+      filePlan.backup = read.backup;
+    } catch (error) {
+      console.warn(`[AdHunt3r] Archivo ${file.name} no importable:`, error.message);
+      filePlan.error = error.message;
+      continue;
+    }
     
     for (const item of items) {
+      const entry = await analyzeImportItem(item);
+      filePlan.entries.push(entry);
+      filePlan.counts[entry.status]++;
+    }
+  }
+  
+  return plan;
+}
+
+async function analyzeImportItem(item) {
+  // Validar estructura básica del item
+  if (!isValidImportItem(item)) {
+    return { status: 'invalid', reason: 'Estructura no reconocida', id: item?.adId || item?.videoId || null };
+  }
+  
+  // Determinar el tipo de consulta (video o anuncio)
+  const type = determineItemType(item);
+  if (!type) {
+    return { status: 'invalid', reason: 'No se pudo determinar el tipo', id: item.adId || item.videoId || null };
+  }
+  
+  // Preparar el item para almacenamiento y validarlo con el esquema actual
+  const incoming = prepareItemForStorage(item, type);
+  const id = type === 'video' ? incoming.videoId : incoming.adId;
+  const schemaErrors = validateHistoryItem(type, incoming);
+  if (schemaErrors.length > 0) {
+    return { status: 'invalid', reason: schemaErrors.join(', '), id: id || null };
+  }
+  
+  const existing = await findHistoryItem(type, id);
+  
+  return { status: classifyImportItem(existing, incoming), type, id, incoming };
+}
+
+// Aplicar la estrategia; el existente se vuelve a leer por si otro archivo del lote ya lo modificó
+async function applyImportPlan(plan, strategy) {
+  const report = [];
+  
+  for (const filePlan of plan) {
+    if (filePlan.error) {
+      report.push({ file: filePlan.name, type: null, id: null, action: 'error', reason: filePlan.error });
+      continue;
+    }
+    
+    for (const entry of filePlan.entries) {
+      if (entry.status === 'invalid') {
+        report.push({ file: filePlan.name, type: null, id: entry.id, action: 'invalid', reason: entry.reason });
+        continue;
+      }
+      
       try {
-        // Validar estructura básica del item
-        if (!isValidImportItem(item)) {
-          console.warn(`Item inválido en ${filename}:`, item);
-          continue;
-        }
-        
-        // Determinar el tipo de consulta (video o anuncio)
-        const itemType = determineItemType(item);
-        if (!itemType) {
-          console.warn(`No se pudo determinar el tipo de item en ${filename}`);
-          continue;
+        const existing = await findHistoryItem(entry.type, entry.id);
+        const { action, item } = resolveImportItem(existing, entry.incoming, strategy);
+        if (item) {
+          await saveToHistory(entry.type, item);
         }
-        
-        // Preparar el item para almacenamiento
-        const processedItem = prepareItemForStorage(item, itemType);
-        
-        // Verificar si ya existe un item similar
-        const existingItems = itemType === 'video' ? existingVideos : existingAds;
-        const idKey = itemType === 'video' ? 'videoId' : 'adId';
-        const existingItem = existingItems.find(existing => 
-          existing[idKey] === processedItem[idKey]
-        );
-        
-        if (existingItem) {
-          console.log(`Item duplicado encontrado en ${filename}: ${processedItem[idKey]}`);
-          skippedCount++;
-          continue;
-        }
-        
-        // Guardar en el historial correspondiente
-        await saveToHistory(itemType, processedItem);
-        importedCount++;
-        
+        report.push({ file: filePlan.name, type: entry.type, id: entry.id, action });
+      } catch (error) {
+        console.error(`Error procesando item en ${filePlan.name}:`, error);
+        report.push({ file: filePlan.name, type: entry.type, id: entry.id, action: 'error', reason: error.message });
+      }
+    }
+    
+    // Las copias de seguridad también restauran favoritos, configuración, contadores,
+    // impresiones, estadísticas, mapas de cortes y línea temporal
+    if (filePlan.backup) {
+      await restoreBackupFavorites(filePlan.backup);
+      await restoreBackupSettings(filePlan.backup);
+      try {
+        await restoreBackupStores(filePlan.backup);
       } catch (error) {
-        console.error(`Error procesando item en ${filename}:`, error);
+        console.error(`Error restaurando los datos de ${filePlan.name}:`, error);
+        report.push({ file: filePlan.name, type: 'backup', id: '-', action: 'error', reason: error.message });
       }
     }
+  }
+  
+  return report;
+}
+
+function getImportWizardElements() {
+  return {
+    overlay: document.getElementById('importWizardOverlay'),
+    title: document.getElementById('importWizardTitle'),
+    preview: document.getElementById('importPreview'),
+    strategies: document.getElementById('importStrategyGroup'),
+    report: document.getElementById('importReport'),
+    cancelBtn: document.getElementById('importWizardCancel'),
+    downloadBtn: document.getElementById('importReportDownload'),
+    confirmBtn: document.getElementById('importWizardConfirm')
+  };
+}
+
+function createCell(tag, text, className) {
+  const cell = document.createElement(tag);
+  cell.textContent = text;
+  if (className) cell.className = className;
+  return cell;
+}
+
+function renderImportPreview(container, plan) {
+  container.textContent = '';
+  const table = document.createElement('table');
+  table.className = 'import-table';
+  
+  const headerRow = document.createElement('tr');
+  ['Archivo', 'Nuevos', 'Duplicados', 'En conflicto', 'Inválidos'].forEach(label => {
+    headerRow.appendChild(createCell('th', label));
+  });
+  table.appendChild(headerRow);
+  
+  plan.forEach(filePlan => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell('td', filePlan.name, 'import-file-name'));
+    if (filePlan.error) {
+      const errorCell = createCell('td', filePlan.error, 'import-file-error');
+      errorCell.colSpan = 4;
+      row.appendChild(errorCell);
+    } else {
+      ['new', 'duplicate', 'conflict', 'invalid'].forEach(status => {
+        row.appendChild(createCell('td', String(filePlan.counts[status]), `import-count import-count-${status}`));
+      });
+    }
+    table.appendChild(row);
+  });
+  
+  container.appendChild(table);
+}
+
+/**
+ * Muestra la vista previa de la importación y la elección de estrategia.
+ * @returns {Promise<string|null>} Estrategia elegida o null si se cancela
+ */
+function openImportWizard(plan) {
+  const ui = getImportWizardElements();
+  if (!ui.overlay || !ui.preview) {
+    return Promise.resolve('keep-existing');
+  }
+  
+  const conflicts = plan.reduce((sum, file) => sum + file.counts.conflict, 0);
+  const importable = plan.reduce((sum, file) => sum + file.counts.new + file.counts.duplicate + file.counts.conflict, 0);
+  
+  if (ui.title) ui.title.textContent = 'Importar datos: vista previa';
+  renderImportPreview(ui.preview, plan);
+  ui.preview.style.display = '';
+  ui.report.style.display = 'none';
+  // La estrategia solo afecta a los elementos en conflicto
+  ui.strategies.style.display = conflicts > 0 ? '' : 'none';
+  ui.cancelBtn.style.display = '';
+  ui.downloadBtn.style.display = 'none';
+  ui.confirmBtn.textContent = 'Importar';
+  ui.confirmBtn.disabled = importable === 0;
+  
+  return new Promise(resolve => {
+    const close = (result) => {
+      ui.overlay.style.display = 'none';
+      ui.cancelBtn.onclick = null;
+      ui.confirmBtn.onclick = null;
+      resolve(result);
+    };
     
-    return { 
-      success: true, 
-      count: importedCount, 
-      skipped: skippedCount 
+    ui.cancelBtn.onclick = () => close(null);
+    ui.confirmBtn.onclick = () => {
+      const selected = ui.strategies.querySelector('input[name="importStrategy"]:checked');
+      const strategy = selected && IMPORT_STRATEGIES.includes(selected.value) ? selected.value : 'keep-existing';
+      close(strategy);
     };
     
+    ui.overlay.style.display = 'flex';
+  });
+}
+
+// Informe por item tras la importación
+function showImportReport(report) {
+  const ui = getImportWizardElements();
+  if (!ui.overlay || !ui.report) return Promise.resolve();
+  
+  const summary = {};
+  report.forEach(entry => {
+    summary[entry.action] = (summary[entry.action] || 0) + 1;
+  });
+  
+  ui.report.textContent = '';
+  const summaryLine = document.createElement('p');
+  summaryLine.className = 'import-report-summary';
+  summaryLine.textContent = Object.entries(summary)
+    .map(([action, count]) => `${IMPORT_ACTION_LABELS[action] || action}: ${count}`)
+    .join(' · ');
+  ui.report.appendChild(summaryLine);
+  
+  const table = document.createElement('table');
+  table.className = 'import-table';
+  const headerRow = document.createElement('tr');
+  ['Archivo', 'Tipo', 'ID', 'Resultado'].forEach(label => headerRow.appendChild(createCell('th', label)));
+  table.appendChild(headerRow);
+  
+  report.forEach(entry => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell('td', entry.file, 'import-file-name'));
+    row.appendChild(createCell('td', entry.type === 'ad' ? 'Anuncio' : entry.type === 'video' ? 'Video' : '—'));
+    row.appendChild(createCell('td', entry.id || '—'));
+    const label = IMPORT_ACTION_LABELS[entry.action] || entry.action;
+    row.appendChild(createCell('td', entry.reason ? `${label}: ${entry.reason}` : label, `import-action import-action-${entry.action}`));
+    table.appendChild(row);
+  });
+  ui.report.appendChild(table);
+  
+  if (ui.title) ui.title.textContent = 'Importar datos: informe';
+  ui.preview.style.display = 'none';
+  ui.strategies.style.display = 'none';
+  ui.report.style.display = '';
+  ui.cancelBtn.style.display = 'none';
+  ui.downloadBtn.style.display = '';
+  ui.confirmBtn.textContent = 'Cerrar';
+  ui.confirmBtn.disabled = false;
+  
+  return new Promise(resolve => {
+    ui.downloadBtn.onclick = () => {
+      const fecha = new Date().toISOString().replace(/[:.]/g, '-');
+      downloadFile(JSON.stringify(report, null, 2), `adhunt3r_import_report_${fecha}.json`, 'application/json');
+    };
+    ui.confirmBtn.onclick = () => {
+      ui.overlay.style.display = 'none';
+      ui.downloadBtn.onclick = null;
+      ui.confirmBtn.onclick = null;
+      resolve();
+    };
+    ui.overlay.style.display = 'flex';
+  });
+}
+
+// === Copia de seguridad completa (ZIP) ===
+async function exportFullBackup() {
+  try {
+    showBatchProgress('Generando copia de seguridad...');
+    const { blob, manifest } = await createBackupArchive();
+    const fecha = manifest.createdAt.replace(/[:.]/g, '-');
+    downloadFile(blob, `adhunt3r_backup_${fecha}.zip`, 'application/zip');
+    showMsg(`Copia de seguridad creada: ${manifest.counts.video} videos, ${manifest.counts.ad} anuncios`, 'success');
   } catch (error) {
-    console.error(`Error parseando JSON de ${filename}:`, error);
-    return { success: false, count: 0, skipped: 0 };
+    console.error('[AdHunt3r] Error creando copia de seguridad:', error);
+    showMsg('Error al crear la copia de seguridad', 'error');
+  } finally {
+    hideBatchProgress();
   }
 }
 
@@ -2768,7 +3619,7 @@ function determineItemType(item) {
   
   // Intentar determinar por el contenido de data
   try {
-    const data = JSON.parse(item.data);
+    const data = getItemData(item);
     
     // Si tiene _adhunt3r_data o _adHunt3r, probablemente es un anuncio
     if (data._adhunt3r_data || data._adHunt3r) {
@@ -2832,7 +3683,7 @@ function prepareItemForStorage(item, type) {
       processedItem.adId = videoId;
     }
     
-    return processedItem;
+    return migrateHistoryItem(type, processedItem);
   }
   
   // === ESTRUCTURA ORIGINAL: Formato interno del historial ===
@@ -2852,26 +3703,8 @@ function prepareItemForStorage(item, type) {
     processedItem.adId = item.videoId || item.id || `imported_ad_${Date.now()}`;
   }
   
-  // Validar que el data sea una cadena JSON válida
-  if (processedItem.data && typeof processedItem.data === 'string') {
-    try {
-      JSON.parse(processedItem.data);
-    } catch (error) {
-      console.warn('Data JSON inválido, intentando reparar...');
-      // Intentar reparar el JSON si es necesario
-      processedItem.data = JSON.stringify(processedItem.data);
-    }
-  }
-  
-  // Asegurar que timestamp sea un número
-  if (typeof processedItem.timestamp === 'string') {
-    processedItem.timestamp = parseInt(processedItem.timestamp) || Date.now();
-  }
-  
-  // Asegurar que isFavorite sea un booleano
-  processedItem.isFavorite = Boolean(processedItem.isFavorite);
-  
-  return processedItem;
+  // Timestamp numérico, favorito booleano y data como JSON: lo resuelven las migraciones del esquema
+  return migrateHistoryItem(type, processedItem);
 }
 
 // === Exportación ===
@@ -2896,7 +3729,7 @@ async function exportData(format) {
         if (item.data) {
           try {
             // Parsear el JSON del campo data y exportarlo directamente
-            contenido = JSON.stringify(JSON.parse(item.data), null, 2);
+            contenido = formatItemData(item);
           } catch (e) {
             // Si no se puede parsear, exportar el objeto completo como fallback
             contenido = JSON.stringify(item, null, 2);
@@ -2912,6 +3745,17 @@ async function exportData(format) {
       return;
     }
     
+    // CSV y NDJSON generan un único archivo para toda la selección
+    if (format === 'csv') {
+      await exportToCsv(items);
+      return;
+    }
+    
+    if (format === 'ndjson') {
+      await exportToNdjson(items);
+      return;
+    }
+    
     let content, filename, mimeType;
     switch (format) {
       case 'html':
@@ -2925,10 +3769,197 @@ async function exportData(format) {
     downloadFile(content, filename, mimeType);
     showMsg(`Datos exportados en formato ${format.toUpperCase()}`, 'success');
   } catch (error) {
+    hideBatchProgress();
+    console.warn('[AdHunt3r] Error exportando datos:', error);
     showMsg('Error al exportar datos', 'error');
   }
 }
 
+// === Exportación CSV / NDJSON ===
+const EXPORT_CHUNK_SIZE = 250; // Items procesados antes de ceder el hilo a la UI
+const CSV_COLUMNS_STORAGE_KEY = 'adhunt3r_csv_columns';
+
+// Columnas propias del item del historial (no forman parte del JSON de la API)
+const CSV_META_COLUMNS = {
+  '_type': item => item.type || '',
+  '_id': item => item.adId || item.videoId || '',
+  '_timestamp': item => item.timestamp ? new Date(item.timestamp).toISOString() : '',
+  '_isFavorite': item => item.isFavorite ? 'true' : 'false',
+  '_sourceSite': item => getSourceSite(item),
+  '_embedOrigin': item => item.embedOrigin || ''
+};
+
+function yieldToUI() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function getExportFilename(extension) {
+  const fecha = new Date().toISOString().replace(/[:.]/g, '-');
+  return `adhunt3r_export_${fecha}.${extension}`;
+}
+
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Los textos del anunciante (títulos, descripciones, URLs) no deben interpretarse como fórmulas en una hoja de cálculo
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportToCsv(items) {
+  showBatchProgress('Analizando campos...');
+  await yieldToUI();
+  const headers = [...Object.keys(CSV_META_COLUMNS), ...getAllHeaders(items)];
+  hideBatchProgress();
+  
+  const columns = await openCsvColumnPicker(headers);
+  if (!columns) return;
+  
+  localStorage.setItem(CSV_COLUMNS_STORAGE_KEY, JSON.stringify(columns));
+  
+  // El archivo se construye por partes para no concatenar un único string enorme
+  const parts = ['\uFEFF', columns.map(escapeCsvValue).join(',') + '\r\n'];
+  
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const fields = extractAllFields(item);
+    const row = columns.map(column => {
+      const value = CSV_META_COLUMNS[column] ? CSV_META_COLUMNS[column](item) : fields[column];
+      return escapeCsvValue(value);
+    });
+    parts.push(row.join(',') + '\r\n');
+    
+    if ((i + 1) % EXPORT_CHUNK_SIZE === 0) {
+      showBatchProgress(`Generando CSV... ${i + 1}/${items.length}`);
+      await yieldToUI();
+    }
+  }
+  
+  hideBatchProgress();
+  downloadFile(parts, getExportFilename('csv'), 'text/csv;charset=utf-8');
+  showMsg(`Exportadas ${items.length} consultas a CSV (${columns.length} columnas)`, 'success');
+}
+
+// Una línea JSON por item, con el campo data ya parseado
+async function exportToNdjson(items) {
+  const parts = [];
+  
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    let data = item.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        // Mantener el string original si no es JSON válido
+      }
+    }
+    parts.push(JSON.stringify({ ...item, data }) + '\n');
+    
+    if ((i + 1) % EXPORT_CHUNK_SIZE === 0) {
+      showBatchProgress(`Generando NDJSON... ${i + 1}/${items.length}`);
+      await yieldToUI();
+    }
+  }
+  
+  hideBatchProgress();
+  downloadFile(parts, getExportFilename('ndjson'), 'application/x-ndjson');
+  showMsg(`Exportadas ${items.length} consultas a NDJSON`, 'success');
+}
+
+/**
+ * Muestra el selector de columnas del CSV.
+ * @param {Array<string>} headers - Columnas disponibles
+ * @returns {Promise<Array<string>|null>} Columnas elegidas (en orden) o null si se cancela
+ */
+function openCsvColumnPicker(headers) {
+  const overlay = document.getElementById('csvColumnsOverlay');
+  const list = document.getElementById('csvColumnsList');
+  const search = document.getElementById('csvColumnsSearch');
+  const count = document.getElementById('csvColumnsCount');
+  const selectAllBtn = document.getElementById('csvSelectAllColumns');
+  const selectNoneBtn = document.getElementById('csvSelectNoColumns');
+  const cancelBtn = document.getElementById('csvColumnsCancel');
+  const confirmBtn = document.getElementById('csvColumnsConfirm');
+  
+  if (!overlay || !list) {
+    return Promise.resolve(headers);
+  }
+  
+  // Recordar la última selección; si ninguna columna guardada existe, marcar todas
+  let saved = [];
+  try {
+    saved = JSON.parse(localStorage.getItem(CSV_COLUMNS_STORAGE_KEY) || '[]');
+  } catch (e) {
+    saved = [];
+  }
+  const savedSet = new Set(saved.filter(column => headers.includes(column)));
+  const selected = new Set(savedSet.size > 0 ? savedSet : headers);
+  
+  list.textContent = '';
+  const rows = headers.map(header => {
+    const label = document.createElement('label');
+    label.className = 'csv-column-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = header;
+    checkbox.checked = selected.has(header);
+    const text = document.createElement('span');
+    text.textContent = header;
+    label.append(checkbox, text);
+    list.appendChild(label);
+    return { header, label, checkbox };
+  });
+  
+  const updateCount = () => {
+    const total = rows.filter(row => row.checkbox.checked).length;
+    if (count) count.textContent = `${total}/${headers.length} columnas`;
+    if (confirmBtn) confirmBtn.disabled = total === 0;
+  };
+  
+  const setVisibleChecked = (checked) => {
+    rows.forEach(row => {
+      if (row.label.style.display !== 'none') row.checkbox.checked = checked;
+    });
+    updateCount();
+  };
+  
+  return new Promise(resolve => {
+    const close = (result) => {
+      overlay.style.display = 'none';
+      list.onchange = null;
+      if (search) search.oninput = null;
+      if (selectAllBtn) selectAllBtn.onclick = null;
+      if (selectNoneBtn) selectNoneBtn.onclick = null;
+      if (cancelBtn) cancelBtn.onclick = null;
+      if (confirmBtn) confirmBtn.onclick = null;
+      resolve(result);
+    };
+    
+    list.onchange = updateCount;
+    if (search) {
+      search.value = '';
+      search.oninput = () => {
+        const term = search.value.trim().toLowerCase();
+        rows.forEach(row => {
+          row.label.style.display = !term || row.header.toLowerCase().includes(term) ? '' : 'none';
+        });
+      };
+    }
+    if (selectAllBtn) selectAllBtn.onclick = () => setVisibleChecked(true);
+    if (selectNoneBtn) selectNoneBtn.onclick = () => setVisibleChecked(false);
+    if (cancelBtn) cancelBtn.onclick = () => close(null);
+    if (confirmBtn) {
+      confirmBtn.onclick = () => close(rows.filter(row => row.checkbox.checked).map(row => row.header));
+    }
+    
+    updateCount();
+    overlay.style.display = 'flex';
+    if (search) search.focus();
+  });
+}
+
 function convertToHTML(items) {
   // Crear una estructura moderna con desplegables por sección
   const itemsHtml = items.map((item, index) => {
@@ -3683,28 +4714,13 @@ function formatFieldValue(key, value) {
   
   // === NUEVO: Formatear campos de posición de anuncios ===
   if (key.includes('position')) {
-    const positionMap = {
-      'pre_roll': 'Pre-roll (Inicio del video)',
-      'mid_roll': 'Mid-roll (Durante el video)',
-      'post_roll': 'Post-roll (Final del video)',
-      'unknown': 'Desconocida'
-    };
-    const displayValue = positionMap[value] || value;
+    const displayValue = POSITION_LABELS[value] || value;
     return `<span class="position-badge position-${value}">${displayValue}</span>`;
   }
   
   // === NUEVO: Formatear campos de tipo de anuncio ===
   if (key.includes('type') && (key.includes('adtypeinfo') || key.includes('adInfo'))) {
-    const typeMap = {
-      'skippable': 'Saltable',
-      'non_skippable': 'No saltable',
-      'bumper': 'Bumper',
-      'non_skippable_short': 'No saltable corto',
-      'non_skippable_medium': 'No saltable medio',
-      'non_skippable_long': 'No saltable largo',
-      'unknown': 'Desconocido'
-    };
-    const displayValue = typeMap[value] || value;
+    const displayValue = AD_TYPE_LABELS[value] || value;
     return `<span class="ad-type-badge ad-type-${value}">${displayValue}</span>`;
   }
   
@@ -3760,8 +4776,9 @@ function formatFieldValue(key, value) {
   return value;
 }
 
+// content puede ser un string, un Blob o un array de partes (exportaciones grandes)
 function downloadFile(content, filename, mimeType) {
-  const blob = new Blob([content], { type: mimeType });
+  const blob = content instanceof Blob ? content : new Blob(Array.isArray(content) ? content : [content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -3811,17 +4828,12 @@ function hideBatchProgress() {
   }
 }
 
-function updateHeaderStats(allData) {
-  if (!allData) return;
-  
-  // Contar videos
-  const videoCount = allData.filter(item => item.type === 'video').length;
+function updateHeaderStats(counts) {
+  if (!counts) return;
   
-  // Contar anuncios
-  const adCount = allData.filter(item => item.type === 'ad').length;
-  
-  // Contar favoritos (elementos marcados como favoritos)
-  const favoriteCount = allData.filter(item => item.isFavorite).length;
+  const videoCount = counts.video;
+  const adCount = counts.ad;
+  const favoriteCount = counts.favorites;
   
   const totalVideos = document.getElementById('totalVideos');
   const totalAds = document.getElementById('totalAds');
@@ -3840,20 +4852,8 @@ async function forceUpdateCounters() {
       storageCache.clear();
     }
     
-    // Recargar datos frescos
-    const [videoHistory, adHistory] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad')
-    ]);
-    
-    // Combinar todos los datos
-    const allData = [
-      ...videoHistory.map(item => ({ ...item, type: 'video' })),
-      ...adHistory.map(item => ({ ...item, type: 'ad' }))
-    ];
-    
-    // Actualizar contadores
-    updateHeaderStats(allData);
+    // Actualizar contadores desde los índices de IndexedDB
+    updateHeaderStats(await getHistoryCounts());
   } catch (error) {
     console.error('[AdHunt3r] Error forzando actualización de contadores:', error);
   }
@@ -3882,31 +4882,14 @@ async function removeItemFromFavorites(item) {
 }
 
 async function deleteFromHistory(type, items) {
-  const history = await getHistoryData(type);
-  const idKey = type === 'ad' ? 'adId' : 'videoId';
-  
-  const toRemove = new Set(items.map(item => `${item[idKey]}-${item.timestamp}`));
-  const filtered = history.filter(e => !toRemove.has(`${e[idKey]}-${e.timestamp}`));
-  
-  await storageCache.set(type === 'ad' ? 'ytad_history' : 'ytdata_history', filtered);
-  return filtered;
+  // Borrado por clave en IndexedDB, sin reescribir el historial completo
+  await removeFromHistory(type, items);
 }
 
 // Función para verificar cambios inmediatamente
 async function checkForChangesImmediately() {
   try {
-    const [videoHistory, adHistory] = await Promise.all([
-      getHistoryData('video'),
-      getHistoryData('ad')
-    ]);
-    
-    // Crear hash de los datos actuales
-    const dataString = JSON.stringify([
-      videoHistory.map(item => ({ id: item.videoId, timestamp: item.timestamp })),
-      adHistory.map(item => ({ id: item.adId, timestamp: item.timestamp }))
-    ]);
-    
-    const currentHash = btoa(dataString).substring(0, 32);
+    const currentHash = await getHistorySignature();
     
     if (lastDataHash && lastDataHash !== currentHash) {
       executeWithScrollPreservation(loadAllData);
@@ -3972,7 +4955,8 @@ function extractAllFields(item) {
   // Extraer campos del JSON principal si existe (este es el formato que queremos)
   if (item.data) {
     try {
-      const jsonData = JSON.parse(item.data);
+      const jsonData = getItemData(item);
+      if (!jsonData) throw new Error('JSON inválido');
       const jsonFlattened = flattenJsonObject(jsonData, '');
       Object.assign(fields, jsonFlattened);
     } catch (e) {
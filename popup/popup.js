@@ -76,14 +76,79 @@ function setupIframeExtractionToggle() {
   });
 }
 
+// === [Captura automática de anuncios: Toggle en popup] ===
+function setupAutoCaptureToggle() {
+  chrome.storage.local.get(['autoCaptureEnabled'], (result) => {
+    const autoCaptureToggle = document.getElementById('autoCaptureToggle');
+    if (autoCaptureToggle) {
+      autoCaptureToggle.checked = !!result.autoCaptureEnabled; // Deshabilitado por defecto
+      
+      // El service worker escucha el cambio en storage y captura los anuncios nuevos
+      autoCaptureToggle.addEventListener('change', (e) => {
+        const enabled = e.target.checked;
+        chrome.storage.local.set({ autoCaptureEnabled: enabled });
+        showMsg(enabled ? 'Captura automática de anuncios habilitada' : 'Captura automática de anuncios deshabilitada', 'info');
+      });
+    }
+  });
+}
+
+// === [Anuncios que no son video: Toggle en popup] ===
+function setupDisplayAdDetectionToggle() {
+  chrome.storage.local.get(['displayAdDetectionEnabled'], (result) => {
+    const displayAdDetectionToggle = document.getElementById('displayAdDetectionToggle');
+    if (displayAdDetectionToggle) {
+      displayAdDetectionToggle.checked = !!result.displayAdDetectionEnabled; // Deshabilitado por defecto
+      
+      // El detector de las pestañas abiertas escucha el cambio en storage y empieza o deja de observar
+      displayAdDetectionToggle.addEventListener('change', (e) => {
+        const enabled = e.target.checked;
+        chrome.storage.local.set({ displayAdDetectionEnabled: enabled });
+        showMsg(enabled ? 'Detección de anuncios que no son video habilitada' : 'Detección de anuncios que no son video deshabilitada', 'info');
+      });
+    }
+  });
+}
+
+// === [Modo de reproductores embebidos: Toggle en popup] ===
+const NOCOOKIE_ORIGINS = ['https://www.youtube-nocookie.com/*'];
+
+function setupEmbedModeToggle() {
+  chrome.storage.local.get(['embedModeEnabled'], (result) => {
+    const embedModeToggle = document.getElementById('embedModeToggle');
+    if (embedModeToggle) {
+      embedModeToggle.checked = !!result.embedModeEnabled; // Deshabilitado por defecto
+
+      // El permiso opcional solo se puede pedir durante el gesto del usuario (este evento)
+      embedModeToggle.addEventListener('change', (e) => {
+        const enabled = e.target.checked;
+        if (!enabled) {
+          chrome.storage.local.set({ embedModeEnabled: false });
+          showMsg('Detección en reproductores embebidos deshabilitada', 'info');
+          return;
+        }
+        chrome.permissions.request({ origins: NOCOOKIE_ORIGINS }, (granted) => {
+          // El service worker registra el content-script en los iframes al ver el cambio en storage
+          chrome.storage.local.set({ embedModeEnabled: true });
+          showMsg(granted
+            ? 'Detección en reproductores embebidos habilitada'
+            : 'Detección en reproductores embebidos habilitada (sin youtube-nocookie.com)', 'info');
+        });
+      });
+    }
+  });
+}
+
 // Importar módulos optimizados
 import { saveApiKey, getApiKey } from './api/apiKeyStorage.js';
 import { storageCache, isValidVideoId, cleanStorageByPattern } from './storage/storageManager.js';
+import { formatItemData } from './storage/historySchema.js';
 import { videoHandler, adHandler, checkVideoInHistory, checkAdInHistory } from './utils/dataHandlers.js';
-import { showMsg, updateCounters, toggleSection, updateButtonState, copyToClipboard, clearElement, updateElement, checkCriticalElements, setLoadingState, setSectionLoadingState, initProgressiveUI, batchDOMUpdates, sanitizeText, escapeHtml, validateApiResponse, validateVideoId, sanitizeStorageKey } from './utils/uiHelpers.js';
+import { showMsg, updateCounters, updateStatsSummary, toggleSection, updateButtonState, copyToClipboard, clearElement, updateElement, checkCriticalElements, setLoadingState, setSectionLoadingState, initProgressiveUI, batchDOMUpdates, sanitizeText, escapeHtml, validateApiResponse, validateVideoId, sanitizeStorageKey } from './utils/uiHelpers.js';
 import { queryAndSaveData, getCurrentContextData, checkDataInHistory } from './api/apiManager.js';
 import { debounceUpdate, hasStateChanged, hasAdStateChanged, setAdStateBox, resetAllStates } from './utils/stateManager.js';
 import { checkAndShowStorageAlert, canPerformQuery } from './utils/storageMonitor.js';
+import { getSelectorHealth, getDegradedFields, resetSelectorHealth } from './storage/selectorHealth.js';
 
 // Función optimizada para limpiar datos de depuración
 function clearDebugData() {
@@ -134,6 +199,11 @@ let currentAdTypeInfo = null;
 
 // Función para determinar si estamos en una página de video de YouTube
 function isYouTubeVideoPage(response) {
+  // Shorts y reproductores embebidos: cuentan como página de video si hay un video o un anuncio
+  // (en los embebidos no hay URL /watch ni datos de la página de YouTube)
+  if (response?.surface === 'shorts' || response?.surface === 'embed') {
+    return validateVideoId(response.debug_videoId) || validateVideoId(response.addebug_videoId);
+  }
   // Comprobar si hay una URL que contenga "/watch"
   if (response?.debugInfo?.location?.href) {
     return response.debugInfo.location.href.includes('/watch');
@@ -319,7 +389,7 @@ function handleVideoChange(debug_videoId) {
   // Verificar si el nuevo video está en el historial
   checkVideoInHistory(debug_videoId, (inHistory, existingData) => {
     if (inHistory && existingData?.data) {
-      updateElement('ytdata_pre', existingData.data, true);
+      updateElement('ytdata_pre', formatItemData(existingData), true);
       const copyButton = document.getElementById('copyYtDataBtn');
       if (copyButton) copyButton.style.display = 'inline-block';
       ytDataLoaded = true;
@@ -341,7 +411,7 @@ function handleAdChange(addebug_videoId) {
     checkAdInHistory(addebug_videoId, (inHistory, existingData) => {
       
       if (inHistory && existingData?.data) {
-        updateElement('ytad_pre', existingData.data, true);
+        updateElement('ytad_pre', formatItemData(existingData), true);
         const copyButton = document.getElementById('copyYtAdDataBtn');
         if (copyButton) copyButton.style.display = 'inline-block';
         ytAdDataLoaded = true;
@@ -466,8 +536,9 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
 
-  // Inicializar contadores
+  // Inicializar contadores y el resumen de estadísticas (GET_STATS_RANGE)
   updateCounters();
+  updateStatsSummary();
 
   // Configurar botones optimizados
   setupEventListeners();
@@ -514,6 +585,14 @@ function setupEventListeners() {
     };
   }
 
+  // Botón para abrir el dashboard de estadísticas
+  const openDashboardBtn = document.getElementById('openDashboardBtn');
+  if (openDashboardBtn) {
+    openDashboardBtn.onclick = () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('popup/dashboard/dashboard.html') });
+    };
+  }
+
   // Botón de reset
   setupResetButton();
 }
@@ -586,7 +665,7 @@ async function handleDataQuery(type) {
     // Verificar historial primero
     const historyCheck = await checkDataInHistory(videoId, type);
     if (historyCheck.inHistory && historyCheck.data?.data) {
-      updateElement(preId, historyCheck.data.data, true);
+      updateElement(preId, formatItemData(historyCheck.data), true);
       const copyButton = document.getElementById(isAd ? 'copyYtAdDataBtn' : 'copyYtDataBtn');
       if (copyButton) copyButton.style.display = 'inline-block';
       
@@ -904,10 +983,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     debounce(() => {
     updateCounterDisplay('ad_count_24h', message.count);
     }, 100, 'ad_count_update');
+    debounce(updateStatsSummary, 1000, 'stats_summary_update');
   } else if (message.type === 'VIDEO_COUNT_UPDATED') {
     debounce(() => {
     updateCounterDisplay('video_count_24h', message.count);
     }, 100, 'video_count_update');
+    debounce(updateStatsSummary, 1000, 'stats_summary_update');
   }
 });
 
@@ -983,10 +1064,68 @@ async function checkStorageOnPopupOpen() {
   }
 }
 
+// Aviso cuando los selectores del pack dejan de encontrar algún campo
+async function checkSelectorHealthOnPopupOpen() {
+  const container = document.getElementById('selectorHealthAlert');
+  if (!container) return;
+  
+  try {
+    const degraded = getDegradedFields(await getSelectorHealth());
+    if (degraded.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const alert = document.createElement('div');
+    alert.className = 'storage-alert storage-alert-warning';
+    
+    const header = document.createElement('div');
+    header.className = 'storage-alert-header';
+    const title = document.createElement('span');
+    title.className = 'storage-alert-title';
+    title.textContent = '⚠️ Selectores degradados';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'storage-alert-close';
+    closeBtn.textContent = '✕';
+    closeBtn.setAttribute('aria-label', 'Cerrar aviso');
+    closeBtn.addEventListener('click', () => { container.style.display = 'none'; });
+    header.append(title, closeBtn);
+    
+    const content = document.createElement('div');
+    content.className = 'storage-alert-content';
+    degraded.forEach(field => {
+      const line = document.createElement('p');
+      const lastSuccess = field.lastSuccess ? new Date(field.lastSuccess).toLocaleString() : 'nunca';
+      line.textContent = `${field.key}: ${field.consecutiveMisses} fallos seguidos, último éxito ${lastSuccess}`;
+      content.appendChild(line);
+    });
+    const action = document.createElement('p');
+    action.className = 'storage-alert-action';
+    action.textContent = 'Importa un pack de selectores actualizado desde la configuración del historial';
+    content.appendChild(action);
+    
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'small-btn';
+    resetBtn.textContent = 'Reiniciar estadísticas';
+    resetBtn.addEventListener('click', async () => {
+      await resetSelectorHealth();
+      container.style.display = 'none';
+      showMsg('Estadísticas de selectores reiniciadas', 'info');
+    });
+    
+    alert.append(header, content, resetBtn);
+    container.replaceChildren(alert);
+    container.style.display = 'block';
+  } catch (error) {
+    console.warn('[AdHunt3r] Error verificando la salud de los selectores:', error);
+  }
+}
+
 // Inicialización del popup con verificación de almacenamiento
 document.addEventListener('DOMContentLoaded', async () => {
   // Verificar almacenamiento al abrir el popup
   await checkStorageOnPopupOpen();
+  checkSelectorHealthOnPopupOpen();
   
   // Resto de inicialización...
   setupEventListeners();
@@ -996,6 +1135,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupResetButton();
   setupCopyButtons();
   setupIframeExtractionToggle();
+  setupAutoCaptureToggle();
+  setupDisplayAdDetectionToggle();
+  setupEmbedModeToggle();
   setupColorModeToggle();
   refreshDebugInfoAndUI();
   updateCounters();
@@ -0,0 +1,153 @@
+// Mapa de cortes publicitarios de cada video (IndexedDB)
+// Guarda los puntos de corte programados (respuesta del reproductor y marcas de la barra de progreso)
+// y, por cada visualización, los cortes que llegaron a reproducirse: segundo del video y anuncios del corte
+
+import { withStore, requestToPromise, AD_BREAKS_STORE } from './historyDB.js';
+
+const MAX_VIEWS_PER_VIDEO = 10;
+const MAX_CUE_POINTS = 50;
+const MAX_ADS_PER_BREAK = 10;
+const CUE_MERGE_TOLERANCE_SEC = 2;
+
+const POSITIONS = ['pre_roll', 'mid_roll', 'post_roll', 'unknown'];
+const CUE_SOURCES = ['player-response', 'progress-bar'];
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const POD_ID_PATTERN = /^[\w-]{1,40}$/;
+
+function toSeconds(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+function toPosition(value) {
+  return POSITIONS.includes(value) ? value : 'unknown';
+}
+
+// El mapa llega desde la página: se normaliza antes de guardarlo
+function sanitizeCuePoint(cue) {
+  if (!cue || typeof cue !== 'object') return null;
+  const offsetSec = toSeconds(cue.offsetSec);
+  if (offsetSec === null) return null;
+  return {
+    offsetSec,
+    position: toPosition(cue.position),
+    sources: Array.isArray(cue.sources) ? CUE_SOURCES.filter(source => cue.sources.includes(source)) : [],
+    scheduledAds: Number.isInteger(cue.scheduledAds) && cue.scheduledAds > 0 ? cue.scheduledAds : null
+  };
+}
+
+function sanitizeBreak(adBreak) {
+  if (!adBreak || typeof adBreak !== 'object') return null;
+  const offsetSec = toSeconds(adBreak.offsetSec);
+  if (offsetSec === null) return null;
+  const adIds = Array.isArray(adBreak.adIds)
+    ? [...new Set(adBreak.adIds.filter(adId => typeof adId === 'string' && VIDEO_ID_PATTERN.test(adId)))]
+    : [];
+  const podSize = Number.isInteger(adBreak.podSize) && adBreak.podSize > 0 ? Math.min(adBreak.podSize, MAX_ADS_PER_BREAK) : null;
+  return {
+    podId: typeof adBreak.podId === 'string' && POD_ID_PATTERN.test(adBreak.podId) ? adBreak.podId : null,
+    offsetSec,
+    position: toPosition(adBreak.position),
+    cueOffsetSec: toSeconds(adBreak.cueOffsetSec),
+    startedAt: Number.isFinite(adBreak.startedAt) && adBreak.startedAt > 0 ? adBreak.startedAt : Date.now(),
+    adIds: adIds.slice(0, MAX_ADS_PER_BREAK),
+    adCount: Math.min(Math.max(Number.isInteger(adBreak.adCount) ? adBreak.adCount : 0, adIds.length), MAX_ADS_PER_BREAK),
+    podSize
+  };
+}
+
+// Unir puntos de corte de varias visualizaciones (el mismo corte puede variar algún segundo)
+function mergeCuePoints(existing, incoming) {
+  const merged = existing.map(cue => ({ ...cue, sources: [...cue.sources] }));
+  incoming.forEach(cue => {
+    const match = merged.find(current =>
+      current.position === cue.position && Math.abs(current.offsetSec - cue.offsetSec) <= CUE_MERGE_TOLERANCE_SEC
+    );
+    if (!match) {
+      merged.push(cue);
+      return;
+    }
+    cue.sources.forEach(source => {
+      if (!match.sources.includes(source)) match.sources.push(source);
+    });
+    if (cue.scheduledAds) match.scheduledAds = Math.max(match.scheduledAds || 0, cue.scheduledAds);
+  });
+  return merged.sort((a, b) => sortOffset(a.offsetSec) - sortOffset(b.offsetSec)).slice(0, MAX_CUE_POINTS);
+}
+
+// El post-roll (-1) va al final de la línea temporal
+function sortOffset(offsetSec) {
+  return offsetSec < 0 ? Number.MAX_SAFE_INTEGER : offsetSec;
+}
+
+/**
+ * Guarda el mapa de cortes de una visualización.
+ * @param {Object} map - { videoId, viewId, duration, cuePoints: [{offsetSec, position, sources, scheduledAds}],
+ *                         breaks: [{podId, offsetSec, position, cueOffsetSec, startedAt, adIds, adCount, podSize}] }
+ * @returns {Promise<Object|null>} Registro guardado (null si el mapa no es válido)
+ */
+export function recordAdBreakMap(map, timestamp = Date.now()) {
+  if (!map || typeof map.videoId !== 'string' || !VIDEO_ID_PATTERN.test(map.videoId)) {
+    return Promise.resolve(null);
+  }
+
+  const cuePoints = (Array.isArray(map.cuePoints) ? map.cuePoints : []).map(sanitizeCuePoint).filter(Boolean);
+  const breaks = (Array.isArray(map.breaks) ? map.breaks : []).map(sanitizeBreak).filter(Boolean);
+  if (cuePoints.length === 0 && breaks.length === 0) return Promise.resolve(null);
+
+  return withStore('readwrite', async store => {
+    const record = await requestToPromise(store.get(map.videoId)) || {
+      videoId: map.videoId,
+      duration: 0,
+      cuePoints: [],
+      views: [],
+      updatedAt: 0
+    };
+
+    const duration = toSeconds(map.duration);
+    if (duration > 0) record.duration = duration;
+    record.cuePoints = mergeCuePoints(record.cuePoints, cuePoints);
+
+    // Cada visualización sustituye su propia entrada (el inject.js envía el mapa completo)
+    if (breaks.length > 0) {
+      const viewId = typeof map.viewId === 'string' ? map.viewId : String(timestamp);
+      const view = { viewId, startedAt: breaks[0].startedAt, breaks };
+      const index = record.views.findIndex(existing => existing.viewId === viewId);
+      if (index >= 0) record.views[index] = view;
+      else record.views.push(view);
+      record.views = record.views.sort((a, b) => a.startedAt - b.startedAt).slice(-MAX_VIEWS_PER_VIDEO);
+    }
+
+    record.updatedAt = timestamp;
+    store.put(record);
+    return record;
+  }, AD_BREAKS_STORE);
+}
+
+/**
+ * Restaura los mapas de una copia de seguridad: cada visualización pasa por recordAdBreakMap
+ * (misma validación y fusión de puntos de corte; las visualizaciones ya guardadas se sustituyen por viewId)
+ * @param {Array<Object>} records - Registros de AD_BREAKS_STORE ({ videoId, duration, cuePoints, views, updatedAt })
+ * @returns {Promise<number>} Videos restaurados
+ */
+export async function restoreAdBreakMaps(records) {
+  let restored = 0;
+  for (const record of Array.isArray(records) ? records : []) {
+    if (!record || typeof record !== 'object') continue;
+    const timestamp = Number.isFinite(record.updatedAt) && record.updatedAt > 0 ? record.updatedAt : Date.now();
+    const base = { videoId: record.videoId, duration: record.duration, cuePoints: record.cuePoints };
+    const views = (Array.isArray(record.views) ? record.views : []).slice(-MAX_VIEWS_PER_VIDEO);
+    let saved = views.length === 0 ? await recordAdBreakMap(base, timestamp) : null;
+    for (const view of views) {
+      if (!view || !Array.isArray(view.breaks)) continue;
+      saved = await recordAdBreakMap({ ...base, viewId: view.viewId, breaks: view.breaks }, timestamp) || saved;
+    }
+    if (saved) restored++;
+  }
+  return restored;
+}
+
+export function getAdBreakMap(videoId) {
+  if (!videoId) return Promise.resolve(null);
+  return withStore('readonly', store => requestToPromise(store.get(videoId)), AD_BREAKS_STORE)
+    .then(record => record || null);
+}
@@ -0,0 +1,282 @@
+// Módulo de copia de seguridad completa del historial
+// Empaqueta historial, favoritos, configuración, contadores, impresiones, estadísticas, mapas de cortes
+// y línea temporal de sesiones en un único ZIP con manifest.json
+
+import { queryHistory, withStore, requestToPromise, IMPRESSIONS_STORE, STATS_STORE, AD_BREAKS_STORE, TIMELINE_STORE } from './historyDB.js';
+import { restoreImpressions } from './impressionLog.js';
+import { restoreStatsBuckets } from './statsStore.js';
+import { restoreAdBreakMaps } from './adBreakMap.js';
+import { restoreTimelineEvents } from './sessionTimeline.js';
+import { findHistoryItem, markAsFavorite } from './storageManager.js';
+import { createZip, readZip, zipEntryToText } from '../utils/zipArchive.js';
+import { SELECTOR_PACK_KEY, validateSelectorPack } from './selectorPack.js';
+
+export const BACKUP_FORMAT = 'adhunt3r-backup';
+// v2: impresiones, estadísticas, mapas de cortes y línea temporal (las copias v1 no los incluyen)
+export const BACKUP_SCHEMA_VERSION = 2;
+
+const BACKUP_FILES = {
+  manifest: 'manifest.json',
+  videos: 'history/videos.json',
+  ads: 'history/ads.json',
+  favorites: 'favorites.json',
+  settings: 'settings.json',
+  counters: 'counters.json',
+  impressions: 'data/impressions.json',
+  stats: 'data/stats.json',
+  adBreaks: 'data/adBreaks.json',
+  timeline: 'data/timeline.json'
+};
+
+// Stores de IndexedDB que se copian completos, con su función de restauración (validan cada registro
+// igual que al guardarlo y no duplican lo que ya existe)
+const BACKUP_STORES = {
+  impressions: { storeName: IMPRESSIONS_STORE, restore: restoreImpressions },
+  stats: { storeName: STATS_STORE, restore: restoreStatsBuckets },
+  adBreaks: { storeName: AD_BREAKS_STORE, restore: restoreAdBreakMaps },
+  timeline: { storeName: TIMELINE_STORE, restore: restoreTimelineEvents }
+};
+
+// Configuración incluida en la copia. No se exportan la API key (seguridad), las preferencias de la
+// página guardadas en localStorage (tema, vista, columnas CSV) ni el permiso de youtube-nocookie.com,
+// que el usuario tiene que volver a conceder
+const BACKUP_BOOLEAN_SETTINGS = [
+  'iframeExtractionEnabled', 'autoCaptureEnabled', 'historyCompressionEnabled', 'embedModeEnabled', 'displayAdDetectionEnabled'
+];
+const BACKUP_SETTINGS_KEYS = [...BACKUP_BOOLEAN_SETTINGS, SELECTOR_PACK_KEY];
+const BACKUP_COUNTER_KEYS = ['adTimestamps', 'videoTimestamps'];
+// Campo que identifica cada entrada de los contadores: adTimestamps [{adId, timestamp, adTypeInfo}],
+// videoTimestamps [{videoId, timestamp}]
+const COUNTER_ID_FIELDS = {
+  adTimestamps: 'adId',
+  videoTimestamps: 'videoId'
+};
+
+function readLocalStorage(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(keys, resolve);
+  });
+}
+
+function writeLocalStorage(values) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(values, resolve);
+  });
+}
+
+function readStore(storeName) {
+  return withStore('readonly', store => requestToPromise(store.getAll()), storeName).then(records => records || []);
+}
+
+function getExtensionVersion() {
+  try {
+    return chrome.runtime.getManifest().version;
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+// === [EXPORTACIÓN] ===
+/**
+ * Genera el ZIP de copia de seguridad.
+ * @returns {Promise<{blob: Blob, manifest: Object}>}
+ */
+export async function createBackupArchive() {
+  const [videos, ads, stored] = await Promise.all([
+    queryHistory({ type: 'video' }),
+    queryHistory({ type: 'ad' }),
+    readLocalStorage([...BACKUP_SETTINGS_KEYS, ...BACKUP_COUNTER_KEYS])
+  ]);
+
+  const storeData = {};
+  for (const [name, { storeName }] of Object.entries(BACKUP_STORES)) {
+    storeData[name] = await readStore(storeName);
+  }
+
+  const favorites = [
+    ...videos.filter(item => item.isFavorite).map(item => ({ type: 'video', id: item.videoId })),
+    ...ads.filter(item => item.isFavorite).map(item => ({ type: 'ad', id: item.adId }))
+  ];
+
+  const settings = {};
+  BACKUP_SETTINGS_KEYS.forEach(key => {
+    if (stored[key] !== undefined) settings[key] = stored[key];
+  });
+
+  const counters = {};
+  BACKUP_COUNTER_KEYS.forEach(key => {
+    counters[key] = Array.isArray(stored[key]) ? stored[key] : [];
+  });
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    extensionVersion: getExtensionVersion(),
+    createdAt: new Date().toISOString(),
+    counts: {
+      video: videos.length,
+      ad: ads.length,
+      favorites: favorites.length,
+      adTimestamps: counters.adTimestamps.length,
+      videoTimestamps: counters.videoTimestamps.length,
+      ...Object.fromEntries(Object.entries(storeData).map(([name, records]) => [name, records.length]))
+    },
+    files: Object.values(BACKUP_FILES)
+  };
+
+  const blob = await createZip([
+    { name: BACKUP_FILES.manifest, content: JSON.stringify(manifest, null, 2) },
+    { name: BACKUP_FILES.videos, content: JSON.stringify(videos) },
+    { name: BACKUP_FILES.ads, content: JSON.stringify(ads) },
+    { name: BACKUP_FILES.favorites, content: JSON.stringify(favorites) },
+    { name: BACKUP_FILES.settings, content: JSON.stringify(settings, null, 2) },
+    { name: BACKUP_FILES.counters, content: JSON.stringify(counters) },
+    ...Object.entries(storeData).map(([name, records]) => ({ name: BACKUP_FILES[name], content: JSON.stringify(records) }))
+  ]);
+
+  return { blob, manifest };
+}
+
+// === [VALIDACIÓN] ===
+/**
+ * Valida el manifest y que el contenido coincida con los contadores declarados.
+ * @throws {Error} Con el motivo si la copia no es válida
+ */
+export function validateBackup(backup) {
+  const { manifest } = backup;
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new Error('El ZIP no es una copia de seguridad de AdHunt3r');
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+    throw new Error('Versión de esquema inválida en el manifest');
+  }
+  if (manifest.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`La copia usa el esquema v${manifest.schemaVersion}; actualiza la extensión para restaurarla`);
+  }
+  if (!Array.isArray(backup.videos) || !Array.isArray(backup.ads)) {
+    throw new Error('Faltan los archivos de historial en la copia');
+  }
+
+  const counts = manifest.counts || {};
+  if (counts.video !== backup.videos.length || counts.ad !== backup.ads.length) {
+    throw new Error('El número de elementos no coincide con el manifest (copia incompleta o modificada)');
+  }
+
+  // Copias v2: cada store declarado en el manifest tiene que estar completo
+  Object.keys(BACKUP_STORES).forEach(name => {
+    if (counts[name] === undefined) return;
+    if (!Array.isArray(backup[name]) || backup[name].length !== counts[name]) {
+      throw new Error(`${BACKUP_FILES[name]} no coincide con el manifest (copia incompleta o modificada)`);
+    }
+  });
+  return true;
+}
+
+// === [IMPORTACIÓN] ===
+function parseEntry(entries, name, fallback) {
+  const text = zipEntryToText(entries.get(name));
+  if (text === null) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`JSON inválido en ${name}`);
+  }
+}
+
+/**
+ * Lee y valida un ZIP de copia de seguridad.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<{manifest, videos, ads, favorites, settings, counters, impressions, stats, adBreaks, timeline}>}
+ */
+export async function readBackupArchive(buffer) {
+  const entries = await readZip(buffer);
+  if (!entries.has(BACKUP_FILES.manifest)) {
+    throw new Error('La copia no contiene manifest.json');
+  }
+
+  const backup = {
+    manifest: parseEntry(entries, BACKUP_FILES.manifest, null),
+    videos: parseEntry(entries, BACKUP_FILES.videos, null),
+    ads: parseEntry(entries, BACKUP_FILES.ads, null),
+    favorites: parseEntry(entries, BACKUP_FILES.favorites, []),
+    settings: parseEntry(entries, BACKUP_FILES.settings, {}),
+    counters: parseEntry(entries, BACKUP_FILES.counters, {})
+  };
+  Object.keys(BACKUP_STORES).forEach(name => {
+    backup[name] = parseEntry(entries, BACKUP_FILES[name], []);
+  });
+
+  validateBackup(backup);
+  return backup;
+}
+
+function isCounterEntry(entry, idField) {
+  return !!entry && typeof entry === 'object' && typeof entry[idField] === 'string' && Number.isFinite(entry.timestamp);
+}
+
+// Unir entradas por id + timestamp (se conserva la existente) y ordenarlas por fecha
+function mergeCounterEntries(current, imported, idField) {
+  const merged = new Map();
+  [...current, ...imported].forEach(entry => {
+    if (!isCounterEntry(entry, idField)) return;
+    const key = `${entry[idField]}:${entry.timestamp}`;
+    if (!merged.has(key)) merged.set(key, entry);
+  });
+  return Array.from(merged.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Restaurar configuración conocida y fusionar contadores (sin duplicar entradas)
+export async function restoreBackupSettings(backup) {
+  const values = {};
+  BACKUP_BOOLEAN_SETTINGS.forEach(key => {
+    if (typeof backup.settings?.[key] === 'boolean') values[key] = backup.settings[key];
+  });
+
+  // El pack de selectores se valida igual que al importarlo desde la configuración
+  if (backup.settings?.[SELECTOR_PACK_KEY]) {
+    try {
+      values[SELECTOR_PACK_KEY] = validateSelectorPack(backup.settings[SELECTOR_PACK_KEY]).pack;
+    } catch (error) {
+      console.warn('[AdHunt3r] Pack de selectores de la copia ignorado:', error.message);
+    }
+  }
+
+  const stored = await readLocalStorage(BACKUP_COUNTER_KEYS);
+  BACKUP_COUNTER_KEYS.forEach(key => {
+    const imported = Array.isArray(backup.counters?.[key]) ? backup.counters[key] : [];
+    if (imported.length === 0) return;
+    const current = Array.isArray(stored[key]) ? stored[key] : [];
+    values[key] = mergeCounterEntries(current, imported, COUNTER_ID_FIELDS[key]);
+  });
+
+  if (Object.keys(values).length > 0) {
+    await writeLocalStorage(values);
+  }
+  return Object.keys(values);
+}
+
+/**
+ * Restaura impresiones, estadísticas, mapas de cortes y línea temporal (las copias v1 no los traen).
+ * @returns {Promise<Object>} Registros añadidos por store
+ */
+export async function restoreBackupStores(backup) {
+  const restored = {};
+  for (const [name, { restore }] of Object.entries(BACKUP_STORES)) {
+    restored[name] = await restore(Array.isArray(backup[name]) ? backup[name] : []);
+  }
+  return restored;
+}
+
+// Marcar como favoritos los elementos que lo eran en la copia (incluidos los que ya existían)
+export async function restoreBackupFavorites(backup) {
+  let restored = 0;
+  for (const favorite of backup.favorites || []) {
+    if (!favorite || (favorite.type !== 'video' && favorite.type !== 'ad') || !favorite.id) continue;
+    const existing = await findHistoryItem(favorite.type, favorite.id);
+    if (existing && !existing.isFavorite) {
+      await markAsFavorite({ ...existing, type: favorite.type });
+      restored++;
+    }
+  }
+  return restored;
+}
@@ -0,0 +1,487 @@
+// Módulo de historial basado en IndexedDB
+// Sustituye a los arrays ytad_history / ytdata_history de chrome.storage.local
+// para evitar reescribir todo el historial en cada guardado y el límite de 5MB
+
+import { HISTORY_SCHEMA_VERSION, getIdKey, needsSchemaMigration, migrateHistoryItem, validateHistoryItem } from './historySchema.js';
+
+const DB_NAME = 'adhunt3r_history';
+const DB_VERSION = 5;
+const STORE_NAME = 'history';
+export const IMPRESSIONS_STORE = 'impressions'; // v2: log de impresiones de anuncios
+export const STATS_STORE = 'stats';             // v3: estadísticas agregadas por hora/día
+export const AD_BREAKS_STORE = 'adBreaks';      // v4: mapa de cortes publicitarios por video
+export const TIMELINE_STORE = 'timeline';       // v5: línea temporal por sesión de navegación
+
+// Claves antiguas de chrome.storage.local (solo para la migración)
+const LEGACY_KEYS = {
+  video: 'ytdata_history',
+  ad: 'ytad_history'
+};
+const MIGRATION_FLAG = 'historyMigratedToIndexedDB';
+const SCHEMA_VERSION_KEY = 'historySchemaVersion';
+const COMPRESSION_KEY = 'historyCompressionEnabled'; // Opcional: comprimir data con gzip
+
+let dbPromise = null;
+let migrationPromise = null;
+
+// === [APERTURA Y ESQUEMA] ===
+export function openHistoryDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'historyKey' });
+        store.createIndex('type', 'type');
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('type_timestamp', ['type', 'timestamp']);
+        store.createIndex('advertiser', 'advertiser');
+        store.createIndex('channelId', 'channelId');
+        store.createIndex('adType', 'adType');
+        store.createIndex('favorite', 'favorite');
+      }
+      
+      // v2: cada vez que se muestra un anuncio, enlazado al creativo por adId
+      if (!db.objectStoreNames.contains(IMPRESSIONS_STORE)) {
+        const impressions = db.createObjectStore(IMPRESSIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        impressions.createIndex('adId', 'adId');
+        impressions.createIndex('hostVideoId', 'hostVideoId');
+        impressions.createIndex('timestamp', 'timestamp');
+      }
+      
+      // v3: buckets agregados, clave [granularity, start] para consultas por rango
+      if (!db.objectStoreNames.contains(STATS_STORE)) {
+        db.createObjectStore(STATS_STORE, { keyPath: ['granularity', 'start'] });
+      }
+      
+      // v4: puntos de corte y cortes reproducidos, uno por debug_videoId
+      if (!db.objectStoreNames.contains(AD_BREAKS_STORE)) {
+        db.createObjectStore(AD_BREAKS_STORE, { keyPath: 'videoId' });
+      }
+      
+      // v5: eventos de la sesión (videos, cortes, anuncios, pestañas cerradas) en orden de llegada
+      if (!db.objectStoreNames.contains(TIMELINE_STORE)) {
+        const timeline = db.createObjectStore(TIMELINE_STORE, { keyPath: 'id', autoIncrement: true });
+        timeline.createIndex('sessionId', 'sessionId');
+        timeline.createIndex('timestamp', 'timestamp');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Ejecutar una operación sobre el store y resolver al completar la transacción
+export function withStore(mode, operation, storeName = STORE_NAME) {
+  return openHistoryDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    let result;
+
+    Promise.resolve(operation(store)).then(value => { result = value; });
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// === [CONVERSIÓN ITEM <-> REGISTRO] ===
+function makeHistoryKey(type, id) {
+  return `${type}:${id}`;
+}
+
+function parseItemData(item) {
+  if (!item?.data) return null;
+  if (typeof item.data === 'object') return item.data;
+  try {
+    return JSON.parse(item.data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Extraer los campos indexados a partir del item del historial
+function toRecord(type, item) {
+  const data = parseItemData(item);
+  const adData = data?._adhunt3r_data || item.adTypeInfo?._adhunt3r_data || null;
+  const adtypeinfo = adData?.adtypeinfo || item.adTypeInfo || null;
+  const sponsorinfo = adData?.sponsorinfo || null;
+
+  const record = {
+    historyKey: makeHistoryKey(type, item[getIdKey(type)]),
+    type,
+    timestamp: item.timestamp || Date.now(),
+    favorite: item.isFavorite ? 1 : 0, // IndexedDB no indexa booleanos
+    size: typeof item.data === 'string' ? item.data.length : JSON.stringify(item.data ?? '').length,
+    item
+  };
+
+  const channelId = data?.items?.[0]?.snippet?.channelId;
+  if (channelId) record.channelId = channelId;
+
+  if (type === 'ad') {
+    const advertiser = sponsorinfo?.anunciante || adtypeinfo?.advertiserText || adData?.displayad?.advertiser || item.info?.channelTitle;
+    if (advertiser) record.advertiser = advertiser;
+
+    if (adtypeinfo?.type) record.adType = adtypeinfo.type;
+    if (item.adKind) record.adKind = item.adKind;
+  }
+
+  return record;
+}
+
+// === [COMPRESIÓN OPCIONAL DE data] ===
+// El registro guarda dataCompressed (gzip del JSON) en lugar de data; los índices se calculan antes
+function isCompressionEnabled() {
+  if (typeof CompressionStream === 'undefined') return Promise.resolve(false);
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [COMPRESSION_KEY]: false }, (result) => resolve(Boolean(result[COMPRESSION_KEY])));
+  });
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function compressRecord(record) {
+  const json = JSON.stringify(record.item.data ?? null);
+  const compressed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('gzip'));
+  const { data, ...item } = record.item;
+  return { ...record, size: compressed.byteLength, item: { ...item, dataCompressed: compressed } };
+}
+
+async function decodeStoredItem(item) {
+  if (!item?.dataCompressed) return item;
+  const bytes = await pipeBytes(item.dataCompressed, new DecompressionStream('gzip'));
+  const { dataCompressed, ...rest } = item;
+  return { ...rest, data: JSON.parse(new TextDecoder().decode(bytes)) };
+}
+
+// === [MIGRACIÓN DESDE chrome.storage.local] ===
+// Los items que no pasan la validación se conservan sin versión para no perder datos
+function upgradeLegacyItem(type, item) {
+  const migrated = migrateHistoryItem(type, item);
+  return validateHistoryItem(type, migrated).length === 0 ? migrated : item;
+}
+
+function readLegacyHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([MIGRATION_FLAG, LEGACY_KEYS.video, LEGACY_KEYS.ad], resolve);
+  });
+}
+
+/**
+ * Migra una sola vez los arrays de chrome.storage.local a IndexedDB.
+ * Las claves antiguas se eliminan al terminar para liberar espacio.
+ * @returns {Promise<void>}
+ */
+export function ensureHistoryMigrated() {
+  if (migrationPromise) return migrationPromise;
+
+  migrationPromise = readLegacyHistory().then(async (stored) => {
+    if (stored[MIGRATION_FLAG]) return;
+
+    const videos = Array.isArray(stored[LEGACY_KEYS.video]) ? stored[LEGACY_KEYS.video] : [];
+    const ads = Array.isArray(stored[LEGACY_KEYS.ad]) ? stored[LEGACY_KEYS.ad] : [];
+
+    await withStore('readwrite', (store) => {
+      videos.filter(item => item?.videoId).forEach(item => store.put(toRecord('video', upgradeLegacyItem('video', item))));
+      ads.filter(item => item?.adId).forEach(item => store.put(toRecord('ad', upgradeLegacyItem('ad', item))));
+    });
+
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [MIGRATION_FLAG]: true }, () => {
+        chrome.storage.local.remove([LEGACY_KEYS.video, LEGACY_KEYS.ad], resolve);
+      });
+    });
+
+    console.log(`[AdHunt3r] Historial migrado a IndexedDB: ${videos.length} videos, ${ads.length} anuncios`);
+  }).catch(error => {
+    migrationPromise = null;
+    console.error('[AdHunt3r] Error migrando historial a IndexedDB:', error);
+  });
+
+  return migrationPromise;
+}
+
+// === [MIGRACIÓN DE ESQUEMA] ===
+const MIGRATION_BATCH_SIZE = 100;
+
+// Migrar y validar el item con data decodificada (los índices se calculan a partir de data)
+// y volver a comprimirlo si estaba comprimido
+async function migrateStoredRecord(record) {
+  const item = await decodeStoredItem(record.item);
+  const migrated = migrateHistoryItem(record.type, item);
+  const errors = validateHistoryItem(record.type, migrated);
+  if (errors.length > 0) return { errors };
+  const updated = toRecord(record.type, migrated);
+  return { record: record.item.dataCompressed ? await compressRecord(updated) : updated };
+}
+
+function getOutdatedHistoryKeys() {
+  return withStore('readonly', store => new Promise((resolve, reject) => {
+    const keys = [];
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(keys);
+        return;
+      }
+      if (needsSchemaMigration(cursor.value.item)) keys.push(cursor.value.historyKey);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+/**
+ * Actualiza al esquema actual los items guardados con una versión anterior.
+ * Los que no pasan la validación tras migrar se dejan como estaban y se contabilizan.
+ * La descompresión es asíncrona y cerraría la transacción: se lee, migra y escribe por lotes
+ * @returns {Promise<{migrated: number, invalid: number, skipped: boolean}>}
+ */
+export async function migrateHistorySchema() {
+  await ensureHistoryMigrated();
+
+  const stored = await new Promise((resolve) => {
+    chrome.storage.local.get([SCHEMA_VERSION_KEY], resolve);
+  });
+  if (stored[SCHEMA_VERSION_KEY] >= HISTORY_SCHEMA_VERSION) {
+    return { migrated: 0, invalid: 0, skipped: true };
+  }
+
+  const result = { migrated: 0, invalid: 0, skipped: false };
+  const keys = await getOutdatedHistoryKeys();
+
+  for (let i = 0; i < keys.length; i += MIGRATION_BATCH_SIZE) {
+    const batch = keys.slice(i, i + MIGRATION_BATCH_SIZE);
+    const records = await withStore('readonly', store =>
+      Promise.all(batch.map(key => requestToPromise(store.get(key))))
+    );
+
+    const updates = [];
+    for (const record of records) {
+      if (!record || !needsSchemaMigration(record.item)) continue;
+      try {
+        const { record: updated, errors } = await migrateStoredRecord(record);
+        if (updated) {
+          updates.push(updated);
+        } else {
+          console.warn(`[AdHunt3r] Item ${record.historyKey} no migrado:`, errors.join(', '));
+          result.invalid++;
+        }
+      } catch (error) {
+        console.warn(`[AdHunt3r] Item ${record.historyKey} no migrado:`, error.message);
+        result.invalid++;
+      }
+    }
+
+    // Solo se sobrescriben los que siguen sin migrar (un guardado entre lotes ya usa el esquema actual)
+    await withStore('readwrite', store => Promise.all(updates.map(async updated => {
+      const current = await requestToPromise(store.get(updated.historyKey));
+      if (current && needsSchemaMigration(current.item)) {
+        store.put(updated);
+        result.migrated++;
+      }
+    })));
+  }
+
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: HISTORY_SCHEMA_VERSION }, resolve);
+  });
+
+  return result;
+}
+
+// === [ESCRITURA] ===
+export async function putHistoryItem(type, item) {
+  await ensureHistoryMigrated();
+  let record = toRecord(type, item);
+  // Comprimir fuera de la transacción (una transacción sin peticiones pendientes se cierra sola)
+  if (await isCompressionEnabled()) {
+    record = await compressRecord(record);
+  }
+  return withStore('readwrite', store => {
+    store.put(record);
+  });
+}
+
+export async function deleteHistoryItems(type, items) {
+  await ensureHistoryMigrated();
+  const idKey = getIdKey(type);
+  return withStore('readwrite', store => {
+    items.forEach(item => store.delete(makeHistoryKey(type, item[idKey])));
+  });
+}
+
+// === [LECTURA] ===
+export async function getHistoryItem(type, id) {
+  await ensureHistoryMigrated();
+  const record = await withStore('readonly', store => requestToPromise(store.get(makeHistoryKey(type, id))));
+  return record ? decodeStoredItem(record.item) : null;
+}
+
+// Elegir el índice y rango más selectivo para la consulta
+function selectIndexRange(store, query) {
+  if (query.advertiser) return { source: store.index('advertiser'), range: IDBKeyRange.only(query.advertiser) };
+  if (query.channelId) return { source: store.index('channelId'), range: IDBKeyRange.only(query.channelId) };
+  if (query.adType) return { source: store.index('adType'), range: IDBKeyRange.only(query.adType) };
+  if (query.favorite) return { source: store.index('favorite'), range: IDBKeyRange.only(1) };
+  return selectTimestampRange(store, query);
+}
+
+// Índice ordenado por fecha: al paginar, el orden del cursor tiene que ser el de la lista
+function selectTimestampRange(store, query) {
+  const since = query.since || 0;
+  if (query.type) {
+    return {
+      source: store.index('type_timestamp'),
+      range: IDBKeyRange.bound([query.type, since], [query.type, Infinity])
+    };
+  }
+  return { source: store.index('timestamp'), range: since ? IDBKeyRange.lowerBound(since) : null };
+}
+
+// Filtros residuales no cubiertos por el índice elegido
+function matchesHistoryQuery(record, query) {
+  return (!query.type || record.type === query.type) &&
+    (!query.since || record.timestamp >= query.since) &&
+    (!query.favorite || record.favorite === 1) &&
+    (!query.advertiser || record.advertiser === query.advertiser) &&
+    (!query.channelId || record.channelId === query.channelId) &&
+    (!query.adType || record.adType === query.adType) &&
+    (!query.adKinds || query.adKinds.includes(record.adKind || 'instream'));
+}
+
+/**
+ * Consulta el historial usando los índices de IndexedDB.
+ * Con limit se pagina con el cursor: se saltan los offset primeros resultados y se para al completar
+ * la página, así que solo se cargan y decodifican los items de esa página
+ * @param {Object} query - { type, since, advertiser, channelId, adType, adKinds, favorite, offset, limit }
+ * @returns {Promise<Array>} Items ordenados por timestamp (más reciente primero)
+ */
+export async function queryHistory(query = {}) {
+  await ensureHistoryMigrated();
+  const limit = Number.isInteger(query.limit) && query.limit > 0 ? query.limit : null;
+  const offset = limit && Number.isInteger(query.offset) && query.offset > 0 ? query.offset : 0;
+
+  const records = await withStore('readonly', store => new Promise((resolve, reject) => {
+    const { source, range } = limit ? selectTimestampRange(store, query) : selectIndexRange(store, query);
+    const results = [];
+    let skipped = 0;
+    const request = source.openCursor(range, 'prev');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(results);
+        return;
+      }
+      const record = cursor.value;
+      if (matchesHistoryQuery(record, query)) {
+        if (skipped < offset) {
+          skipped++;
+        } else {
+          results.push(record);
+          if (limit && results.length >= limit) {
+            resolve(results);
+            return;
+          }
+        }
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+
+  return Promise.all(records
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .map(record => decodeStoredItem(record.item)));
+}
+
+// Contadores del historial sin cargar los items en memoria
+export async function getHistoryCounts() {
+  await ensureHistoryMigrated();
+  return withStore('readonly', async store => {
+    const [video, ad, favorites] = await Promise.all([
+      requestToPromise(store.index('type').count('video')),
+      requestToPromise(store.index('type').count('ad')),
+      requestToPromise(store.index('favorite').count(1))
+    ]);
+    return { video, ad, favorites, total: video + ad };
+  });
+}
+
+// Tamaño aproximado (bytes del JSON) de los datos por tipo
+export async function getHistorySizes() {
+  await ensureHistoryMigrated();
+  return withStore('readonly', store => new Promise((resolve, reject) => {
+    const sizes = { video: 0, ad: 0 };
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(sizes);
+        return;
+      }
+      sizes[cursor.value.type] = (sizes[cursor.value.type] || 0) + (cursor.value.size || 0);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+// Anunciantes con más anuncios guardados desde una fecha (campo advertiser del registro)
+export async function getAdvertiserCounts({ since = 0, limit = 10 } = {}) {
+  await ensureHistoryMigrated();
+  const counts = await withStore('readonly', store => new Promise((resolve, reject) => {
+    const result = {};
+    const range = IDBKeyRange.bound(['ad', since], ['ad', Infinity]);
+    const request = store.index('type_timestamp').openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(result);
+        return;
+      }
+      const advertiser = cursor.value.advertiser;
+      if (advertiser) result[advertiser] = (result[advertiser] || 0) + 1;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+
+  return Object.entries(counts)
+    .map(([advertiser, count]) => ({ advertiser, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Firma ligera del historial (número de items + último timestamp) para detectar cambios
+export async function getHistorySignature() {
+  const counts = await getHistoryCounts();
+  const latest = await withStore('readonly', async store => {
+    const cursor = await requestToPromise(store.index('timestamp').openCursor(null, 'prev'));
+    return cursor ? cursor.value.timestamp : 0;
+  });
+  return `${counts.video}-${counts.ad}-${counts.favorites}-${latest}`;
+}
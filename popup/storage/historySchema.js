@@ -0,0 +1,319 @@
+// Esquema versionado de los items del historial
+// Cada item guardado lleva schemaVersion; los antiguos (sin versión) se consideran v0
+
+export const HISTORY_SCHEMA_VERSION = 2;
+
+const HISTORY_TYPES = ['video', 'ad'];
+const INVALID_IDS = ['(no disponible)', 'empty_video', 'null', 'undefined'];
+
+// Formatos de anuncio: instream (video en el reproductor) y los que no son video (adFormatDetector.js)
+export const DISPLAY_AD_KINDS = ['overlay', 'companion', 'promoted', 'masthead', 'shorts'];
+export const AD_KINDS = ['instream', ...DISPLAY_AD_KINDS];
+// Página donde apareció un anuncio que no es video (_adhunt3r_data.displayad.pageType)
+export const DISPLAY_AD_PAGE_TYPES = ['home', 'search', 'watch', 'shorts', 'other'];
+
+// Nombres de la posición del corte y del tipo de anuncio (adTypeInfo.type) para el historial y el dashboard
+export const POSITION_LABELS = {
+  pre_roll: 'Pre-roll',
+  mid_roll: 'Mid-roll',
+  post_roll: 'Post-roll',
+  between_shorts: 'Entre Shorts',
+  unknown: 'Desconocida'
+};
+
+export const AD_TYPE_LABELS = {
+  skippable: 'Saltable',
+  non_skippable: 'No saltable',
+  bumper: 'Bumper',
+  non_skippable_short: 'No saltable corto',
+  non_skippable_medium: 'No saltable medio',
+  non_skippable_long: 'No saltable largo',
+  shorts: 'Shorts',
+  unknown: 'Desconocido'
+};
+
+// Sitio de YouTube donde se vio el video o anuncio ('youtube' si el item no lo indica)
+export const SOURCE_SITES = ['youtube', 'music', 'kids'];
+
+const SOURCE_SITE_ORIGINS = {
+  'https://www.youtube.com': 'youtube',
+  'https://www.youtube-nocookie.com': 'youtube',
+  'https://music.youtube.com': 'music',
+  'https://www.youtubekids.com': 'kids'
+};
+
+const SOURCE_SITE_WATCH_URLS = {
+  youtube: 'https://www.youtube.com/watch?v=',
+  music: 'https://music.youtube.com/watch?v=',
+  kids: 'https://www.youtubekids.com/watch?v='
+};
+
+// Origen de la web que inserta un reproductor embebido (solo http/https, sin ruta)
+const EMBED_ORIGIN_PATTERN = /^https?:\/\/[a-z0-9.-]+(:\d{1,5})?$/i;
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const DISPLAY_AD_URL_FIELDS = ['link', 'landingUrl', 'thumbnail', 'pageUrl'];
+const DISPLAY_AD_TEXT_FIELDS = ['title', 'advertiser', 'description', 'renderer'];
+
+export function getIdKey(type) {
+  return type === 'ad' ? 'adId' : 'videoId';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && url.href === value;
+  } catch (e) {
+    return false;
+  }
+}
+
+function toTimestamp(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string') {
+    const numeric = Number(value);
+    if (Number.isFinite(numeric) && value.trim() !== '') return numeric;
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return null;
+}
+
+// === [MIGRACIONES] ===
+// MIGRATIONS[n] convierte un item de la versión n a la n + 1
+const MIGRATIONS = [
+  // v0 -> v1: tipo explícito, timestamp numérico, favorito booleano y data como string JSON
+  (type, item) => {
+    const migrated = { ...item, type };
+    migrated.timestamp = toTimestamp(item.timestamp) ?? Date.now();
+    migrated.isFavorite = Boolean(item.isFavorite);
+    if (isPlainObject(item.data) || Array.isArray(item.data)) {
+      migrated.data = JSON.stringify(item.data);
+    }
+    if (migrated.info !== undefined && !isPlainObject(migrated.info)) {
+      delete migrated.info;
+    }
+    return migrated;
+  },
+  // v1 -> v2: data como objeto (sin re-serializar con sangrías en cada guardado/lectura)
+  (type, item) => {
+    if (typeof item.data !== 'string') return { ...item };
+    try {
+      return { ...item, data: JSON.parse(item.data) };
+    } catch (e) {
+      // Se deja el string; la validación lo rechazará
+      return { ...item };
+    }
+  }
+];
+
+export function getItemSchemaVersion(item) {
+  return Number.isInteger(item?.schemaVersion) ? item.schemaVersion : 0;
+}
+
+export function needsSchemaMigration(item) {
+  return getItemSchemaVersion(item) < HISTORY_SCHEMA_VERSION;
+}
+
+/**
+ * Actualiza un item a la versión actual del esquema aplicando las migraciones pendientes.
+ * @param {'video'|'ad'} type
+ * @param {Object} item
+ * @returns {Object} Nuevo item (no modifica el original)
+ */
+export function migrateHistoryItem(type, item) {
+  let migrated = { ...item };
+  for (let version = getItemSchemaVersion(item); version < HISTORY_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](type, migrated);
+    migrated.schemaVersion = version + 1;
+  }
+  return migrated;
+}
+
+// === [VALIDACIÓN] ===
+// Datos de un anuncio que no es video: displayAdRecorder.js los normaliza al detectarlos,
+// pero los que llegan por importación o copia de seguridad solo pasan por aquí
+function validateDisplayAd(displayAd) {
+  if (!isPlainObject(displayAd)) return ['displayad debe ser un objeto'];
+  const errors = [];
+
+  if (!DISPLAY_AD_KINDS.includes(displayAd.kind)) {
+    errors.push(`displayad.kind desconocido: ${displayAd.kind}`);
+  }
+  if (!DISPLAY_AD_PAGE_TYPES.includes(displayAd.pageType)) {
+    errors.push(`displayad.pageType desconocido: ${displayAd.pageType}`);
+  }
+  DISPLAY_AD_URL_FIELDS.forEach(field => {
+    const value = displayAd[field];
+    if (value !== undefined && value !== null && value !== '' && (typeof value !== 'string' || !isHttpUrl(value))) {
+      errors.push(`displayad.${field} debe ser una URL http(s)`);
+    }
+  });
+  DISPLAY_AD_TEXT_FIELDS.forEach(field => {
+    const value = displayAd[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      errors.push(`displayad.${field} debe ser texto`);
+    }
+  });
+  ['videoId', 'hostVideoId'].forEach(field => {
+    const value = displayAd[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !VIDEO_ID_PATTERN.test(value))) {
+      errors.push(`displayad.${field} inválido`);
+    }
+  });
+  ['seenCount', 'firstSeen'].forEach(field => {
+    const value = displayAd[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+      errors.push(`displayad.${field} debe ser numérico`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Valida un item con el esquema actual.
+ * @returns {Array<string>} Lista de errores (vacía si es válido)
+ */
+export function validateHistoryItem(type, item) {
+  const errors = [];
+
+  if (!HISTORY_TYPES.includes(type)) {
+    return [`Tipo de historial desconocido: ${type}`];
+  }
+  if (!isPlainObject(item)) {
+    return ['El item no es un objeto'];
+  }
+
+  const idKey = getIdKey(type);
+  const id = item[idKey];
+  if (typeof id !== 'string' || id.trim() === '' || INVALID_IDS.includes(id)) {
+    errors.push(`${idKey} ausente o inválido`);
+  }
+
+  if (item.schemaVersion !== HISTORY_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${item.schemaVersion} distinta de la actual (${HISTORY_SCHEMA_VERSION})`);
+  }
+
+  if (item.type !== type) {
+    errors.push(`type "${item.type}" no coincide con "${type}"`);
+  }
+
+  if (typeof item.timestamp !== 'number' || !Number.isFinite(item.timestamp) || item.timestamp <= 0) {
+    errors.push('timestamp inválido');
+  }
+
+  if (typeof item.isFavorite !== 'boolean') {
+    errors.push('isFavorite debe ser booleano');
+  }
+
+  if (item.data === undefined || item.data === null || item.data === '') {
+    errors.push('data ausente');
+  } else if (!isPlainObject(item.data)) {
+    errors.push('data debe ser un objeto JSON');
+  } else if (item.data._adhunt3r_data?.displayad !== undefined) {
+    errors.push(...validateDisplayAd(item.data._adhunt3r_data.displayad));
+  }
+
+  if (item.info !== undefined && item.info !== null && !isPlainObject(item.info)) {
+    errors.push('info debe ser un objeto');
+  }
+
+  if (item.adTypeInfo !== undefined && item.adTypeInfo !== null && !isPlainObject(item.adTypeInfo)) {
+    errors.push('adTypeInfo debe ser un objeto');
+  }
+
+  if (item.embedOrigin !== undefined && item.embedOrigin !== null && normalizeEmbedOrigin(item.embedOrigin) !== item.embedOrigin) {
+    errors.push('embedOrigin debe ser un origen http(s)');
+  }
+
+  if (item.sourceSite !== undefined && !SOURCE_SITES.includes(item.sourceSite)) {
+    errors.push(`sourceSite desconocido: ${item.sourceSite}`);
+  }
+
+  // Los items sin adKind son anuncios instream (anteriores a los formatos que no son video)
+  if (item.adKind !== undefined && (type !== 'ad' || !AD_KINDS.includes(item.adKind))) {
+    errors.push(`adKind desconocido: ${item.adKind}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Migra y valida un item antes de escribirlo en el historial.
+ * @throws {Error} Si el item no cumple el esquema (error.validationErrors con el detalle)
+ */
+export function normalizeHistoryItem(type, item) {
+  const migrated = migrateHistoryItem(type, item || {});
+  const errors = validateHistoryItem(type, migrated);
+  if (errors.length > 0) {
+    const error = new Error(`Item de historial inválido: ${errors.join(', ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  return migrated;
+}
+
+// === [ACCESO A DATOS] ===
+// Objeto data del item (acepta también strings JSON de versiones anteriores o de la caché por pestaña)
+export function getItemData(item) {
+  const data = item?.data;
+  if (isPlainObject(data) || Array.isArray(data)) return data;
+  if (typeof data !== 'string' || data === '') return null;
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Formato del anuncio ('instream' si el item no lo indica)
+export function getAdKind(item) {
+  return AD_KINDS.includes(item?.adKind) ? item.adKind : 'instream';
+}
+
+export function isDisplayAdItem(item) {
+  return DISPLAY_AD_KINDS.includes(item?.adKind);
+}
+
+export function getSourceSite(item) {
+  return SOURCE_SITES.includes(item?.sourceSite) ? item.sourceSite : 'youtube';
+}
+
+/**
+ * Sitio de YouTube al que pertenece un origen (el del remitente del mensaje, no un dato de la página).
+ * @param {string} origin - p.ej. sender.origin del content-script
+ * @returns {string|null} 'youtube', 'music', 'kids' o null si no es un sitio soportado
+ */
+export function getSourceSiteFromOrigin(origin) {
+  return SOURCE_SITE_ORIGINS[origin] || null;
+}
+
+// Enlace al video en el sitio donde se vio
+export function getWatchUrl(videoId, sourceSite = 'youtube') {
+  return (SOURCE_SITE_WATCH_URLS[sourceSite] || SOURCE_SITE_WATCH_URLS.youtube) + videoId;
+}
+
+/**
+ * Origen de la web que inserta el reproductor embebido.
+ * @param {string} value - Origen enviado desde el iframe del reproductor
+ * @returns {string|null} Origen en minúsculas o null si no es válido
+ */
+export function normalizeEmbedOrigin(value) {
+  if (typeof value !== 'string' || !EMBED_ORIGIN_PATTERN.test(value)) return null;
+  return value.toLowerCase();
+}
+
+// JSON con sangrías generado bajo demanda, solo para mostrar o copiar
+export function formatItemData(item) {
+  const data = item?.data;
+  if (data === undefined || data === null) return '';
+  if (typeof data === 'string') {
+    const parsed = getItemData(item);
+    return parsed ? JSON.stringify(parsed, null, 2) : data;
+  }
+  return JSON.stringify(data, null, 2);
+}
@@ -0,0 +1,111 @@
+// Módulo de fusión para la importación del historial
+// Clasifica cada item importado frente al existente y aplica la estrategia elegida
+
+export const IMPORT_STRATEGIES = ['keep-existing', 'overwrite', 'keep-newest', 'merge-fields'];
+
+function parseData(data) {
+  if (data && typeof data === 'object') return data;
+  if (typeof data !== 'string') return null;
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Representación comparable del campo data (string JSON u objeto)
+function getComparableData(item) {
+  const parsed = parseData(item?.data);
+  return parsed ? JSON.stringify(parsed) : String(item?.data ?? '');
+}
+
+/**
+ * Clasifica un item importado frente al que ya existe en el historial.
+ * @returns {'new'|'duplicate'|'conflict'}
+ */
+export function classifyImportItem(existing, incoming) {
+  if (!existing) return 'new';
+  return getComparableData(existing) === getComparableData(incoming) ? 'duplicate' : 'conflict';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (isPlainObject(value) && Object.keys(value).length === 0);
+}
+
+// Conservar los valores existentes y completar solo los campos vacíos o ausentes
+// Los arrays se fusionan posición a posición (p.ej. items[0] de la respuesta de la API)
+function mergeFields(existing, incoming) {
+  if (isEmptyValue(existing)) return incoming;
+
+  if (Array.isArray(existing) && Array.isArray(incoming)) {
+    return existing.map((value, index) => index < incoming.length ? mergeFields(value, incoming[index]) : value);
+  }
+
+  if (!isPlainObject(existing) || !isPlainObject(incoming)) return existing;
+
+  const merged = { ...existing };
+  Object.keys(incoming).forEach(key => {
+    merged[key] = mergeFields(merged[key], incoming[key]);
+  });
+  return merged;
+}
+
+function mergeItems(existing, incoming) {
+  const existingData = parseData(existing.data);
+  const incomingData = parseData(incoming.data);
+
+  let data = existing.data;
+  if (existingData && incomingData) {
+    const mergedData = mergeFields(existingData, incomingData);
+    // Mantener el mismo formato (string u objeto) que el item existente
+    data = typeof existing.data === 'string' ? JSON.stringify(mergedData) : mergedData;
+  }
+
+  return {
+    ...mergeFields(existing, incoming),
+    data,
+    timestamp: Math.max(existing.timestamp || 0, incoming.timestamp || 0) || Date.now(),
+    isFavorite: Boolean(existing.isFavorite || incoming.isFavorite)
+  };
+}
+
+/**
+ * Resuelve un item importado según la estrategia.
+ * @param {Object|null} existing - Item actual del historial
+ * @param {Object} incoming - Item importado (ya preparado para almacenamiento)
+ * @param {string} strategy - keep-existing | overwrite | keep-newest | merge-fields
+ * @returns {{action: 'added'|'unchanged'|'kept'|'overwritten'|'merged', item: Object|null}}
+ *          item es null cuando no hay que guardar nada
+ */
+export function resolveImportItem(existing, incoming, strategy) {
+  const status = classifyImportItem(existing, incoming);
+  if (status === 'new') return { action: 'added', item: incoming };
+
+  // Aunque los datos sean idénticos, conservar la marca de favorito importada
+  if (status === 'duplicate') {
+    if (incoming.isFavorite && !existing.isFavorite) {
+      return { action: 'merged', item: { ...existing, isFavorite: true } };
+    }
+    return { action: 'unchanged', item: null };
+  }
+
+  switch (strategy) {
+    case 'overwrite':
+      return { action: 'overwritten', item: incoming };
+    case 'keep-newest':
+      return (incoming.timestamp || 0) > (existing.timestamp || 0)
+        ? { action: 'overwritten', item: incoming }
+        : { action: 'kept', item: null };
+    case 'merge-fields':
+      return { action: 'merged', item: mergeItems(existing, incoming) };
+    case 'keep-existing':
+    default:
+      return { action: 'kept', item: null };
+  }
+}
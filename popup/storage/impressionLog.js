@@ -0,0 +1,196 @@
+// Módulo del log de impresiones de anuncios (IndexedDB)
+// El historial guarda un único registro por creativo (adId); aquí se guarda cada vez que se muestra
+// Al terminar el anuncio se añaden sus eventos: events [{type, t, mediaTime}], watchedDuration,
+// skipShownAt, skipped, endReason y maxQuartile
+
+import { withStore, requestToPromise, IMPRESSIONS_STORE } from './historyDB.js';
+import { SOURCE_SITES, getWatchUrl, normalizeEmbedOrigin } from './historySchema.js';
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const TOKEN_PATTERN = /^[\w-]{1,40}$/;
+const POSITIONS = ['pre_roll', 'mid_roll', 'post_roll', 'between_shorts', 'unknown'];
+
+function toVideoId(value) {
+  return typeof value === 'string' && VIDEO_ID_PATTERN.test(value) ? value : null;
+}
+
+function toToken(value) {
+  return typeof value === 'string' && TOKEN_PATTERN.test(value) ? value : null;
+}
+
+function toPositiveInt(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function toDuration(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Campos que vienen de la página (adTypeInfo, overlay, reproductor) y se muestran en el historial:
+// se validan al crear la impresión y también en cada actualización
+const FIELD_VALIDATORS = {
+  hostVideoId: toVideoId,
+  position: value => (POSITIONS.includes(value) ? value : null),
+  adType: toToken,
+  podId: toToken,
+  podIndex: toPositiveInt,
+  podSize: toPositiveInt,
+  consecutiveAdNumber: toPositiveInt,
+  isSkippable: value => (typeof value === 'boolean' ? value : null),
+  declaredDuration: toDuration,
+  measuredDuration: toDuration
+};
+
+// Cambios de una actualización: los campos de la página con un valor no válido se descartan
+function sanitizeImpressionChanges(changes) {
+  const sanitized = {};
+  Object.entries(changes || {}).forEach(([key, value]) => {
+    const validate = FIELD_VALIDATORS[key];
+    if (!validate) {
+      sanitized[key] = value;
+      return;
+    }
+    const valid = validate(value);
+    if (valid !== null) sanitized[key] = valid;
+  });
+  return sanitized;
+}
+
+const AD_EVENT_TYPES = [
+  'start', 'quartile_25', 'quartile_50', 'quartile_75', 'quartile_100',
+  'skip_shown', 'skip_clicked', 'muted', 'unmuted', 'paused', 'resumed', 'ended'
+];
+const AD_END_REASONS = ['completed', 'skipped', 'interrupted', 'abandoned'];
+const MAX_AD_EVENTS = 50;
+
+function toFiniteOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// El informe llega desde la página (o de una copia de seguridad): solo se guardan campos y tipos de evento conocidos
+export function sanitizeAdEvents(report) {
+  const events = (Array.isArray(report.events) ? report.events : [])
+    .filter(event => event && AD_EVENT_TYPES.includes(event.type) && toFiniteOrNull(event.t) !== null)
+    .slice(0, MAX_AD_EVENTS)
+    .map(event => ({
+      type: event.type,
+      t: Math.max(0, Math.round(event.t)),
+      mediaTime: toFiniteOrNull(event.mediaTime),
+      ...(event.estimated ? { estimated: true } : {})
+    }));
+
+  return {
+    events,
+    watchedDuration: Math.max(0, toFiniteOrNull(report.watchedDuration) || 0),
+    skipShownAt: toFiniteOrNull(report.skipShownAt),
+    skipped: report.skipped === true,
+    endReason: AD_END_REASONS.includes(report.endReason) ? report.endReason : 'interrupted',
+    maxQuartile: [0, 25, 50, 75, 100].includes(report.maxQuartile) ? report.maxQuartile : 0
+  };
+}
+
+// Extraer el videoId de una URL ad_seenIn (https://www.youtube.com/watch?v=<id>)
+export function getVideoIdFromSeenIn(adSeenIn) {
+  if (!adSeenIn) return null;
+  const match = String(adSeenIn).match(/[?&]v=([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Registra una impresión de anuncio.
+ * @param {Object} impression - { adId, hostVideoId, ad_seenIn, position, consecutiveAdNumber,
+ *                               podId, podIndex, podSize, isSkippable, adType, declaredDuration,
+ *                               measuredDuration, sourceSite, embedOrigin, timestamp }
+ * @returns {Promise<number>} id autoincremental de la impresión
+ */
+export function addImpression(impression) {
+  const record = buildImpressionRecord(impression);
+  return withStore('readwrite', store => requestToPromise(store.add(record)), IMPRESSIONS_STORE);
+}
+
+function buildImpressionRecord(impression) {
+  const record = {
+    adId: impression.adId,
+    hostVideoId: toVideoId(impression.hostVideoId) || getVideoIdFromSeenIn(impression.ad_seenIn),
+    ad_seenIn: typeof impression.ad_seenIn === 'string' && impression.ad_seenIn ? impression.ad_seenIn : null,
+    position: FIELD_VALIDATORS.position(impression.position) || 'unknown',
+    consecutiveAdNumber: toPositiveInt(impression.consecutiveAdNumber) || 0,
+    podId: toToken(impression.podId),
+    podIndex: toPositiveInt(impression.podIndex),
+    podSize: toPositiveInt(impression.podSize),
+    isSkippable: impression.isSkippable === true,
+    adType: toToken(impression.adType) || 'unknown',
+    declaredDuration: toDuration(impression.declaredDuration) || 0,
+    measuredDuration: toDuration(impression.measuredDuration) || 0,
+    sourceSite: SOURCE_SITES.includes(impression.sourceSite) ? impression.sourceSite : 'youtube',
+    embedOrigin: normalizeEmbedOrigin(impression.embedOrigin),
+    timestamp: Number.isFinite(impression.timestamp) && impression.timestamp > 0 ? impression.timestamp : Date.now()
+  };
+
+  if (!record.ad_seenIn && record.hostVideoId) {
+    record.ad_seenIn = getWatchUrl(record.hostVideoId, record.sourceSite);
+  }
+  return record;
+}
+
+/**
+ * Restaura las impresiones de una copia de seguridad con la misma validación que al registrarlas.
+ * Las que ya existen (mismo adId y timestamp) no se duplican.
+ * @param {Array<Object>} impressions
+ * @returns {Promise<number>} Impresiones añadidas
+ */
+export function restoreImpressions(impressions) {
+  const valid = (Array.isArray(impressions) ? impressions : [])
+    .filter(impression => toVideoId(impression?.adId) && Number.isFinite(impression.timestamp));
+  if (valid.length === 0) return Promise.resolve(0);
+
+  return withStore('readwrite', async store => {
+    const existing = await requestToPromise(store.getAll()) || [];
+    const keys = new Set(existing.map(record => `${record.adId}:${record.timestamp}`));
+    let added = 0;
+    valid.forEach(impression => {
+      const key = `${impression.adId}:${impression.timestamp}`;
+      if (keys.has(key)) return;
+      keys.add(key);
+      const adEvents = Array.isArray(impression.events) ? sanitizeAdEvents(impression) : {};
+      store.add({ ...buildImpressionRecord(impression), ...adEvents });
+      added++;
+    });
+    return added;
+  }, IMPRESSIONS_STORE);
+}
+
+// Actualizar campos de una impresión existente (p.ej. duración medida al terminar el anuncio)
+export function updateImpression(id, changes) {
+  return withStore('readwrite', async store => {
+    const record = await requestToPromise(store.get(id));
+    if (!record) return null;
+    const updated = { ...record, ...sanitizeImpressionChanges(changes), id };
+    store.put(updated);
+    return updated;
+  }, IMPRESSIONS_STORE);
+}
+
+// Obtener la línea temporal de impresiones de un creativo (más antigua primero)
+export function getImpressionsForAd(adId) {
+  return withStore('readonly', store =>
+    requestToPromise(store.index('adId').getAll(IDBKeyRange.only(adId))),
+    IMPRESSIONS_STORE
+  ).then(records => (records || []).sort((a, b) => a.timestamp - b.timestamp));
+}
+
+// Contar impresiones de un creativo sin cargarlas
+export function countImpressionsForAd(adId) {
+  return withStore('readonly', store =>
+    requestToPromise(store.index('adId').count(IDBKeyRange.only(adId))),
+    IMPRESSIONS_STORE
+  );
+}
+
+// Obtener las impresiones de un rango de fechas (para el dashboard)
+export function getImpressionsInRange(from, to = Date.now()) {
+  return withStore('readonly', store =>
+    requestToPromise(store.index('timestamp').getAll(IDBKeyRange.bound(from, to))),
+    IMPRESSIONS_STORE
+  ).then(records => records || []);
+}
@@ -0,0 +1,127 @@
+// Salud de los selectores del pack: aciertos/fallos por campo de extracción
+// El inject.js informa qué selector de cada cadena encontró el elemento (o ninguno)
+// y el service worker acumula los resultados en chrome.storage.local.
+// Los campos que no se esperan en el anuncio (p.ej. el texto de omitir en un bumper) se cuentan aparte
+// como notApplicable y no rompen ni alargan la racha de fallos
+
+import { SELECTOR_PACK_FIELDS } from './selectorPack.js';
+
+export const SELECTOR_HEALTH_KEY = 'selectorHealth';
+
+// Un campo se considera degradado tras varios fallos seguidos
+const DEGRADED_MISS_STREAK = 5;
+const MAX_SELECTORS_PER_FIELD = 20;
+
+let writeQueue = Promise.resolve();
+
+function readHealth() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SELECTOR_HEALTH_KEY], (result) => {
+      resolve(result[SELECTOR_HEALTH_KEY] || { fields: {}, updatedAt: 0 });
+    });
+  });
+}
+
+function writeHealth(health) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [SELECTOR_HEALTH_KEY]: health }, resolve);
+  });
+}
+
+function createFieldHealth() {
+  return {
+    attempts: 0,
+    hits: 0,
+    misses: 0,
+    notApplicable: 0,
+    consecutiveMisses: 0,
+    lastSuccess: null,
+    lastAttempt: null,
+    lastSelector: null,
+    lastSelectorIndex: null,
+    bySelector: {}
+  };
+}
+
+function applyResult(field, result, timestamp) {
+  if (result.notApplicable === true && !result.selector) {
+    field.notApplicable = (field.notApplicable || 0) + 1;
+    return;
+  }
+
+  field.attempts++;
+  field.lastAttempt = timestamp;
+
+  if (!result.selector) {
+    field.misses++;
+    field.consecutiveMisses++;
+    return;
+  }
+
+  field.hits++;
+  field.consecutiveMisses = 0;
+  field.lastSuccess = timestamp;
+  field.lastSelector = result.selector;
+  field.lastSelectorIndex = Number.isInteger(result.index) ? result.index : null;
+  field.bySelector[result.selector] = (field.bySelector[result.selector] || 0) + 1;
+
+  // Limitar los selectores guardados (los packs cambian con el tiempo)
+  const selectors = Object.entries(field.bySelector);
+  if (selectors.length > MAX_SELECTORS_PER_FIELD) {
+    selectors.sort((a, b) => b[1] - a[1]);
+    field.bySelector = Object.fromEntries(selectors.slice(0, MAX_SELECTORS_PER_FIELD));
+  }
+}
+
+/**
+ * Acumula los resultados de las extracciones (un informe puede agrupar varias).
+ * @param {Array<{key: string, selector: string|null, index: number, notApplicable?: boolean}>} results - Un resultado por campo y extracción
+ * @param {number} timestamp
+ */
+export function recordSelectorResults(results, timestamp = Date.now()) {
+  if (!Array.isArray(results) || results.length === 0) return Promise.resolve();
+
+  // Serializar las escrituras: varias pestañas pueden informar a la vez
+  writeQueue = writeQueue.then(async () => {
+    const health = await readHealth();
+    results.forEach(result => {
+      // El informe llega desde la página: solo se aceptan campos conocidos del pack
+      if (!result || !SELECTOR_PACK_FIELDS.includes(result.key)) return;
+      if (result.selector !== null && typeof result.selector !== 'string') return;
+      if (!health.fields[result.key]) health.fields[result.key] = createFieldHealth();
+      applyResult(health.fields[result.key], result, timestamp);
+    });
+    health.updatedAt = timestamp;
+    await writeHealth(health);
+  }).catch(error => {
+    console.warn('[AdHunt3r] Error guardando la salud de los selectores:', error.message);
+  });
+  return writeQueue;
+}
+
+export function getSelectorHealth() {
+  return readHealth();
+}
+
+/**
+ * Campos cuyos selectores han dejado de funcionar.
+ * @returns {Array<{key, consecutiveMisses, hitRate, lastSuccess}>}
+ */
+export function getDegradedFields(health) {
+  return Object.entries(health?.fields || {})
+    .filter(([, field]) => field.consecutiveMisses >= DEGRADED_MISS_STREAK)
+    .map(([key, field]) => ({
+      key,
+      consecutiveMisses: field.consecutiveMisses,
+      hitRate: field.attempts > 0 ? field.hits / field.attempts : 0,
+      lastSuccess: field.lastSuccess
+    }))
+    .sort((a, b) => b.consecutiveMisses - a.consecutiveMisses);
+}
+
+export function resetSelectorHealth() {
+  writeQueue = writeQueue.then(() => new Promise((resolve) => {
+    chrome.storage.local.remove(SELECTOR_HEALTH_KEY, resolve);
+  }));
+  return writeQueue;
+}
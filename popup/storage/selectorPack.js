@@ -0,0 +1,107 @@
+// Packs de selectores para la extracción del overlay, el botón del centro de anuncios y el iframe
+// El pack se guarda en chrome.storage.local y el content-script lo reenvía al inject.js,
+// así se pueden corregir selectores sin publicar una nueva versión de la extensión
+
+export const SELECTOR_PACK_KEY = 'selectorPack';
+export const SELECTOR_PACK_FORMAT = 'adhunt3r-selector-pack';
+export const SELECTOR_PACK_SCHEMA_VERSION = 1;
+
+// Campos que entiende el inject.js (cada uno es una cadena de fallback)
+export const SELECTOR_PACK_FIELDS = [
+  'overlay.skipText',
+  'overlay.advertiserText',
+  'overlay.advertiserAvatar',
+  'overlay.adHeadline',
+  'overlay.adDescription',
+  'overlay.adButtonText',
+  'overlay.podBadge',
+  'adCenter.button',
+  'iframe.anunciante',
+  'iframe.ubicacion',
+  'iframe.link_anunciante',
+  'iframe.tema',
+  'iframe.marca',
+  'iframe.sponsoredBy'
+];
+
+/**
+ * Valida un pack importado.
+ * @param {Object} pack
+ * @returns {{pack: Object, warnings: Array<string>}} Pack normalizado (solo campos conocidos)
+ * @throws {Error} Si el pack no se puede usar
+ */
+export function validateSelectorPack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    throw new Error('El pack de selectores no es un objeto JSON');
+  }
+  if (pack.format !== SELECTOR_PACK_FORMAT) {
+    throw new Error(`Formato desconocido (se esperaba "${SELECTOR_PACK_FORMAT}")`);
+  }
+  if (!Number.isInteger(pack.schemaVersion) || pack.schemaVersion < 1) {
+    throw new Error('schemaVersion inválida en el pack');
+  }
+  if (pack.schemaVersion > SELECTOR_PACK_SCHEMA_VERSION) {
+    throw new Error(`El pack usa el esquema v${pack.schemaVersion}; actualiza la extensión para usarlo`);
+  }
+  if (typeof pack.version !== 'string' || pack.version.trim() === '') {
+    throw new Error('El pack debe indicar su versión (version)');
+  }
+  if (!pack.fields || typeof pack.fields !== 'object' || Array.isArray(pack.fields)) {
+    throw new Error('El pack no contiene el objeto fields');
+  }
+
+  const warnings = [];
+  const fields = {};
+  Object.entries(pack.fields).forEach(([key, chain]) => {
+    if (!SELECTOR_PACK_FIELDS.includes(key)) {
+      warnings.push(`Campo desconocido ignorado: ${key}`);
+      return;
+    }
+    if (!Array.isArray(chain)) {
+      warnings.push(`${key} debe ser una lista de selectores`);
+      return;
+    }
+    const selectors = chain.filter(selector => typeof selector === 'string' && selector.trim() !== '');
+    if (selectors.length !== chain.length) {
+      warnings.push(`${key}: se ignoraron ${chain.length - selectors.length} selectores vacíos o no válidos`);
+    }
+    if (selectors.length > 0) fields[key] = selectors;
+  });
+
+  if (Object.keys(fields).length === 0) {
+    throw new Error('El pack no define selectores para ningún campo conocido');
+  }
+
+  return {
+    pack: {
+      format: SELECTOR_PACK_FORMAT,
+      schemaVersion: pack.schemaVersion,
+      version: pack.version.trim(),
+      importedAt: Date.now(),
+      fields
+    },
+    warnings
+  };
+}
+
+export function getSelectorPack() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SELECTOR_PACK_KEY], (result) => resolve(result[SELECTOR_PACK_KEY] || null));
+  });
+}
+
+// Guardar el pack; las pestañas abiertas lo reciben a través de chrome.storage.onChanged
+export async function importSelectorPack(rawPack) {
+  const { pack, warnings } = validateSelectorPack(rawPack);
+  await new Promise((resolve) => {
+    chrome.storage.local.set({ [SELECTOR_PACK_KEY]: pack }, resolve);
+  });
+  return { pack, warnings };
+}
+
+// Volver a los selectores integrados en la extensión
+export function resetSelectorPack() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(SELECTOR_PACK_KEY, resolve);
+  });
+}
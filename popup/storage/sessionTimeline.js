@@ -0,0 +1,159 @@
+// Línea temporal por sesión de navegación (IndexedDB)
+// El service worker (sessionRecorder.js) añade un evento por cada video abierto o cambiado, corte publicitario,
+// anuncio y pestaña cerrada; cada sesión se puede revisar en el historial y exportar en JSON o CSV
+
+import { withStore, requestToPromise, TIMELINE_STORE } from './historyDB.js';
+import { SOURCE_SITES, normalizeEmbedOrigin } from './historySchema.js';
+
+export const TIMELINE_EVENT_TYPES = [
+  'video_opened', 'video_changed', 'ad_break_started', 'ad_started', 'ad_ended', 'ad_break_ended', 'tab_closed'
+];
+// Campos de cada evento, en el orden de la exportación CSV
+export const TIMELINE_EVENT_FIELDS = [
+  'sessionId', 'timestamp', 'type', 'tabId', 'videoId', 'previousVideoId', 'adId', 'adType', 'position',
+  'podId', 'podIndex', 'podSize', 'isSkippable', 'declaredDuration', 'measuredDuration', 'sourceSite', 'embedOrigin'
+];
+
+const TIMELINE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 días
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const TOKEN_PATTERN = /^[\w-]{1,40}$/;
+const POSITIONS = ['pre_roll', 'mid_roll', 'post_roll', 'between_shorts', 'unknown'];
+
+function toVideoId(value) {
+  return typeof value === 'string' && VIDEO_ID_PATTERN.test(value) ? value : null;
+}
+
+function toToken(value) {
+  return typeof value === 'string' && TOKEN_PATTERN.test(value) ? value : null;
+}
+
+function toPositiveInt(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function toSeconds(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+}
+
+// Parte de los datos (tipo, pod, duración) vienen de la página: se normalizan antes de guardarlos
+function sanitizeTimelineEvent(event) {
+  return {
+    sessionId: event.sessionId,
+    timestamp: Number.isFinite(event.timestamp) ? event.timestamp : Date.now(),
+    type: event.type,
+    tabId: Number.isInteger(event.tabId) ? event.tabId : null,
+    videoId: toVideoId(event.videoId),
+    previousVideoId: toVideoId(event.previousVideoId),
+    adId: toVideoId(event.adId),
+    adType: toToken(event.adType),
+    position: POSITIONS.includes(event.position) ? event.position : null,
+    podId: toToken(event.podId),
+    podIndex: toPositiveInt(event.podIndex),
+    podSize: toPositiveInt(event.podSize),
+    isSkippable: typeof event.isSkippable === 'boolean' ? event.isSkippable : null,
+    declaredDuration: toSeconds(event.declaredDuration),
+    measuredDuration: toSeconds(event.measuredDuration),
+    sourceSite: SOURCE_SITES.includes(event.sourceSite) ? event.sourceSite : 'youtube',
+    embedOrigin: normalizeEmbedOrigin(event.embedOrigin)
+  };
+}
+
+/**
+ * Añade un evento a la línea temporal.
+ * @param {Object} event - { sessionId, timestamp, type, tabId, videoId, previousVideoId, adId, adType, position,
+ *                          podId, podIndex, podSize, isSkippable, declaredDuration, measuredDuration,
+ *                          sourceSite, embedOrigin }
+ * @returns {Promise<number|null>} id autoincremental del evento (null si no es válido)
+ */
+export function addTimelineEvent(event) {
+  if (!event || typeof event.sessionId !== 'string' || !TIMELINE_EVENT_TYPES.includes(event.type)) {
+    return Promise.resolve(null);
+  }
+  const record = sanitizeTimelineEvent(event);
+  return withStore('readwrite', store => requestToPromise(store.add(record)), TIMELINE_STORE);
+}
+
+/**
+ * Lista las sesiones registradas (más reciente primero).
+ * @returns {Promise<Array<{sessionId, startedAt, endedAt, events, videos, ads, tabs}>>}
+ */
+export async function getTimelineSessions() {
+  const records = await withStore('readonly', store => requestToPromise(store.getAll()), TIMELINE_STORE) || [];
+  const sessions = new Map();
+
+  records.forEach(record => {
+    let session = sessions.get(record.sessionId);
+    if (!session) {
+      session = { sessionId: record.sessionId, startedAt: record.timestamp, endedAt: record.timestamp, events: 0,
+        videoIds: new Set(), ads: 0, tabIds: new Set() };
+      sessions.set(record.sessionId, session);
+    }
+    session.startedAt = Math.min(session.startedAt, record.timestamp);
+    session.endedAt = Math.max(session.endedAt, record.timestamp);
+    session.events++;
+    if (record.type === 'video_opened' || record.type === 'video_changed') session.videoIds.add(record.videoId);
+    if (record.type === 'ad_started') session.ads++;
+    if (record.tabId !== null) session.tabIds.add(record.tabId);
+  });
+
+  return Array.from(sessions.values())
+    .map(({ videoIds, tabIds, ...session }) => ({ ...session, videos: videoIds.size, tabs: tabIds.size }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Eventos de una sesión en orden cronológico (a igual timestamp, en orden de registro)
+export function getSessionTimeline(sessionId) {
+  if (!sessionId) return Promise.resolve([]);
+  return withStore('readonly', store =>
+    requestToPromise(store.index('sessionId').getAll(IDBKeyRange.only(sessionId))),
+    TIMELINE_STORE
+  ).then(records => (records || []).sort((a, b) => a.timestamp - b.timestamp || a.id - b.id));
+}
+
+/**
+ * Restaura los eventos de una copia de seguridad con la misma validación que al registrarlos.
+ * Los que ya existen (misma sesión, timestamp, tipo y pestaña) no se duplican.
+ * @param {Array<Object>} events
+ * @returns {Promise<number>} Eventos añadidos
+ */
+export function restoreTimelineEvents(events) {
+  const eventKey = event => `${event.sessionId}:${event.timestamp}:${event.type}:${event.tabId}`;
+  const valid = (Array.isArray(events) ? events : []).filter(event =>
+    event && toToken(event.sessionId) && Number.isFinite(event.timestamp) && TIMELINE_EVENT_TYPES.includes(event.type)
+  );
+  if (valid.length === 0) return Promise.resolve(0);
+
+  return withStore('readwrite', async store => {
+    const existing = await requestToPromise(store.getAll()) || [];
+    const keys = new Set(existing.map(eventKey));
+    let added = 0;
+    valid.forEach(event => {
+      const record = sanitizeTimelineEvent(event);
+      if (keys.has(eventKey(record))) return;
+      keys.add(eventKey(record));
+      store.add(record);
+      added++;
+    });
+    return added;
+  }, TIMELINE_STORE);
+}
+
+// Eliminar los eventos fuera del periodo de retención
+export function pruneTimeline(now = Date.now()) {
+  const range = IDBKeyRange.upperBound(now - TIMELINE_RETENTION_MS, true);
+  return withStore('readwrite', store => new Promise((resolve, reject) => {
+    const request = store.index('timestamp').openCursor(range);
+    let deleted = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(deleted);
+        return;
+      }
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }), TIMELINE_STORE);
+}
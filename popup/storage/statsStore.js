@@ -0,0 +1,199 @@
+// Módulo de estadísticas agregadas a largo plazo (IndexedDB)
+// Sustituye la ventana de 24h de adTimestamps/videoTimestamps por buckets por hora y por día
+
+import { withStore, requestToPromise, STATS_STORE } from './historyDB.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Conservar al menos un año de estadísticas (con margen)
+export const STATS_RETENTION_MS = 400 * DAY_MS;
+
+// === [BUCKETS] ===
+export function getHourStart(timestamp) {
+  const date = new Date(timestamp);
+  date.setMinutes(0, 0, 0);
+  return date.getTime();
+}
+
+// Día natural en hora local (lo que se muestra en el popup/historial)
+export function getDayStart(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function createEmptyBucket(granularity, start) {
+  return {
+    granularity,
+    start,
+    ads: 0,            // Anuncios vistos (incluye repeticiones)
+    adIds: [],         // Anuncios únicos
+    videoIds: [],      // Videos únicos
+    videoSeconds: 0,   // Tiempo de reproducción de videos (para anuncios por hora de video)
+    byType: {}         // Desglose por adTypeInfo.type
+  };
+}
+
+// Aplicar una actualización a los buckets de hora y día de un timestamp
+function updateBuckets(timestamp, updater) {
+  const keys = [
+    ['hour', getHourStart(timestamp)],
+    ['day', getDayStart(timestamp)]
+  ];
+
+  return withStore('readwrite', async store => {
+    for (const [granularity, start] of keys) {
+      const bucket = await requestToPromise(store.get([granularity, start])) ||
+        createEmptyBucket(granularity, start);
+      updater(bucket);
+      store.put(bucket);
+    }
+  }, STATS_STORE);
+}
+
+// === [ESCRITURA] ===
+export function recordAdStat(adId, adTypeInfo, timestamp = Date.now()) {
+  const type = adTypeInfo?.type || 'unknown';
+  return updateBuckets(timestamp, bucket => {
+    bucket.ads++;
+    if (adId && !bucket.adIds.includes(adId)) bucket.adIds.push(adId);
+    bucket.byType[type] = (bucket.byType[type] || 0) + 1;
+  });
+}
+
+export function recordVideoStat(videoId, timestamp = Date.now()) {
+  return updateBuckets(timestamp, bucket => {
+    if (videoId && !bucket.videoIds.includes(videoId)) bucket.videoIds.push(videoId);
+  });
+}
+
+// Repartir el tiempo de reproducción entre los buckets por hora que cubre
+export async function recordVideoWatchTime(startedAt, endedAt) {
+  let cursor = startedAt;
+  while (cursor < endedAt) {
+    const sliceEnd = Math.min(endedAt, getHourStart(cursor) + HOUR_MS);
+    const seconds = Math.round((sliceEnd - cursor) / 1000);
+    if (seconds > 0) {
+      await updateBuckets(cursor, bucket => {
+        bucket.videoSeconds += seconds;
+      });
+    }
+    cursor = sliceEnd;
+  }
+}
+
+// Eliminar buckets más antiguos que el periodo de retención
+export function pruneStats(now = Date.now()) {
+  const cutoff = now - STATS_RETENTION_MS;
+  return withStore('readwrite', store => {
+    ['hour', 'day'].forEach(granularity => {
+      store.delete(IDBKeyRange.bound([granularity, 0], [granularity, cutoff], false, true));
+    });
+  }, STATS_STORE);
+}
+
+// === [COPIA DE SEGURIDAD] ===
+const STATS_GRANULARITIES = ['hour', 'day'];
+const STATS_TYPE_PATTERN = /^[\w-]{1,40}$/;
+const STATS_ID_PATTERN = /^[\w:-]{1,80}$/;
+
+function toCount(value) {
+  return Number.isInteger(value) && value >= 0 ? value : 0;
+}
+
+function sanitizeBucket(bucket) {
+  if (!bucket || !STATS_GRANULARITIES.includes(bucket.granularity) || !Number.isFinite(bucket.start)) return null;
+  const ids = values => (Array.isArray(values) ? [...new Set(values.filter(id => typeof id === 'string' && STATS_ID_PATTERN.test(id)))] : []);
+  const byType = {};
+  Object.entries(bucket.byType && typeof bucket.byType === 'object' ? bucket.byType : {}).forEach(([type, count]) => {
+    if (STATS_TYPE_PATTERN.test(type) && toCount(count) > 0) byType[type] = count;
+  });
+  return {
+    ...createEmptyBucket(bucket.granularity, bucket.start),
+    ads: toCount(bucket.ads),
+    adIds: ids(bucket.adIds),
+    videoIds: ids(bucket.videoIds),
+    videoSeconds: typeof bucket.videoSeconds === 'number' && bucket.videoSeconds >= 0 ? bucket.videoSeconds : 0,
+    byType
+  };
+}
+
+/**
+ * Restaura los buckets de una copia de seguridad.
+ * Los buckets que ya existen se conservan: sumar los de la copia contaría dos veces lo ya registrado
+ * @param {Array<Object>} buckets
+ * @returns {Promise<number>} Buckets añadidos
+ */
+export function restoreStatsBuckets(buckets) {
+  const valid = (Array.isArray(buckets) ? buckets : []).map(sanitizeBucket).filter(Boolean);
+  if (valid.length === 0) return Promise.resolve(0);
+
+  return withStore('readwrite', async store => {
+    let added = 0;
+    for (const bucket of valid) {
+      const existing = await requestToPromise(store.getKey([bucket.granularity, bucket.start]));
+      if (existing !== undefined) continue;
+      store.put(bucket);
+      added++;
+    }
+    return added;
+  }, STATS_STORE);
+}
+
+// === [LECTURA] ===
+function summarizeBucket(bucket) {
+  const videoHours = bucket.videoSeconds / 3600;
+  return {
+    start: bucket.start,
+    ads: bucket.ads,
+    uniqueAds: bucket.adIds.length,
+    uniqueVideos: bucket.videoIds.length,
+    videoHours: Math.round(videoHours * 100) / 100,
+    adsPerVideoHour: videoHours > 0 ? Math.round((bucket.ads / videoHours) * 100) / 100 : 0,
+    byType: { ...bucket.byType }
+  };
+}
+
+/**
+ * Obtiene las estadísticas agregadas de un rango de fechas.
+ * @param {number} from - Timestamp inicial (incluido)
+ * @param {number} to - Timestamp final (incluido)
+ * @param {'hour'|'day'} granularity
+ * @returns {Promise<{granularity, from, to, buckets: Array, totals: Object}>}
+ */
+export async function getStatsRange(from, to = Date.now(), granularity = 'day') {
+  const start = granularity === 'hour' ? getHourStart(from) : getDayStart(from);
+
+  const buckets = await withStore('readonly', store =>
+    requestToPromise(store.getAll(IDBKeyRange.bound([granularity, start], [granularity, to]))),
+    STATS_STORE
+  ) || [];
+
+  // Totales del rango: los únicos se calculan por unión, no sumando buckets
+  const adIds = new Set();
+  const videoIds = new Set();
+  const total = createEmptyBucket(granularity, start);
+  buckets.forEach(bucket => {
+    total.ads += bucket.ads;
+    total.videoSeconds += bucket.videoSeconds;
+    bucket.adIds.forEach(id => adIds.add(id));
+    bucket.videoIds.forEach(id => videoIds.add(id));
+    Object.entries(bucket.byType).forEach(([type, count]) => {
+      total.byType[type] = (total.byType[type] || 0) + count;
+    });
+  });
+  total.adIds = Array.from(adIds);
+  total.videoIds = Array.from(videoIds);
+
+  const totals = summarizeBucket(total);
+  delete totals.start;
+
+  return {
+    granularity,
+    from: start,
+    to,
+    buckets: buckets.map(summarizeBucket),
+    totals
+  };
+}
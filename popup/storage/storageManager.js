@@ -1,6 +1,9 @@
 // Módulo para gestión optimizada de almacenamiento y caché
 // Optimizado para evitar consultas repetidas a chrome.storage
 
+import { queryHistory, getHistoryItem, putHistoryItem, deleteHistoryItems } from './historyDB.js';
+import { normalizeHistoryItem } from './historySchema.js';
+
 // Sistema de cache optimizado con TTL
 export const storageCache = {
   cache: new Map(),
@@ -70,46 +73,56 @@ export function cleanStorageByPattern(pattern) {
   });
 }
 
-// Función para obtener datos del historial
-export function getHistoryData(type) {
-  const historyKey = type === 'ad' ? 'ytad_history' : 'ytdata_history';
-  return storageCache.get(historyKey).then(data => {
+// Función para obtener datos del historial (IndexedDB)
+// filters admite { since, advertiser, channelId, adType, adKinds, favorite } para usar los índices
+// y { offset, limit } para leer una sola página
+export function getHistoryData(type, filters = {}) {
+  return queryHistory({ ...filters, type }).then(data => {
     const result = Array.isArray(data) ? data : [];
     return result;
   });
 }
 
+// Buscar un elemento concreto del historial por su id
+export function findHistoryItem(type, id) {
+  return getHistoryItem(type, id);
+}
+
 
 
 // Función para guardar datos en el historial
+// Rechaza (Promise rechazada) los items que no cumplen el esquema actual
 export function saveToHistory(type, item) {
-  const historyKey = type === 'ad' ? 'ytad_history' : 'ytdata_history';
-  const idKey = type === 'ad' ? 'adId' : 'videoId';
+  let normalized;
+  try {
+    normalized = normalizeHistoryItem(type, item);
+  } catch (error) {
+    console.warn('[AdHunt3r] Item rechazado antes de guardar en el historial:', error.message);
+    return Promise.reject(error);
+  }
   
-  return getHistoryData(type).then(history => {
-    // Remover entrada anterior si existe
-    const filteredHistory = history.filter(existingItem => 
-      existingItem[idKey] !== item[idKey]
-    );
-    
-    // Añadir la nueva entrada al principio
-    filteredHistory.unshift(item);
-    
-    return storageCache.set(historyKey, filteredHistory).then(() => {
-      // Notificar al historial si está abierto
-      chrome.runtime.sendMessage({ 
-        type: 'REFRESH_HISTORY', 
-        which: type,
-        lastAdded: item
-      });
-      
-      return filteredHistory;
+  // La clave del registro es tipo + id, por lo que se reemplaza la entrada anterior si existe
+  return putHistoryItem(type, normalized).then(() => {
+    // Notificar al historial si está abierto
+    chrome.runtime.sendMessage({ 
+      type: 'REFRESH_HISTORY', 
+      which: type,
+      lastAdded: normalized
+    }).catch(() => {
+      // El historial podría no estar abierto, ignorar error
     });
+    
+    return normalized;
   }).catch(error => {
     throw error;
   });
 }
 
+// Función para eliminar elementos del historial
+export function removeFromHistory(type, items) {
+  return deleteHistoryItems(type, items);
+}
+
 // === FUNCIONES DE FAVORITOS (SIMPLIFICADAS) ===
 
 // Marcar elemento como favorito
@@ -124,11 +137,5 @@ export function removeFromFavorites(item) {
 
 // Obtener elementos favoritos
 export function getFavorites() {
-  return Promise.all([
-    getHistoryData('video'),
-    getHistoryData('ad')
-  ]).then(([videoHistory, adHistory]) => {
-    const allItems = [...videoHistory, ...adHistory];
-    return allItems.filter(item => item.isFavorite);
-  });
+  return queryHistory({ favorite: true });
 }
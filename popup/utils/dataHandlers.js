@@ -1,7 +1,8 @@
 // Módulo para manejar datos de videos y anuncios de forma genérica
 // Optimizado para eliminar código duplicado
 
-import { storageCache, isValidVideoId, getHistoryData } from '../storage/storageManager.js';
+import { storageCache, isValidVideoId, findHistoryItem } from '../storage/storageManager.js';
+import { formatItemData } from '../storage/historySchema.js';
 import { showMsg } from './uiHelpers.js';
 
 // Función para buscar en el historial unificado
@@ -10,12 +11,9 @@ async function searchInAllHistories(id, type) {
   const idKey = isAd ? 'adId' : 'videoId';
   
   try {
-    // Buscar en el historial unificado
-    const history = await getHistoryData(type);
-    
-    // Buscar en el historial
-    const found = history.find(item => item[idKey] === id);
-    if (found) {
+    // Buscar en el historial (consulta directa por clave en IndexedDB)
+    const found = await findHistoryItem(type, id);
+    if (found && found[idKey] === id) {
       return { found: true, data: found, source: 'history' };
     }
     
@@ -65,7 +63,7 @@ export function createGenericDataHandler(type) {
           button.textContent = historyEntry.isFavorite ? 'Ver en favoritos' : 'Ver en el historial';
           button.classList.add('disabled-ad-btn');
           
-          pre.textContent = historyEntry.data;
+          pre.textContent = formatItemData(historyEntry);
           pre.style.display = 'block';
           copyButton.style.display = 'inline-block';
           copyButton.disabled = false;
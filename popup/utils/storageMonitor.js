@@ -1,5 +1,8 @@
 // Módulo para monitorear el espacio de almacenamiento de Chrome
 // Optimizado para detectar cuando el almacenamiento está cerca de su límite
+// NOTA: El historial vive en IndexedDB y no cuenta para el límite de chrome.storage.local
+
+import { getHistoryCounts } from '../storage/historyDB.js';
 
 // Constantes para los umbrales de alerta
 const STORAGE_THRESHOLDS = {
@@ -127,22 +130,13 @@ export async function checkAndShowStorageAlert(containerId = 'storageAlert') {
 // Función para obtener estadísticas de uso por tipo de dato
 export async function getStorageStats() {
   try {
-      const [videoHistory, adHistory] = await Promise.all([
-    chrome.storage.local.get('ytdata_history'),
-    chrome.storage.local.get('ytad_history')
-  ]);
-  
-  const videoCount = Array.isArray(videoHistory.ytdata_history) ? videoHistory.ytdata_history.length : 0;
-  const adCount = Array.isArray(adHistory.ytad_history) ? adHistory.ytad_history.length : 0;
-  const favoriteCount = Array.isArray(videoHistory.ytdata_history) ? videoHistory.ytdata_history.filter(item => item.isFavorite).length : 0;
-  const favoriteCountAd = Array.isArray(adHistory.ytad_history) ? adHistory.ytad_history.filter(item => item.isFavorite).length : 0;
-  const totalFavorites = favoriteCount + favoriteCountAd;
+    const counts = await getHistoryCounts();
     
     return {
-      videos: videoCount,
-      ads: adCount,
-      favorites: totalFavorites,
-      total: videoCount + adCount
+      videos: counts.video,
+      ads: counts.ad,
+      favorites: counts.favorites,
+      total: counts.total
     };
   } catch (error) {
     console.warn('[AdHunt3r] Error obteniendo estadísticas de storage:', error);
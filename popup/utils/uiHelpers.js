@@ -101,6 +101,39 @@ export function updateCounters() {
   }
 }
 
+// Función para consultar estadísticas agregadas (GET_STATS_RANGE) en un rango de fechas
+export function fetchStatsRange(from, to = Date.now(), granularity = 'day') {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ type: 'GET_STATS_RANGE', from, to, granularity }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.warn('[AdHunt3r] Error obteniendo estadísticas:', chrome.runtime.lastError.message);
+          resolve(null);
+          return;
+        }
+        resolve(response && response.success ? response : null);
+      });
+    } catch (error) {
+      console.warn('[AdHunt3r] Error enviando mensaje de estadísticas:', error);
+      resolve(null);
+    }
+  });
+}
+
+// Resumen de los últimos 7 días desde las estadísticas agregadas (no se borra con el reset de 24h)
+const STATS_SUMMARY_DAYS = 7;
+
+export function updateStatsSummary() {
+  const el = document.getElementById('stats_summary');
+  if (!el) return Promise.resolve();
+  const to = Date.now();
+  return fetchStatsRange(to - STATS_SUMMARY_DAYS * 24 * 60 * 60 * 1000, to, 'day').then(stats => {
+    if (!stats?.totals) return;
+    const { ads, uniqueVideos, adsPerVideoHour } = stats.totals;
+    el.textContent = `Últimos ${STATS_SUMMARY_DAYS} días: ${ads} anuncios · ${uniqueVideos} videos · ${adsPerVideoHour} anuncios/hora de video`;
+  });
+}
+
 // Función para mostrar/ocultar secciones de la UI
 export function toggleSection(sectionId, show) {
   const section = document.getElementById(sectionId);
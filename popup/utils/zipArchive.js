@@ -0,0 +1,204 @@
+// Módulo ZIP mínimo en JS puro (sin dependencias)
+// Escribe archivos comprimidos con deflate (CompressionStream) o sin comprimir (stored)
+// y lee ambos métodos al restaurar una copia de seguridad
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// === [CRC32] ===
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// === [COMPRESIÓN] ===
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    return await transformBytes(bytes, new CompressionStream('deflate-raw'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('El navegador no soporta descompresión deflate');
+  }
+  return transformBytes(bytes, new DecompressionStream('deflate-raw'));
+}
+
+// Fecha y hora en formato MS-DOS (resolución de 2 segundos)
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// === [ESCRITURA] ===
+/**
+ * Crea un archivo ZIP.
+ * @param {Array<{name: string, content: string|Uint8Array}>} files
+ * @param {Object} options - { compress: boolean } (por defecto deflate si está disponible)
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(files, options = {}) {
+  const compress = options.compress !== false;
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = textEncoder.encode(file.name);
+    const data = typeof file.content === 'string' ? textEncoder.encode(file.content) : file.content;
+    const crc = crc32(data);
+
+    let method = METHOD_STORED;
+    let payload = data;
+    if (compress) {
+      const deflated = await deflateRaw(data);
+      // Guardar sin comprimir si deflate no reduce el tamaño
+      if (deflated && deflated.length < data.length) {
+        method = METHOD_DEFLATE;
+        payload = deflated;
+      }
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, payload.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(local, nameBytes, payload);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, payload.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + payload.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+// === [LECTURA] ===
+function findEndOfCentralDirectory(view) {
+  // El registro final mide 22 bytes más un comentario opcional de hasta 64KB
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+  for (let i = view.byteLength - 22; i >= minOffset; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) return i;
+  }
+  return -1;
+}
+
+/**
+ * Lee las entradas de un archivo ZIP.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Uint8Array>>} Contenido descomprimido por nombre de archivo
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const endOffset = findEndOfCentralDirectory(view);
+  if (endOffset < 0) {
+    throw new Error('El archivo no es un ZIP válido');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) {
+      throw new Error('Directorio central del ZIP corrupto');
+    }
+    const method = view.getUint16(pointer + 10, true);
+    const crc = view.getUint32(pointer + 16, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = textDecoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    // La cabecera local puede tener un campo extra distinto al del directorio central
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const payload = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORED) {
+      data = payload;
+    } else if (method === METHOD_DEFLATE) {
+      data = await inflateRaw(payload);
+    } else {
+      throw new Error(`Método de compresión no soportado en ${name}`);
+    }
+
+    if (crc32(data) !== crc) {
+      throw new Error(`CRC incorrecto en ${name}`);
+    }
+    entries.set(name, data);
+  }
+
+  return entries;
+}
+
+// Decodificar una entrada del ZIP como texto UTF-8
+export function zipEntryToText(entry) {
+  return entry ? textDecoder.decode(entry) : null;
+}